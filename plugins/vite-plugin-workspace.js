@@ -0,0 +1,157 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+
+const ALLOWED_EXTENSIONS = ['.md', '.js', '.json'];
+
+const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+const sendError = (res, status, message) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'text/plain');
+  res.end(message);
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+// Only plain file names directly inside the workspace with one of the editor
+// extensions are served, so requests can't escape the directory.
+const resolveFile = (root, fileName) => {
+  if (!fileName || fileName !== path.basename(fileName) || fileName.startsWith('.')) {
+    return null;
+  }
+  if (!ALLOWED_EXTENSIONS.includes(path.extname(fileName))) {
+    return null;
+  }
+  return path.join(root, fileName);
+};
+
+const listFiles = async (root, extension) => {
+  const entries = await fs.readdir(root, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    if (entry.isFile() && entry.name.endsWith(extension) && resolveFile(root, entry.name)) {
+      const stats = await fs.stat(path.join(root, entry.name));
+      files.push({ name: entry.name, lastModified: stats.mtimeMs });
+    }
+  }
+  return files;
+};
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Only the editor itself may use the workspace: any other page open in the
+// browser could otherwise write and delete files through the dev server.
+// Browsers send Origin with every PUT and DELETE; the Host check keeps out
+// other sites resolving their name to this machine (DNS rebinding).
+const isAllowedRequest = (req, allowedHosts) => {
+  const { origin, host } = req.headers;
+  try {
+    if (!allowedHosts.includes(new URL(`http://${host}`).hostname)) return false;
+    if (!origin) return req.method === 'GET';
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+};
+
+// Writes and deletes of a file run one after another: overlapping
+// fs.writeFile calls on the same path may leave a mix of both on disk.
+const fileQueues = new Map();
+
+const enqueue = (filePath, task) => {
+  const next = (fileQueues.get(filePath) || Promise.resolve()).then(task, task);
+  const tail = next.catch(() => {});
+  fileQueues.set(filePath, tail);
+  tail.then(() => {
+    if (fileQueues.get(filePath) === tail) fileQueues.delete(filePath);
+  });
+  return next;
+};
+
+const handleRequest = async (root, req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const fileName = decodeURIComponent(url.pathname.replace(/^\/+/, ''));
+
+  if (!fileName) {
+    if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+    const extension = url.searchParams.get('ext');
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+      return sendError(res, 400, `Unsupported extension: ${extension}`);
+    }
+    return sendJson(res, 200, await listFiles(root, extension));
+  }
+
+  const filePath = resolveFile(root, fileName);
+  if (!filePath) {
+    return sendError(res, 400, `Invalid file name: ${fileName}`);
+  }
+
+  switch (req.method) {
+    case 'GET': {
+      try {
+        const [text, stats] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+        return sendJson(res, 200, { text, lastModified: stats.mtimeMs });
+      } catch (e) {
+        if (e.code === 'ENOENT') return sendError(res, 404, 'Not found');
+        throw e;
+      }
+    }
+    case 'PUT': {
+      const { text } = JSON.parse(await readBody(req));
+      if (typeof text !== 'string') {
+        return sendError(res, 400, 'Expected a JSON body with a "text" string');
+      }
+      const stats = await enqueue(filePath, async () => {
+        await fs.writeFile(filePath, text, 'utf8');
+        return fs.stat(filePath);
+      });
+      return sendJson(res, 200, { lastModified: stats.mtimeMs });
+    }
+    case 'DELETE': {
+      await enqueue(filePath, () => fs.rm(filePath, { force: true }));
+      res.statusCode = 204;
+      return res.end();
+    }
+    default:
+      return sendError(res, 405, 'Method not allowed');
+  }
+};
+
+// Serves a workspace directory to the editors during development, as a fallback
+// for browsers without the File System Access API.
+const workspacePlugin = ({ root = process.env.WORKSPACE_DIR || 'workspace', base = '/__workspace' } = {}) => ({
+  name: 'markdown-editor-workspace',
+  apply: 'serve',
+
+  async configureServer(server) {
+    const workspaceRoot = path.resolve(server.config.root, root);
+    await fs.mkdir(workspaceRoot, { recursive: true });
+    const { host } = server.config.server;
+    const allowedHosts = typeof host === 'string' ? [...LOOPBACK_HOSTS, host] : LOOPBACK_HOSTS;
+
+    server.middlewares.use(base, (req, res) => {
+      if (!isAllowedRequest(req, allowedHosts)) {
+        return sendError(res, 403, 'Cross-origin requests to the workspace are not allowed');
+      }
+      handleRequest(workspaceRoot, req, res).catch(e => {
+        server.config.logger.error(`[workspace] ${e.message}`);
+        sendError(res, 500, e.message);
+      });
+    });
+  }
+});
+
+export default workspacePlugin;
@@ -1,47 +1,82 @@
-import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Link, Navigate } from 'react-router-dom';
-import MarkdownEditor from './components/MarkdownEditor';
-import EChartsEditor from './components/EChartsEditor';
-import MultiContentEditor from './components/MultiContentEditor';
+import React, { useEffect } from 'react';
+import { BrowserRouter as Router, Routes, Route, Link, Navigate, Outlet } from 'react-router-dom';
+import DocumentRoute from './components/DocumentRoute';
+import DocumentView from './components/DocumentView';
+import Workspace from './components/Workspace';
+import { EDITOR_TYPES } from './components/editorTypes';
+import StorageLocationControl from './components/StorageLocationControl';
+import SettingsPage from './components/SettingsPage';
+import useColorScheme from './hooks/useColorScheme';
 
 const Navigation = () => (
-  <div className="fixed top-0 left-0 right-0 bg-white border-b z-50 px-4 py-2">
+  <div className="fixed top-0 left-0 right-0 bg-white dark:bg-gray-800 border-b z-50 px-4 py-2">
     <nav className="flex gap-4 items-center max-w-6xl mx-auto">
       <Link 
         to="/markdown" 
-        className="px-4 py-2 rounded hover:bg-gray-100 transition-colors"
+        className="px-4 py-2 rounded hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
       >
         Markdown Editor
       </Link>
       <Link 
         to="/echarts" 
-        className="px-4 py-2 rounded hover:bg-gray-100 transition-colors"
+        className="px-4 py-2 rounded hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
       >
         ECharts Editor
       </Link>
       <Link 
         to="/multicontent" 
-        className="px-4 py-2 rounded hover:bg-gray-100 transition-colors"
+        className="px-4 py-2 rounded hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
       >
         Multi-Content Editor
       </Link>
+      <Link 
+        to="/workspace" 
+        className="px-4 py-2 rounded hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+      >
+        Workspace
+      </Link>
+      <StorageLocationControl />
+      <Link
+        to="/settings"
+        className="px-4 py-2 rounded hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+      >
+        Settings
+      </Link>
     </nav>
   </div>
 );
 
+const EditorLayout = () => (
+  <>
+    <Navigation />
+    <div className="pt-16"> {/* Add padding to account for fixed navigation */}
+      <Outlet />
+    </div>
+  </>
+);
+
 function App() {
+  // Tailwind's dark: variants and the dark defaults in index.css key off this class
+  const isDark = useColorScheme();
+  useEffect(() => {
+    document.documentElement.classList.toggle('dark', isDark);
+  }, [isDark]);
+
   return (
     <Router>
-      <div className="App min-h-screen bg-gray-50">
-        <Navigation />
-        <div className="pt-16"> {/* Add padding to account for fixed navigation */}
-          <Routes>
-            <Route path="/markdown" element={<MarkdownEditor />} />
-            <Route path="/echarts" element={<EChartsEditor />} />
-            <Route path="/multicontent" element={<MultiContentEditor />} />
+      <div className="App min-h-screen bg-gray-50 dark:bg-gray-800">
+        <Routes>
+          {/* Read-only views are shown without the navigation */}
+          <Route path="/view/:type/:docName" element={<DocumentView />} />
+          <Route element={<EditorLayout />}>
+            {Object.keys(EDITOR_TYPES).map(type => (
+              <Route key={type} path={`/${type}/:docName?`} element={<DocumentRoute key={type} type={type} />} />
+            ))}
+            <Route path="/workspace" element={<Workspace />} />
+            <Route path="/settings" element={<SettingsPage />} />
             <Route path="/" element={<Navigate to="/markdown" replace />} />
-          </Routes>
-        </div>
+          </Route>
+        </Routes>
       </div>
     </Router>
   );
@@ -0,0 +1,33 @@
+import React from 'react';
+
+// Keeps one broken block (e.g. a renderer choking on unexpected data) from
+// taking down the whole preview. Changing `resetKey` retries the render.
+class BlockErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    console.warn('Error rendering block:', error);
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+      this.setState({ error: null });
+    }
+  }
+
+  render() {
+    if (this.state.error) {
+      return <div className="text-red-500 text-sm">Block error: {this.state.error.message}</div>;
+    }
+    return this.props.children;
+  }
+}
+
+export default BlockErrorBoundary;
@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import useContentKinds from '../hooks/useContentKinds';
+
+// The "+" between preview blocks, opening into one button per content kind
+const BlockInserter = ({ onInsert, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const kinds = useContentKinds();
+
+  if (!isOpen) {
+    return (
+      <div className="flex justify-center opacity-30 hover:opacity-100 focus-within:opacity-100 transition-opacity">
+        <button
+          onClick={() => setIsOpen(true)}
+          disabled={disabled}
+          className="px-2 text-sm text-gray-600 dark:text-gray-400 border rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 disabled:cursor-not-allowed"
+          title="Insert a block here"
+          aria-label="Insert a block here"
+        >
+          +
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-wrap justify-center items-center gap-2 text-sm">
+      {kinds.map(definition => (
+        <button
+          key={definition.kind}
+          onClick={() => {
+            setIsOpen(false);
+            onInsert(definition.kind);
+          }}
+          className="px-2 py-0.5 border rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+        >
+          {definition.label}
+        </button>
+      ))}
+      <button onClick={() => setIsOpen(false)} className="text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300" aria-label="Cancel">
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default BlockInserter;
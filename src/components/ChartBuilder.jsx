@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useId } from 'react';
+import { BUILDER_CHART_TYPES, LEGEND_POSITIONS, TOOLTIP_TRIGGERS } from '../lib/chartBuilder';
+import { parseTable, formatTable } from '../lib/tabularData';
+
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+const inputClass = 'w-full px-2 py-1 border rounded text-sm';
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Keeps the column mapping valid after the pasted data changes shape
+const remapColumns = (model, table) => {
+  const { columns } = table;
+  const categoryColumn = columns.includes(model.categoryColumn) ? model.categoryColumn : columns[0];
+  const valueColumns = model.valueColumns.filter(column => columns.includes(column) && column !== categoryColumn);
+  const fallback = columns.find(column => column !== categoryColumn);
+  return {
+    ...model,
+    table,
+    categoryColumn,
+    valueColumns: valueColumns.length || !fallback ? valueColumns : [fallback]
+  };
+};
+
+const ChartBuilder = ({ model, onChange }) => {
+  // Field ids stay unique with several editors open in the workspace
+  const id = useId();
+  // The data is edited as text; it is only reformatted when the table changes
+  // from outside, so typing isn't interrupted.
+  const [dataText, setDataText] = useState(() => formatTable(model.table));
+
+  useEffect(() => {
+    setDataText(current => {
+      const parsed = parseTable(current);
+      return JSON.stringify(parsed) === JSON.stringify(model.table) ? current : formatTable(model.table);
+    });
+  }, [model.table]);
+
+  const update = (changes) => onChange({ ...model, ...changes });
+
+  const handleDataChange = (e) => {
+    setDataText(e.target.value);
+    const table = parseTable(e.target.value);
+    if (table.columns.length) {
+      onChange(remapColumns(model, table));
+    }
+  };
+
+  const toggleValueColumn = (column) => {
+    const valueColumns = model.valueColumns.includes(column)
+      ? model.valueColumns.filter(item => item !== column)
+      : model.table.columns.filter(item => item === column || model.valueColumns.includes(item));
+    update({ valueColumns });
+  };
+
+  const handleColorsChange = (e) => {
+    update({ colors: e.target.value.split(',').map(color => color.trim()).filter(Boolean) });
+  };
+
+  const isPie = model.chartType === 'pie';
+  const valueCandidates = model.table.columns.filter(column => column !== model.categoryColumn);
+
+  return (
+    <div className="h-[calc(100vh-300px)] overflow-auto space-y-4 pr-1">
+      <div>
+        <label className={labelClass} htmlFor={`${id}-chart-type`}>Chart type</label>
+        <select
+          id={`${id}-chart-type`}
+          value={model.chartType}
+          onChange={(e) => update({ chartType: e.target.value })}
+          className={inputClass}
+        >
+          {BUILDER_CHART_TYPES.map(type => (
+            <option key={type} value={type}>{capitalize(type)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className={labelClass} htmlFor={`${id}-data`}>Data</label>
+        <textarea
+          id={`${id}-data`}
+          value={dataText}
+          onChange={handleDataChange}
+          className={`${inputClass} font-mono h-40`}
+          placeholder={'month,sales\nJan,120\nFeb,200'}
+          spellCheck={false}
+        />
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Paste CSV or tab-separated data (e.g. from a spreadsheet) with a header row.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass} htmlFor={`${id}-category`}>
+            {isPie ? 'Slice names' : model.chartType === 'scatter' ? 'X values' : 'X axis'}
+          </label>
+          <select
+            id={`${id}-category`}
+            value={model.categoryColumn ?? ''}
+            onChange={(e) => onChange(remapColumns({ ...model, categoryColumn: e.target.value }, model.table))}
+            className={inputClass}
+          >
+            {model.table.columns.map(column => (
+              <option key={column} value={column}>{column}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <span className={labelClass}>{isPie ? 'Slice values' : 'Series'}</span>
+          {isPie ? (
+            <select
+              value={model.valueColumns[0] ?? ''}
+              onChange={(e) => update({ valueColumns: [e.target.value] })}
+              className={inputClass}
+              aria-label="Slice values"
+            >
+              {valueCandidates.map(column => (
+                <option key={column} value={column}>{column}</option>
+              ))}
+            </select>
+          ) : (
+            valueCandidates.map(column => (
+              <label key={column} className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={model.valueColumns.includes(column)}
+                  onChange={() => toggleValueColumn(column)}
+                />
+                {column}
+              </label>
+            ))
+          )}
+        </div>
+      </div>
+
+      <div>
+        <label className={labelClass} htmlFor={`${id}-title`}>Title</label>
+        <input
+          id={`${id}-title`}
+          type="text"
+          value={model.title}
+          onChange={(e) => update({ title: e.target.value })}
+          className={inputClass}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass} htmlFor={`${id}-legend`}>Legend</label>
+          <select
+            id={`${id}-legend`}
+            value={model.legend}
+            onChange={(e) => update({ legend: e.target.value })}
+            className={inputClass}
+          >
+            {LEGEND_POSITIONS.map(position => (
+              <option key={position} value={position}>{position === 'none' ? 'Hidden' : capitalize(position)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass} htmlFor={`${id}-tooltip`}>Tooltip</label>
+          <select
+            id={`${id}-tooltip`}
+            value={model.tooltip}
+            onChange={(e) => update({ tooltip: e.target.value })}
+            className={inputClass}
+          >
+            {TOOLTIP_TRIGGERS.map(trigger => (
+              <option key={trigger} value={trigger}>
+                {trigger === 'none' ? 'Hidden' : trigger === 'axis' ? 'Whole axis' : 'Single item'}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <label className={labelClass} htmlFor={`${id}-colors`}>Colors</label>
+        <input
+          // Re-mounted when the colors change elsewhere, e.g. in the code view
+          key={model.colors.join(',')}
+          id={`${id}-colors`}
+          type="text"
+          defaultValue={model.colors.join(', ')}
+          onBlur={handleColorsChange}
+          className={inputClass}
+          placeholder="#5470c6, #91cc75 (leave empty for the default palette)"
+        />
+        <div className="flex gap-1 mt-1">
+          {model.colors.map((color, index) => (
+            <span key={index} className="w-5 h-5 rounded border" style={{ backgroundColor: color }} title={color} />
+          ))}
+        </div>
+      </div>
+
+      {model.chartType === 'line' && (
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={model.smooth} onChange={(e) => update({ smooth: e.target.checked })} />
+          Smooth lines
+        </label>
+      )}
+      {model.chartType === 'bar' && (
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={model.stacked} onChange={(e) => update({ stacked: e.target.checked })} />
+          Stack bars
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default ChartBuilder;
@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import useChartThemes from '../hooks/useChartThemes';
+import ChartThemeEditor from './ChartThemeEditor';
+import { BUILT_IN_THEMES } from '../lib/chartThemes';
+
+// Picks the chart theme of one document. Leaving it on "Default" follows the
+// default theme, which is set in the theme editor.
+const ChartThemeControl = ({ value, onChange }) => {
+  const { themes, defaultTheme } = useChartThemes();
+  const [isEditing, setIsEditing] = useState(false);
+  const allThemes = [...BUILT_IN_THEMES, ...themes];
+  const defaultName = allThemes.find(theme => theme.id === defaultTheme)?.name ?? BUILT_IN_THEMES[0].name;
+  // A deleted theme reads as the default, which is what the charts show
+  const selected = allThemes.some(theme => theme.id === value) ? value : '';
+
+  return (
+    <div className="flex items-center gap-1 text-sm">
+      <select
+        value={selected}
+        onChange={(e) => onChange(e.target.value || undefined)}
+        className="px-2 py-1 border rounded"
+        aria-label="Chart theme"
+        title="Chart theme for this document"
+      >
+        <option value="">Default theme ({defaultName})</option>
+        <optgroup label="Built-in">
+          {BUILT_IN_THEMES.map(theme => <option key={theme.id} value={theme.id}>{theme.name}</option>)}
+        </optgroup>
+        {themes.length > 0 && (
+          <optgroup label="Custom">
+            {themes.map(theme => <option key={theme.id} value={theme.id}>{theme.name}</option>)}
+          </optgroup>
+        )}
+      </select>
+      <button
+        onClick={() => setIsEditing(true)}
+        className="px-2 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+        title="Create and edit chart themes"
+      >
+        Themes…
+      </button>
+      {isEditing && (
+        <ChartThemeEditor initialThemeId={selected || defaultTheme} onClose={() => setIsEditing(false)} />
+      )}
+    </div>
+  );
+};
+
+export default ChartThemeControl;
@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useRef } from 'react';
+import * as echarts from 'echarts';
+import useChartThemes from '../hooks/useChartThemes';
+import { BUILT_IN_THEMES, createCustomTheme, toEChartsTheme } from '../lib/chartThemes';
+import { saveChartTheme, removeChartTheme, setDefaultChartTheme } from '../storage/chartThemeStore';
+
+const PREVIEW_THEME = 'theme-editor-preview';
+
+const PREVIEW_OPTION = {
+  title: { text: 'Preview', subtext: 'Sample data' },
+  tooltip: { trigger: 'axis' },
+  legend: { top: 'bottom' },
+  xAxis: { type: 'category', data: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'] },
+  yAxis: { type: 'value' },
+  series: [
+    { name: 'A', type: 'bar', data: [12, 20, 15, 8, 7] },
+    { name: 'B', type: 'bar', data: [9, 14, 18, 11, 13] },
+    { name: 'C', type: 'line', data: [15, 10, 12, 16, 20] },
+    { name: 'D', type: 'line', data: [5, 8, 6, 9, 11] }
+  ]
+};
+
+const COLOR_FIELDS = {
+  backgroundColor: 'Background',
+  textColor: 'Text',
+  axisColor: 'Axes',
+  splitLineColor: 'Grid lines'
+};
+
+const FONT_SUGGESTIONS = ['sans-serif', 'serif', 'monospace', 'Inter, sans-serif', 'Georgia, serif'];
+
+// Built-in themes preview as ECharts draws them; custom ones from the draft
+const ThemePreview = ({ theme, builtInId }) => {
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    let themeName = builtInId === 'dark' ? 'dark' : null;
+    if (theme) {
+      echarts.registerTheme(PREVIEW_THEME, toEChartsTheme(theme));
+      themeName = PREVIEW_THEME;
+    }
+    const chart = echarts.init(containerRef.current, themeName);
+    chart.setOption(PREVIEW_OPTION);
+    return () => chart.dispose();
+  }, [theme, builtInId]);
+
+  return <div ref={containerRef} className="w-full h-64 border rounded" />;
+};
+
+// Lists the chart themes and edits the custom ones. Changes apply everywhere
+// once saved.
+const ChartThemeEditor = ({ initialThemeId, onClose }) => {
+  const { themes, defaultTheme } = useChartThemes();
+  const [selectedId, setSelectedId] = useState(initialThemeId || defaultTheme);
+  // Unsaved changes to the selected theme
+  const [edits, setEdits] = useState(null);
+
+  const builtIn = BUILT_IN_THEMES.find(theme => theme.id === selectedId);
+  const custom = themes.find(theme => theme.id === selectedId);
+  const draft = edits || custom || null;
+
+  // Editing starts over from the saved theme when another one is picked
+  const selectTheme = (id) => {
+    setSelectedId(id);
+    setEdits(null);
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const isChanged = draft && custom && JSON.stringify(draft) !== JSON.stringify(custom);
+
+  const handleCreate = (base) => {
+    const name = window.prompt('Name of the new theme', 'My theme');
+    if (!name?.trim()) return;
+    const theme = saveChartTheme(createCustomTheme(name.trim(), base));
+    selectTheme(theme.id);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the theme ${custom.name}? Documents using it go back to the default theme.`)) return;
+    removeChartTheme(custom.id);
+    selectTheme(defaultTheme === custom.id ? BUILT_IN_THEMES[0].id : defaultTheme);
+  };
+
+  const handleSave = () => {
+    setEdits(saveChartTheme({ ...draft, name: draft.name.trim() || custom.name }));
+  };
+
+  const updateDraft = (patch) => setEdits(current => ({ ...(current || custom), ...patch }));
+
+  const updateColor = (index, color) => {
+    updateDraft({ colors: draft.colors.map((value, i) => (i === index ? color : value)) });
+  };
+
+  const themeButton = (theme) => (
+    <button
+      key={theme.id}
+      onClick={() => selectTheme(theme.id)}
+      className={`w-full text-left px-2 py-1 rounded text-sm ${theme.id === selectedId ? 'bg-blue-100 dark:bg-blue-800/50' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+    >
+      {theme.name}
+      {theme.id === defaultTheme && <span className="text-xs text-gray-500 dark:text-gray-400"> · default</span>}
+    </button>
+  );
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Chart themes"
+        className="bg-white dark:bg-gray-800 rounded-lg shadow-lg w-[56rem] max-w-[95vw] max-h-[90vh] overflow-auto p-4 space-y-4"
+      >
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-semibold">Chart themes</h2>
+          <button onClick={onClose} className="px-2 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-300" aria-label="Close">×</button>
+        </div>
+
+        <div className="grid grid-cols-[12rem_1fr] gap-4">
+          <div className="space-y-3">
+            <div>
+              <h3 className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase mb-1">Built-in</h3>
+              {BUILT_IN_THEMES.map(themeButton)}
+            </div>
+            <div>
+              <h3 className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase mb-1">Custom</h3>
+              {themes.map(themeButton)}
+              <button onClick={() => handleCreate()} className="w-full text-left px-2 py-1 text-sm text-blue-600 hover:underline">
+                + New theme
+              </button>
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <ThemePreview theme={draft} builtInId={builtIn?.id} />
+
+            {draft && (
+              <div className="space-y-2 text-sm">
+                <label className="flex items-center gap-2">
+                  <span className="w-24">Name</span>
+                  <input
+                    type="text"
+                    value={draft.name}
+                    onChange={(e) => updateDraft({ name: e.target.value })}
+                    className="flex-1 px-2 py-1 border rounded"
+                  />
+                </label>
+                <div className="flex items-center gap-2">
+                  <span className="w-24">Palette</span>
+                  <div className="flex flex-wrap items-center gap-1">
+                    {draft.colors.map((color, index) => (
+                      <span key={index} className="flex items-center">
+                        <input
+                          type="color"
+                          value={color}
+                          onChange={(e) => updateColor(index, e.target.value)}
+                          aria-label={`Series color ${index + 1}`}
+                          className="w-8 h-8"
+                        />
+                        {draft.colors.length > 1 && (
+                          <button
+                            onClick={() => updateDraft({ colors: draft.colors.filter((_, i) => i !== index) })}
+                            className="text-xs text-gray-400 dark:text-gray-500 hover:text-red-500"
+                            aria-label={`Remove series color ${index + 1}`}
+                          >
+                            ×
+                          </button>
+                        )}
+                      </span>
+                    ))}
+                    <button
+                      onClick={() => updateDraft({ colors: [...draft.colors, '#888888'] })}
+                      className="px-2 border rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+                      aria-label="Add series color"
+                    >
+                      +
+                    </button>
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  {Object.entries(COLOR_FIELDS).map(([field, label]) => (
+                    <label key={field} className="flex items-center gap-2">
+                      <span className="w-24">{label}</span>
+                      <input
+                        type="color"
+                        value={draft[field]}
+                        onChange={(e) => updateDraft({ [field]: e.target.value })}
+                        className="w-8 h-8"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <label className="flex items-center gap-2">
+                  <span className="w-24">Font</span>
+                  <input
+                    type="text"
+                    list="chart-theme-fonts"
+                    value={draft.fontFamily}
+                    onChange={(e) => updateDraft({ fontFamily: e.target.value })}
+                    className="flex-1 px-2 py-1 border rounded"
+                  />
+                  <datalist id="chart-theme-fonts">
+                    {FONT_SUGGESTIONS.map(font => <option key={font} value={font} />)}
+                  </datalist>
+                </label>
+              </div>
+            )}
+
+            <div className="flex justify-between items-center text-sm">
+              <div className="flex gap-2">
+                {selectedId !== defaultTheme && (
+                  <button onClick={() => setDefaultChartTheme(selectedId)} className="px-3 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700">
+                    Use as default
+                  </button>
+                )}
+                <button
+                  onClick={() => handleCreate(draft || builtIn?.base)}
+                  className="px-3 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                  Duplicate
+                </button>
+                {custom && (
+                  <button onClick={handleDelete} className="px-3 py-1 border rounded text-red-600 hover:bg-red-50 dark:hover:bg-red-900/35">
+                    Delete
+                  </button>
+                )}
+              </div>
+              {custom && (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setEdits(null)}
+                    disabled={!isChanged}
+                    className="px-3 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+                  >
+                    Revert
+                  </button>
+                  <button
+                    onClick={handleSave}
+                    disabled={!isChanged}
+                    className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+                  >
+                    Save
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChartThemeEditor;
@@ -0,0 +1,236 @@
+import React, { useEffect, useRef, forwardRef, useImperativeHandle } from 'react';
+import { basicSetup } from 'codemirror';
+import { EditorState, Compartment } from '@codemirror/state';
+import { EditorView, keymap, placeholder as placeholderExtension } from '@codemirror/view';
+import { indentWithTab } from '@codemirror/commands';
+import { lintGutter, setDiagnostics } from '@codemirror/lint';
+import { markdown } from '@codemirror/lang-markdown';
+import { javascript } from '@codemirror/lang-javascript';
+import { json } from '@codemirror/lang-json';
+import { oneDark } from '@codemirror/theme-one-dark';
+import usePreferences from '../hooks/usePreferences';
+import useColorScheme from '../hooks/useColorScheme';
+
+const LANGUAGES = {
+  markdown: () => markdown(),
+  javascript: () => javascript(),
+  json: () => json(),
+  text: () => []
+};
+
+const languageExtension = (language) => (LANGUAGES[language] || LANGUAGES.text)();
+
+const NO_EXTENSIONS = [];
+const NO_PROBLEMS = [];
+
+// Problems without a location (see lib/problems.js) only appear in the problems list
+const toDiagnostics = (problems, docLength) => problems
+  .filter(problem => problem.from !== undefined)
+  .map(problem => ({
+    from: Math.min(problem.from, docLength),
+    to: Math.min(problem.to ?? problem.from, docLength),
+    severity: problem.severity || 'error',
+    message: problem.message
+  }));
+
+// Font, wrapping and colors follow the app preferences
+const appearance = ({ editorFont, editorFontSize, lineWrapping }, isDark) => [
+  EditorView.theme({
+    '&': {
+      height: '100%',
+      fontSize: `${editorFontSize}px`
+    },
+    '.cm-scroller': {
+      fontFamily: editorFont
+    }
+  }),
+  lineWrapping ? EditorView.lineWrapping : [],
+  isDark ? oneDark : []
+];
+
+// Document heights are measured from the top of the content, below the
+// scroller's padding
+const contentOffset = (view) => view.documentTop - view.scrollDOM.getBoundingClientRect().top + view.scrollDOM.scrollTop;
+
+// The (0-based, fractional) line at the top of the editor's viewport
+const topLine = (view) => {
+  const height = view.scrollDOM.scrollTop - contentOffset(view);
+  const block = view.lineBlockAtHeight(height);
+  const line = view.state.doc.lineAt(block.from).number - 1;
+  return line + (block.height ? Math.max(0, Math.min(1, (height - block.top) / block.height)) : 0);
+};
+
+// Moves the cursor to an offset and scrolls it into view
+const goTo = (view, offset) => {
+  const anchor = Math.min(offset, view.state.doc.length);
+  view.dispatch({ selection: { anchor }, scrollIntoView: true });
+  view.focus();
+};
+
+// CodeMirror 6 editor with line numbers, folding, bracket matching, search and
+// replace (Mod-f), Tab indentation (Esc then Tab moves focus on) and gutter
+// markers for `problems`. It keeps the textarea contract: onChange receives an
+// event-like `{ target: { value } }`. onScrollLine and onCursorLine report the
+// line at the top of the view and the line of the cursor (0-based).
+const CodeEditor = forwardRef(({
+  value,
+  onChange,
+  onScrollLine,
+  onCursorLine,
+  language = 'markdown',
+  placeholder = '',
+  extensions = NO_EXTENSIONS,
+  problems = NO_PROBLEMS,
+  className = ''
+}, ref) => {
+  const containerRef = useRef(null);
+  const viewRef = useRef(null);
+  const onChangeRef = useRef(onChange);
+  const onScrollLineRef = useRef(onScrollLine);
+  const onCursorLineRef = useRef(onCursorLine);
+  const languageCompartment = useRef(new Compartment());
+  const placeholderCompartment = useRef(new Compartment());
+  const extraCompartment = useRef(new Compartment());
+  const appearanceCompartment = useRef(new Compartment());
+  const preferences = usePreferences();
+  const isDark = useColorScheme();
+
+  onChangeRef.current = onChange;
+  onScrollLineRef.current = onScrollLine;
+  onCursorLineRef.current = onCursorLine;
+  const valueRef = useRef(value);
+  valueRef.current = value;
+
+  useImperativeHandle(ref, () => ({
+    get view() {
+      return viewRef.current;
+    },
+    focus() {
+      viewRef.current?.focus();
+    },
+    // Moves the cursor to an offset and scrolls it into view
+    goTo(offset) {
+      if (viewRef.current) goTo(viewRef.current, offset);
+    },
+    // Same, for the start of a 0-based line
+    goToLine(line) {
+      const view = viewRef.current;
+      if (!view) return;
+      goTo(view, view.state.doc.line(Math.min(Math.max(line + 1, 1), view.state.doc.lines)).from);
+    },
+    // Scrolls a (fractional, 0-based) line to the top without moving the
+    // cursor. Returns whether the editor moved.
+    scrollToLine(line) {
+      const view = viewRef.current;
+      if (!view) return false;
+      const { doc } = view.state;
+      const whole = Math.min(Math.max(Math.floor(line), 0), doc.lines - 1);
+      const block = view.lineBlockAt(doc.line(whole + 1).from);
+      const before = view.scrollDOM.scrollTop;
+      view.scrollDOM.scrollTop = contentOffset(view) + block.top + (line - whole) * block.height;
+      return view.scrollDOM.scrollTop !== before;
+    }
+  }), []);
+
+  // Compartments start from the current props, so a state created later (see
+  // the value effect below) looks the same as the first one. It is rebuilt on
+  // every render so the effects always read the latest props.
+  const createStateRef = useRef(null);
+  createStateRef.current = (doc) => EditorState.create({
+    doc,
+    extensions: [
+      basicSetup,
+      keymap.of([indentWithTab]),
+      lintGutter(),
+      appearanceCompartment.current.of(appearance(preferences, isDark)),
+      languageCompartment.current.of(languageExtension(language)),
+      placeholderCompartment.current.of(placeholderExtension(placeholder)),
+      extraCompartment.current.of(extensions),
+      EditorView.updateListener.of(update => {
+        if (update.docChanged) {
+          onChangeRef.current?.({ target: { value: update.state.doc.toString() } });
+        }
+        if (update.selectionSet || update.docChanged) {
+          const { head } = update.state.selection.main;
+          onCursorLineRef.current?.(update.state.doc.lineAt(head).number - 1);
+        }
+      })
+    ]
+  });
+
+  // Create the editor once; later prop changes are applied through compartments
+  useEffect(() => {
+    const view = new EditorView({
+      parent: containerRef.current,
+      state: createStateRef.current(valueRef.current)
+    });
+    viewRef.current = view;
+
+    const handleScroll = () => onScrollLineRef.current?.(topLine(view));
+    view.scrollDOM.addEventListener('scroll', handleScroll);
+
+    return () => {
+      view.scrollDOM.removeEventListener('scroll', handleScroll);
+      view.destroy();
+      viewRef.current = null;
+    };
+  }, []);
+
+  // Push outside changes (file switches, restores, builder and block edits)
+  // into the editor. They start a new editor state: left in the undo history,
+  // undoing would bring back the previous text and save it as an edit. The
+  // cursor and scroll position are kept where the new text allows.
+  useEffect(() => {
+    const view = viewRef.current;
+    if (view && value !== view.state.doc.toString()) {
+      const { scrollTop } = view.scrollDOM;
+      const head = Math.min(view.state.selection.main.head, value.length);
+      view.setState(createStateRef.current(value));
+      view.dispatch({ selection: { anchor: head } });
+      view.scrollDOM.scrollTop = scrollTop;
+    }
+  }, [value]);
+
+  // Runs after the value effect so offsets refer to the current document
+  useEffect(() => {
+    const view = viewRef.current;
+    if (view) {
+      view.dispatch(setDiagnostics(view.state, toDiagnostics(problems, view.state.doc.length)));
+    }
+  }, [problems, value]);
+
+  useEffect(() => {
+    viewRef.current?.dispatch({
+      effects: languageCompartment.current.reconfigure(languageExtension(language))
+    });
+  }, [language]);
+
+  useEffect(() => {
+    viewRef.current?.dispatch({
+      effects: placeholderCompartment.current.reconfigure(placeholderExtension(placeholder))
+    });
+  }, [placeholder]);
+
+  useEffect(() => {
+    viewRef.current?.dispatch({
+      effects: extraCompartment.current.reconfigure(extensions)
+    });
+  }, [extensions]);
+
+  useEffect(() => {
+    viewRef.current?.dispatch({
+      effects: appearanceCompartment.current.reconfigure(appearance(preferences, isDark))
+    });
+  }, [preferences, isDark]);
+
+  return (
+    <div
+      ref={containerRef}
+      className={`border rounded overflow-hidden ${className}`}
+    />
+  );
+});
+
+CodeEditor.displayName = 'CodeEditor';
+
+export default CodeEditor;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  DATA_FILE_ACCEPT,
+  COLUMN_TYPES,
+  listSheets,
+  readDataFile,
+  inferColumnTypes,
+  applyColumnTypes,
+  suggestChart,
+  starterOption
+} from '../lib/dataImport';
+
+const PREVIEW_ROWS = 10;
+
+const TYPE_LABELS = {
+  number: 'Number',
+  time: 'Date / time',
+  category: 'Category'
+};
+
+const CHART_LABELS = {
+  line: 'a line chart over time',
+  bar: 'a bar chart per category',
+  scatter: 'a scatter plot'
+};
+
+// Picks a data file, shows its first rows with a type per column and builds
+// a starter chart from them. `initialFile` is a file dropped on the editor.
+const DataImportDialog = ({ initialFile, onGenerate, onClose }) => {
+  const [file, setFile] = useState(initialFile ?? null);
+  const [sheets, setSheets] = useState(null);
+  const [sheet, setSheet] = useState('');
+  const [table, setTable] = useState(null);
+  const [types, setTypes] = useState([]);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (!file) return;
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+    (async () => {
+      try {
+        const names = await listSheets(file);
+        const next = await readDataFile(file, { sheet: sheet || undefined });
+        if (cancelled) return;
+        setSheets(names);
+        setTable(next);
+        setTypes(inferColumnTypes(next));
+      } catch (e) {
+        if (cancelled) return;
+        console.warn('Error reading data file:', e);
+        setTable(null);
+        setError(`Could not read ${file.name}: ${e.message}`);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [file, sheet]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const preview = useMemo(
+    () => (table ? applyColumnTypes({ ...table, rows: table.rows.slice(0, PREVIEW_ROWS) }, types) : null),
+    [table, types]
+  );
+  const suggestion = table ? suggestChart(table.columns, types) : null;
+
+  const chooseFile = (next) => {
+    if (!next) return;
+    setSheet('');
+    setSheets(null);
+    setFile(next);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    chooseFile(e.dataTransfer.files[0]);
+  };
+
+  const handleTypeChange = (index, type) => {
+    setTypes(current => current.map((value, i) => (i === index ? type : value)));
+  };
+
+  const handleGenerate = () => {
+    try {
+      onGenerate(starterOption(table, types, { title: file.name.replace(/\.[^.]+$/, '') }));
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Import data"
+        className="bg-white dark:bg-gray-800 rounded-lg shadow-lg w-[56rem] max-w-[95vw] max-h-[90vh] flex flex-col p-4 gap-3"
+      >
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-semibold">Import data</h2>
+          <button onClick={onClose} className="px-2 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-300" aria-label="Close">×</button>
+        </div>
+
+        <div
+          onDragOver={(e) => {
+            e.preventDefault();
+            setIsDragging(true);
+          }}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={handleDrop}
+          className={`border-2 border-dashed rounded p-4 text-sm text-center text-gray-600 dark:text-gray-400 ${isDragging ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/35' : 'border-gray-300 dark:border-gray-600'}`}
+        >
+          <input
+            ref={inputRef}
+            type="file"
+            accept={DATA_FILE_ACCEPT}
+            onChange={(e) => {
+              chooseFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+            className="hidden"
+          />
+          {file ? <span className="font-medium">{file.name}</span> : 'Drop a CSV, TSV, JSON or Excel file here, or '}
+          <button onClick={() => inputRef.current?.click()} className="ml-2 text-blue-600 hover:underline">
+            {file ? 'Choose another file' : 'choose one'}
+          </button>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">The file is read in your browser and is not uploaded anywhere.</p>
+        </div>
+
+        {sheets && sheets.length > 1 && (
+          <label className="flex items-center gap-2 text-sm">
+            Sheet
+            <select
+              value={sheet || sheets[0]}
+              onChange={(e) => setSheet(e.target.value)}
+              className="px-2 py-1 border rounded"
+            >
+              {sheets.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </label>
+        )}
+
+        {isLoading && <p className="text-sm text-gray-500 dark:text-gray-400">Reading {file.name}…</p>}
+
+        {preview && !isLoading && (
+          <div className="overflow-auto border rounded min-h-0">
+            <table className="w-full border-collapse text-xs">
+              <thead className="bg-gray-50 dark:bg-gray-800 sticky top-0">
+                <tr>
+                  {preview.columns.map((column, index) => (
+                    <th key={index} className="border-b px-2 py-1 text-left align-top">
+                      <div className="font-semibold">{column}</div>
+                      <select
+                        value={types[index]}
+                        onChange={(e) => handleTypeChange(index, e.target.value)}
+                        className="mt-1 px-1 border rounded font-normal"
+                        aria-label={`Type of ${column}`}
+                      >
+                        {COLUMN_TYPES.map(type => <option key={type} value={type}>{TYPE_LABELS[type]}</option>)}
+                      </select>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map((row, rowIndex) => (
+                  <tr key={rowIndex}>
+                    {row.map((value, index) => {
+                      const raw = table.rows[rowIndex][index];
+                      // Cells the chosen type can't hold are left out of the chart
+                      const dropped = value === null && raw !== null && raw !== undefined && String(raw).trim() !== '';
+                      return (
+                        <td
+                          key={index}
+                          className={`border-b px-2 py-1 ${dropped ? 'text-red-500 line-through' : ''}`}
+                          title={dropped ? `Not a ${TYPE_LABELS[types[index]].toLowerCase()}` : undefined}
+                        >
+                          {String(dropped ? raw : value ?? '')}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {table.rows.length > PREVIEW_ROWS && (
+              <div className="text-xs text-gray-500 dark:text-gray-400 px-2 py-1">…and {table.rows.length - PREVIEW_ROWS} more rows</div>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-between items-center gap-4 text-sm">
+          <span className={error ? 'text-red-500' : 'text-gray-600 dark:text-gray-400'}>
+            {error || (table && !isLoading && (suggestion
+              ? `Creates ${CHART_LABELS[suggestion.chartType]} of ${suggestion.yColumns.join(', ')} by ${suggestion.xColumn}.`
+              : 'Mark a column as a number, next to a date or category column, to chart it.'))}
+          </span>
+          <div className="flex gap-2 shrink-0">
+            <button onClick={onClose} className="px-3 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700">Cancel</button>
+            <button
+              onClick={handleGenerate}
+              disabled={!suggestion || isLoading}
+              className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+            >
+              Create chart
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataImportDialog;
@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Navigate, useLocation, useNavigate, useParams } from 'react-router-dom';
+import { EDITOR_TYPES } from './editorTypes';
+import { getDocumentStore } from '../storage/documentStore';
+import { documentPath } from '../lib/shareLinks';
+
+// An editor at /<type>/:docName. The URL follows the editor to other files
+// (the file list, renames) and the editor follows the URL when it is changed
+// from outside, e.g. a link or the back button. Without a name the route
+// opens the document last open in this editor. A name from outside that isn't
+// stored is offered for creation rather than created.
+const DocumentRoute = ({ type }) => {
+  const { docName } = useParams();
+  const { state } = useLocation();
+  const navigate = useNavigate();
+  const { Component, label, namespace } = EDITOR_TYPES[type];
+  const store = getDocumentStore(namespace);
+  // The file the editor has open (null while none is), and a key to open
+  // another one with
+  const openFilename = useRef(null);
+  const [instance, setInstance] = useState(0);
+  // Whether the name in the URL was found: null while looking it up
+  const [exists, setExists] = useState(null);
+
+  const openDocument = useCallback((filename) => {
+    openFilename.current = filename;
+    setInstance(current => current + 1);
+    setExists(true);
+  }, []);
+
+  // Files the editor moves to itself are already open
+  useEffect(() => {
+    if (docName === undefined || docName === openFilename.current) return;
+    if (state?.isDefault) {
+      openDocument(docName);
+      return;
+    }
+    let cancelled = false;
+    setExists(null);
+    store.load(docName)
+      .then(doc => {
+        if (cancelled) return;
+        if (doc) {
+          openDocument(docName);
+        } else {
+          openFilename.current = null;
+          setExists(false);
+        }
+      })
+      .catch(e => {
+        console.warn('Error loading document:', e);
+        if (!cancelled) openDocument(docName);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [docName, state, store, openDocument]);
+
+  if (docName === undefined) {
+    // The default document is opened even before it has been saved
+    return (
+      <Navigate
+        to={documentPath(type, store.getLastFilename() || 'untitled')}
+        state={{ isDefault: true }}
+        replace
+      />
+    );
+  }
+
+  if (exists === null) return null;
+
+  if (!exists) {
+    return (
+      <div className="p-8 text-center text-gray-500 dark:text-gray-400 space-y-4">
+        <p>There is no {label} document named &quot;{docName}&quot;.</p>
+        <button
+          onClick={() => openDocument(docName)}
+          className="px-3 py-1 text-sm border rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+        >
+          Create it
+        </button>
+      </div>
+    );
+  }
+
+  // Replaced rather than pushed: going back to a renamed file would create it again
+  const handleFilenameChange = (filename) => {
+    openFilename.current = filename;
+    store.setLastFilename(filename);
+    if (filename !== docName) navigate(documentPath(type, filename), { replace: true });
+  };
+
+  return <Component key={instance} initialFilename={docName} onFilenameChange={handleFilenameChange} />;
+};
+
+export default DocumentRoute;
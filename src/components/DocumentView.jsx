@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
+import * as echarts from 'echarts';
+import BlockErrorBoundary from './BlockErrorBoundary';
+import { EDITOR_TYPES } from './editorTypes';
+import useChartTheme from '../hooks/useChartTheme';
+import useContentKinds from '../hooks/useContentKinds';
+import { getDocumentStore } from '../storage/documentStore';
+import { getContentKind, validateContentItem } from '../contentKinds';
+import { collectDatasets } from '../lib/datasets';
+import { createOptionSandbox, parseOptionsJson, detectEvaluationMode, EVALUATION_MODES } from '../lib/optionSandbox';
+import { MARKDOWN_SETTINGS_KIND, readMarkdownConfig, readMarkdownDocument } from '../lib/markdownRenderer';
+import { decodeSharedDocument, documentPath, readSharedDocumentHash, readSharedEvaluationMode } from '../lib/shareLinks';
+
+// Renders like a markdown block of a multi-content document, which also
+// mounts its charts
+const MarkdownView = ({ text, trustedHtml, chartTheme }) => {
+  const { body, config } = useMemo(() => readMarkdownDocument(text), [text]);
+  const { Renderer } = getContentKind('markdown');
+  return <Renderer data={{ text: body }} trustedHtml={trustedHtml} markdownConfig={config} chartTheme={chartTheme} />;
+};
+
+// Options are read as in the editor: plain JSON in safe mode, otherwise the
+// code runs in the same sandbox. Documents without a mode get the editor's
+// guess (see detectEvaluationMode).
+const ChartView = ({ text, chartTheme, evaluationMode }) => {
+  const containerRef = useRef(null);
+  const [option, setOption] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setError('');
+    if ((evaluationMode || detectEvaluationMode(text)) === EVALUATION_MODES.json) {
+      try {
+        setOption(parseOptionsJson(text));
+      } catch (e) {
+        setError(e.message);
+      }
+      return;
+    }
+    const sandbox = createOptionSandbox();
+    let cancelled = false;
+    sandbox.evaluate(text)
+      .then(({ options }) => !cancelled && setOption(options))
+      .catch(e => !cancelled && setError(e.message));
+    return () => {
+      cancelled = true;
+      sandbox.dispose();
+    };
+  }, [text, evaluationMode]);
+
+  useEffect(() => {
+    if (!option) return;
+    const chart = echarts.init(containerRef.current, chartTheme);
+    const observer = new ResizeObserver(() => chart.resize());
+    observer.observe(containerRef.current);
+    try {
+      chart.setOption(option);
+    } catch (e) {
+      console.warn('Error rendering chart:', e);
+      setError(`Chart error: ${e.message}`);
+    }
+    return () => {
+      observer.disconnect();
+      chart.dispose();
+    };
+  }, [option, chartTheme]);
+
+  if (error) return <p className="text-red-500">{error}</p>;
+  return <div ref={containerRef} className="w-full h-[calc(100vh-8rem)]" />;
+};
+
+// Blocks as in the editor's preview, leaving out the same ones exports do:
+// kinds without static HTML (e.g. settings) and blocks with broken data
+const MultiContentView = ({ text, trustedHtml, chartTheme }) => {
+  // Kinds registered later turn up once they are
+  useContentKinds();
+  const items = useMemo(() => {
+    try {
+      const parsed = JSON.parse(text);
+      return Array.isArray(parsed) ? parsed : null;
+    } catch {
+      return null;
+    }
+  }, [text]);
+  const datasets = useMemo(() => collectDatasets(items || []), [items]);
+  const markdownConfig = useMemo(
+    () => readMarkdownConfig(items?.find(item => item?.kind === MARKDOWN_SETTINGS_KIND)?.data).config,
+    [items]
+  );
+
+  if (!items) return <p className="text-red-500">This document&apos;s content isn&apos;t valid.</p>;
+
+  return (
+    <div className="space-y-6">
+      {items.map((item, index) => {
+        const definition = getContentKind(item?.kind);
+        if (!definition || (item.kind !== 'chart' && !definition.toHtml)) return null;
+        if (validateContentItem(item, { datasets }).some(problem => problem.severity === 'error')) return null;
+        const { Renderer } = definition;
+        return (
+          <BlockErrorBoundary key={index} resetKey={item.data}>
+            <Renderer
+              data={item.data}
+              trustedHtml={trustedHtml}
+              datasets={datasets}
+              chartTheme={chartTheme}
+              markdownConfig={markdownConfig}
+            />
+          </BlockErrorBoundary>
+        );
+      })}
+    </div>
+  );
+};
+
+const VIEWS = {
+  markdown: MarkdownView,
+  echarts: ChartView,
+  multicontent: MultiContentView
+};
+
+// Read-only presentation of a document at /view/:type/:docName, without the
+// editor around it. The document comes from the link itself when one is
+// embedded in the fragment (see lib/shareLinks), otherwise from storage.
+// Embedded documents come from whoever made the link, so their HTML is never
+// trusted and they use the default chart theme. Their chart code runs in the
+// option sandbox like any other.
+const DocumentView = () => {
+  const { type, docName } = useParams();
+  const { hash } = useLocation();
+  const navigate = useNavigate();
+  const editorType = EDITOR_TYPES[type];
+  const shared = readSharedDocumentHash(hash);
+  const [doc, setDoc] = useState(null);
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const settings = editorType && !shared ? getDocumentStore(editorType.namespace).getSettings(docName) : {};
+  const chartTheme = useChartTheme(settings.chartTheme);
+
+  useEffect(() => {
+    if (!editorType) return;
+    let cancelled = false;
+    setDoc(null);
+    setError('');
+    const loading = shared
+      ? decodeSharedDocument(shared).then(text => ({ text }))
+      : getDocumentStore(editorType.namespace).load(docName);
+    loading
+      .then(loaded => {
+        if (cancelled) return;
+        if (loaded) setDoc(loaded);
+        else setError(`There is no ${editorType.label} document named "${docName}" in this browser's storage.`);
+      })
+      .catch(e => {
+        if (cancelled) return;
+        console.warn('Error loading document:', e);
+        setError(shared ? 'The document in this link is damaged or incomplete.' : `Error loading document: ${e.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [editorType, docName, shared]);
+
+  // A shared document is copied into storage under a name not taken yet
+  const handleSaveCopy = async () => {
+    const store = getDocumentStore(editorType.namespace);
+    setIsSaving(true);
+    try {
+      const taken = new Set((await store.list()).map(file => file.name));
+      let name = docName;
+      for (let n = 2; taken.has(name); n++) name = `${docName}-${n}`;
+      await store.save(name, doc.text);
+      navigate(documentPath(type, name));
+    } catch (e) {
+      console.error(e);
+      window.alert(`Could not save the document: ${e.message}`);
+      setIsSaving(false);
+    }
+  };
+
+  if (!editorType) {
+    return <p className="p-8 text-center text-gray-500 dark:text-gray-400">Unknown document type &quot;{type}&quot;.</p>;
+  }
+
+  const View = VIEWS[type];
+
+  return (
+    <div className="max-w-4xl mx-auto p-4">
+      <header className="flex items-center justify-between gap-4 mb-6 text-sm text-gray-500 dark:text-gray-400">
+        <span className="truncate">{docName}</span>
+        {doc && (shared ? (
+          <button
+            onClick={handleSaveCopy}
+            disabled={isSaving}
+            className="px-3 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            {isSaving ? 'Saving...' : 'Save a copy to edit'}
+          </button>
+        ) : (
+          <Link to={documentPath(type, docName)} className="px-3 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700">
+            Edit
+          </Link>
+        ))}
+      </header>
+      {error && <p className="text-red-500">{error}</p>}
+      {doc && (
+        <View
+          text={doc.text || ''}
+          trustedHtml={!shared && !!settings.trustedHtml}
+          chartTheme={chartTheme}
+          evaluationMode={shared ? readSharedEvaluationMode(hash) : settings.evaluationMode}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DocumentView;
@@ -1,302 +1,356 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import * as echarts from 'echarts';
+import FileListPanel from './FileListPanel';
+import CodeEditor from './CodeEditor';
+import ProblemsList from './ProblemsList';
+import ExternalChangeBanner from './ExternalChangeBanner';
+import HistoryPanel from './HistoryPanel';
+import ChartBuilder from './ChartBuilder';
+import ExportMenu from './ExportMenu';
+import FilenameInput from './FilenameInput';
+import ShareMenu from './ShareMenu';
+import DataImportDialog from './DataImportDialog';
+import TemplateGallery from './TemplateGallery';
+import ChartThemeControl from './ChartThemeControl';
+import useDocumentStore from '../hooks/useDocumentStore';
+import usePreferences from '../hooks/usePreferences';
+import useChartTheme from '../hooks/useChartTheme';
+import { createOptionSandbox, parseOptionsJson, detectEvaluationMode, EVALUATION_MODES } from '../lib/optionSandbox';
+import {
+  createProblem,
+  createPathProblem,
+  findJavaScriptSyntaxError,
+  findJsonSyntaxErrors,
+  locateEvaluationError
+} from '../lib/problems';
+import { validateEChartsOption } from '../lib/echartsSchema';
+import { echartsCompletion } from '../lib/echartsCompletion';
+import { defaultBuilderModel, modelToOption, optionToModel } from '../lib/chartBuilder';
+import { formatOption } from '../lib/optionFormatter';
+import { downloadText, exportChartPng, exportChartSvg } from '../lib/exportDocument';
+import echartsTemplates from '../templates/echartsTemplates';
+import { updatePreferences } from '../storage/preferences';
 
-const BASE_STORAGE_KEY = 'echarts-editor-content';
+export const BASE_STORAGE_KEY = 'echarts-editor-content';
 
-const EChartsEditor = () => {
-  // State management
-  const [filename, setFilename] = useState(() => {
-    return localStorage.getItem(`${BASE_STORAGE_KEY}-last-filename`) || 'untitled';
-  });
-  
-  const defaultOptions = `{
-  xAxis: {},
-  yAxis: {},
-  series: [{
-    symbolSize: 20,
-    data: [[10.0, 8.04], [8.07, 6.95]],
-    type: 'scatter'
+const defaultOptions = `{
+  "xAxis": {},
+  "yAxis": {},
+  "series": [{
+    "symbolSize": 20,
+    "data": [[10.0, 8.04], [8.07, 6.95]],
+    "type": "scatter"
   }]
 }`;
 
-  const [codeInput, setCodeInput] = useState(() => {
-    try {
-      const savedContent = localStorage.getItem(`${BASE_STORAGE_KEY}-${filename}`);
-      if (savedContent) {
-        const parsed = JSON.parse(savedContent);
-        return parsed.text || defaultOptions;
-      }
-    } catch (e) {
-      console.warn('Error loading saved content:', e);
-    }
-    return defaultOptions;
-  });
+// The configuration is exported as the kind of file its mode reads
+const SOURCE_FORMATS = {
+  [EVALUATION_MODES.javascript]: { extension: 'js', type: 'application/javascript' },
+  [EVALUATION_MODES.json]: { extension: 'json', type: 'application/json' }
+};
+
+// `initialFilename`, `onFilenameChange` and `onOpenFile` let a workspace tab
+// open a given document and follow it (see hooks/useDocumentStore)
+const EChartsEditor = ({ initialFilename, onFilenameChange, onOpenFile }) => {
+  // State management
+  const {
+    store,
+    filename,
+    text: codeInput,
+    isLoaded,
+    savedFiles,
+    saveStatus,
+    saveError,
+    lastSaved,
+    settings,
+    updateSettings,
+    externalChange,
+    acceptExternalChange,
+    keepLocalChanges,
+    saveLocalChangesAsCopy,
+    updateText,
+    restoreRevision,
+    handleNewFile,
+    handleFileClick,
+    renameFile,
+    handleDeleteFile
+  } = useDocumentStore(BASE_STORAGE_KEY, defaultOptions, { initialFilename, onFilenameChange, onOpenFile });
   
   const [chartOptions, setChartOptions] = useState(null);
-  const [parseError, setParseError] = useState('');
-  const [saveStatus, setSaveStatus] = useState('');
-  const [savedFiles, setSavedFiles] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [isFullscreen, setIsFullscreen] = useState(true);
-  const [lastEditTime, setLastEditTime] = useState(Date.now());
+  const [parseProblems, setParseProblems] = useState([]);
+  const [renderProblems, setRenderProblems] = useState([]);
+  const [schemaProblems, setSchemaProblems] = useState([]);
+  const { fullscreen: isFullscreen } = usePreferences();
+  const [showHistory, setShowHistory] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
   const [chart, setChart] = useState(null);
+  const [editorMode, setEditorMode] = useState('code');
+  // The builder's own copy of its model while it is being edited, so inputs
+  // don't wait for the code to be re-evaluated
+  const [builderModel, setBuilderModel] = useState(null);
+  // Open with the dropped file, or null when opened from the button
+  const [dataImport, setDataImport] = useState(undefined);
+  const sandboxRef = useRef(null);
+  const editorRef = useRef(null);
+  const chartContainerRef = useRef(null);
+  const builderTextRef = useRef(null);
+  const chartTheme = useChartTheme(settings.chartTheme);
+  // Chosen per document. Until a document without one has been looked at
+  // (see below) it runs as code, which accepts JSON as well.
+  const evaluationMode = settings.evaluationMode || EVALUATION_MODES.javascript;
+
+  // Documents without a mode get one from their text when they are opened,
+  // so new JSON documents stay in safe mode and older code keeps working
+  useEffect(() => {
+    if (!isLoaded || settings.evaluationMode) return;
+    updateSettings({ evaluationMode: detectEvaluationMode(codeInput) });
+  }, [isLoaded, settings.evaluationMode, codeInput, updateSettings]);
 
-  // Load saved files
+  // Initialize the chart. Themes only apply when a chart is created, so a new
+  // theme means a new chart.
   useEffect(() => {
-    loadSavedFiles();
-    const chartContainer = document.getElementById('echarts-container');
+    const chartContainer = chartContainerRef.current;
     if (chartContainer) {
-      const newChart = echarts.init(chartContainer);
+      const newChart = echarts.init(chartContainer, chartTheme);
       setChart(newChart);
       
-      // Handle window resize
-      const handleResize = () => {
-        newChart.resize();
-      };
-      window.addEventListener('resize', handleResize);
+      // Follow the container rather than the window, so the chart also fits
+      // when a workspace pane is resized or its tab is shown again
+      const resizeObserver = new ResizeObserver(() => newChart.resize());
+      resizeObserver.observe(chartContainer);
       
       return () => {
-        window.removeEventListener('resize', handleResize);
+        resizeObserver.disconnect();
         newChart.dispose();
       };
     }
-  }, []);
+  }, [chartTheme]);
 
-  // Update chart when options change
+  // Update chart when options change. ECharts throws for some invalid options
+  // (e.g. an unknown series type), which is reported with the other problems.
+  // Options replace the previous ones so removed series don't linger.
   useEffect(() => {
     if (chart && chartOptions) {
-      chart.setOption(chartOptions);
-    }
-  }, [chart, chartOptions]);
-
-  const loadSavedFiles = () => {
-    const files = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key?.startsWith(BASE_STORAGE_KEY) && !key.endsWith('last-filename')) {
-        const filename = key.replace(`${BASE_STORAGE_KEY}-`, '');
-        const content = localStorage.getItem(key);
-        const lastModified = JSON.parse(content)?.lastModified || Date.now();
-        files.push({ name: filename, lastModified });
+      try {
+        chart.setOption(chartOptions, true);
+        setRenderProblems([]);
+      } catch (e) {
+        console.error(e);
+        // ECharts doesn't say which option it was, so the problem has no location
+        setRenderProblems([{ message: `Chart error: ${e.message}`, severity: 'error' }]);
       }
     }
-    files.sort((a, b) => b.lastModified - a.lastModified);
-    setSavedFiles(files);
-  };
+  }, [chart, chartOptions]);
 
-  // Save content periodically and when changes occur
+  // The option code runs in a worker so runaway code can't freeze the tab
   useEffect(() => {
-    const saveContent = () => {
-      const content = {
-        text: codeInput,
-        lastModified: Date.now()
-      };
-      localStorage.setItem(`${BASE_STORAGE_KEY}-${filename}`, JSON.stringify(content));
-      localStorage.setItem(`${BASE_STORAGE_KEY}-last-filename`, filename);
-      loadSavedFiles();
-      
-      setSaveStatus('Saved!');
-      const timer = setTimeout(() => setSaveStatus(''), 2000);
-      return () => clearTimeout(timer);
-    };
+    const sandbox = createOptionSandbox();
+    sandboxRef.current = sandbox;
+    return () => sandbox.dispose();
+  }, []);
 
-    saveContent();
-    
-    try {
-      // Evaluate the code input as JavaScript object
-      // eslint-disable-next-line no-new-func
-      const evalFunction = new Function(`return ${codeInput}`);
-      const options = evalFunction();
-      setChartOptions(options);
-      setParseError('');
-    } catch (e) {
-      setParseError('Invalid ECharts configuration');
-      console.error(e);
+  // Evaluate the options when the code changes. Syntax errors are located
+  // before anything runs; runtime errors are mapped back from the worker's stack.
+  useEffect(() => {
+    let cancelled = false;
+    const isJson = evaluationMode === EVALUATION_MODES.json;
+    const syntaxProblems = isJson
+      ? findJsonSyntaxErrors(codeInput)
+      : [findJavaScriptSyntaxError(codeInput)].filter(Boolean);
+    if (syntaxProblems.length) {
+      setParseProblems(syntaxProblems);
+      setSchemaProblems([]);
+      return;
     }
-  }, [codeInput, filename]);
 
-  // Auto-save every 30 seconds if changes were made
-  useEffect(() => {
-    const autoSaveInterval = setInterval(() => {
-      if (Date.now() - lastEditTime < 30000) {
-        const content = {
-          text: codeInput,
-          lastModified: Date.now()
-        };
-        localStorage.setItem(`${BASE_STORAGE_KEY}-${filename}`, JSON.stringify(content));
-        setSaveStatus('Auto-saved!');
-        setTimeout(() => setSaveStatus(''), 2000);
-      }
-    }, 30000);
+    const evaluation = isJson
+      ? Promise.resolve().then(() => ({ options: parseOptionsJson(codeInput), droppedCallbacks: [] }))
+      : sandboxRef.current.evaluate(codeInput);
+
+    evaluation
+      .then(({ options, droppedCallbacks }) => {
+        if (cancelled) return;
+        const language = isJson ? 'json' : 'javascript';
+        setChartOptions(options);
+        setParseProblems([]);
+        setSchemaProblems([
+          ...droppedCallbacks.map(path => createPathProblem(
+            codeInput,
+            path,
+            "Functions (e.g. formatters) are left out: they would run outside the sandbox. Use a formatter string such as '{b}: {c}' instead.",
+            { severity: 'warning', language }
+          )),
+          ...validateEChartsOption(options).map(warning =>
+            createPathProblem(codeInput, warning.path, warning.message, { severity: warning.severity, language })
+          )
+        ]);
+      })
+      .catch(e => {
+        if (cancelled || e.kind === 'cancelled') return;
+        const problem = e.kind === 'runtime'
+          ? locateEvaluationError(codeInput, e.message, e.cause?.stack, e.cause?.prefixLength)
+          : createProblem(codeInput, e.message);
+        setParseProblems([problem]);
+        console.error(e);
+      });
 
-    return () => clearInterval(autoSaveInterval);
-  }, [codeInput, filename, lastEditTime]);
+    return () => {
+      cancelled = true;
+    };
+  }, [codeInput, evaluationMode]);
+
+  const problems = useMemo(
+    () => [...parseProblems, ...renderProblems, ...schemaProblems],
+    [parseProblems, renderProblems, schemaProblems]
+  );
+
+  const editorExtensions = useMemo(
+    () => [echartsCompletion({ quote: evaluationMode === EVALUATION_MODES.json ? '"' : "'" })],
+    [evaluationMode]
+  );
 
   const handleEditorChange = (e) => {
-    setCodeInput(e.target.value);
-    setLastEditTime(Date.now());
+    updateText(e.target.value);
   };
 
-  const handleFilenameChange = (e) => {
-    const newFilename = e.target.value.trim();
-    if (newFilename && newFilename !== filename) {
-      const content = {
-        text: codeInput,
-        lastModified: Date.now()
-      };
-      localStorage.setItem(`${BASE_STORAGE_KEY}-${newFilename}`, JSON.stringify(content));
-      localStorage.removeItem(`${BASE_STORAGE_KEY}-${filename}`);
-      setFilename(newFilename);
-      loadSavedFiles();
+  // Any change that didn't come from the builder (typing, switching files,
+  // restoring a revision) makes it re-read the model from the options
+  useEffect(() => {
+    if (codeInput !== builderTextRef.current) {
+      setBuilderModel(null);
     }
-  };
+  }, [codeInput]);
 
-  const handleFileClick = (selectedFile) => {
-    const content = JSON.parse(localStorage.getItem(`${BASE_STORAGE_KEY}-${selectedFile.name}`) || '{}');
-    setFilename(selectedFile.name);
-    setCodeInput(content.text || defaultOptions);
-    setLastEditTime(Date.now());
+  const optionModel = useMemo(() => optionToModel(chartOptions), [chartOptions]);
+  const currentBuilderModel = builderModel ?? (parseProblems.length ? null : optionModel);
+
+  const handleBuilderChange = (model) => {
+    const text = formatOption(modelToOption(model), { json: evaluationMode === EVALUATION_MODES.json });
+    builderTextRef.current = text;
+    setBuilderModel(model);
+    updateText(text);
   };
 
-  const handleNewFile = () => {
-    const newFilename = `untitled-${Date.now()}`;
-    const content = {
-      text: defaultOptions,
-      lastModified: Date.now()
-    };
-    localStorage.setItem(`${BASE_STORAGE_KEY}-${newFilename}`, JSON.stringify(content));
-    setFilename(newFilename);
-    setCodeInput(defaultOptions);
-    setLastEditTime(Date.now());
-    loadSavedFiles();
+  const handleStartBuilder = () => {
+    if (!window.confirm('Replace the current configuration with a chart built from sample data?')) return;
+    handleBuilderChange(defaultBuilderModel);
   };
 
-  const handleDeleteFile = (fileToDelete) => {
-    if (window.confirm(`Are you sure you want to delete ${fileToDelete.name}?`)) {
-      localStorage.removeItem(`${BASE_STORAGE_KEY}-${fileToDelete.name}`);
-      if (fileToDelete.name === filename) {
-        handleNewFile();
-      }
-      loadSavedFiles();
-    }
+  // The starter chart opens as a new file, leaving the current one as it was
+  const handleGenerateChart = (option) => {
+    handleNewFile(formatOption(option, { json: evaluationMode === EVALUATION_MODES.json }));
+    setDataImport(undefined);
   };
 
-  const handleExport = () => {
-    const blob = new Blob([codeInput], { type: 'application/javascript' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${filename}.js`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  // Caught before the code editor, which would paste the file's text
+  const handleDataDrop = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.dataTransfer.files[0]) setDataImport(e.dataTransfer.files[0]);
   };
 
-  const filteredFiles = savedFiles.filter(file => 
-    file.name.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  // Built-in templates are written out in the current evaluation mode
+  const templates = useMemo(() => echartsTemplates.map(template => ({
+    ...template,
+    text: formatOption(template.option, { json: evaluationMode === EVALUATION_MODES.json })
+  })), [evaluationMode]);
 
-  const formatDate = (timestamp) => {
-    return new Date(timestamp).toLocaleDateString(undefined, {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+  const handleNewFromTemplate = (text) => {
+    handleNewFile(text);
+    setShowTemplates(false);
   };
 
+  const sourceFormat = SOURCE_FORMATS[evaluationMode];
+  const exportOptions = [
+    {
+      label: `Configuration (.${sourceFormat.extension})`,
+      onSelect: () => downloadText(codeInput, `${filename}.${sourceFormat.extension}`, sourceFormat.type)
+    },
+    {
+      label: 'PNG image',
+      disabled: !chart || !chartOptions,
+      onSelect: () => exportChartPng(chart, filename)
+    },
+    {
+      label: 'SVG image',
+      disabled: !chart || !chartOptions,
+      onSelect: () => exportChartSvg(chart, chartOptions, filename, chartTheme)
+    }
+  ];
+
   return (
     <div className={`w-full mx-auto p-4 ${isFullscreen ? 'max-w-none' : 'max-w-6xl'}`}>
-      <div className="grid grid-cols-[250px_1fr] gap-4">
+      <div className={`grid ${showHistory ? 'grid-cols-[250px_320px_1fr]' : 'grid-cols-[250px_1fr]'} gap-4`}>
         {/* File List Panel */}
-        <div className="border rounded-lg p-4 h-[calc(100vh-2rem)]">
-          <div className="flex flex-col h-full">
-            <div className="flex justify-between items-center mb-4">
-              <h2 className="text-lg font-semibold">Files</h2>
-              <button
-                onClick={handleNewFile}
-                className="px-2 py-1 bg-green-500 text-white rounded hover:bg-green-600 transition-colors text-sm"
-              >
-                New File
-              </button>
-            </div>
-            
-            <div className="mb-4">
-              <input
-                type="text"
-                placeholder="Search files..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="w-full px-3 py-2 border rounded"
-              />
-            </div>
+        <FileListPanel
+          files={savedFiles}
+          currentFilename={filename}
+          onNewFile={handleNewFile}
+          onNewFromTemplate={() => setShowTemplates(true)}
+          onFileClick={handleFileClick}
+          onDeleteFile={handleDeleteFile}
+        />
 
-            <div className="flex-1 overflow-auto">
-              {filteredFiles.map((file) => (
-                <div 
-                  key={file.name}
-                  className={`flex flex-col p-2 rounded cursor-pointer hover:bg-gray-100 mb-2 ${
-                    file.name === filename ? 'bg-blue-50 border border-blue-200' : 'border border-transparent'
-                  }`}
-                  onClick={() => handleFileClick(file)}
-                >
-                  <div className="flex justify-between items-center">
-                    <span className="truncate flex-1 font-medium">
-                      {file.name}
-                    </span>
-                    <button
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleDeleteFile(file);
-                      }}
-                      className="ml-2 text-red-500 hover:text-red-700"
-                    >
-                      ×
-                    </button>
-                  </div>
-                  <span className="text-xs text-gray-500">
-                    {formatDate(file.lastModified)}
-                  </span>
-                </div>
-              ))}
-              {filteredFiles.length === 0 && (
-                <div className="text-gray-500 text-sm text-center">
-                  {searchTerm ? 'No matching files' : 'No saved files'}
-                </div>
-              )}
-            </div>
-          </div>
-        </div>
+        {showHistory && (
+          <HistoryPanel
+            history={store.history}
+            filename={filename}
+            currentText={codeInput}
+            lastSaved={lastSaved}
+            onRestore={restoreRevision}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
 
         {/* Main Editor Area */}
         <div className="space-y-4">
+          <ExternalChangeBanner
+            externalChange={externalChange}
+            onReload={acceptExternalChange}
+            onKeepMine={keepLocalChanges}
+            onSaveCopy={saveLocalChangesAsCopy}
+          />
+
           <div className="flex justify-between items-center">
             <div className="flex items-center gap-4">
               <div className="flex items-center gap-2">
-                <input
-                  type="text"
-                  value={filename}
-                  onChange={handleFilenameChange}
-                  onBlur={handleFilenameChange}
+                <FilenameInput
+                  filename={filename}
+                  onRename={renameFile}
                   className="px-2 py-1 border rounded text-lg font-semibold"
                   placeholder="Filename"
                   aria-label="Filename"
                 />
-                <span className="text-sm text-gray-500">.js</span>
+                <span className="text-sm text-gray-500 dark:text-gray-400">.js</span>
               </div>
             </div>
             <div className="flex items-center gap-4">
               <span className="text-sm text-green-600">{saveStatus}</span>
+              {saveError && (
+                <span className="text-sm text-red-500">{saveError}</span>
+              )}
+              <ChartThemeControl
+                value={settings.chartTheme}
+                onChange={(chartTheme) => updateSettings({ chartTheme })}
+              />
               <button
-                onClick={handleExport}
-                className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+                onClick={() => setDataImport(null)}
+                className="px-3 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                title="Create a chart from a CSV, TSV, JSON or Excel file (or drop one on the editor)"
+              >
+                Import data
+              </button>
+              <ExportMenu options={exportOptions} />
+              <ShareMenu type="echarts" filename={filename} text={codeInput} evaluationMode={evaluationMode} />
+              <button
+                onClick={() => setShowHistory(!showHistory)}
+                className="px-3 py-1 bg-gray-500 text-white rounded hover:bg-gray-600 transition-colors"
               >
-                Export
+                {showHistory ? 'Hide History' : 'History'}
               </button>
               <button
-                onClick={() => setIsFullscreen(!isFullscreen)}
+                onClick={() => updatePreferences({ fullscreen: !isFullscreen })}
                 className="px-3 py-1 bg-gray-500 text-white rounded hover:bg-gray-600 transition-colors"
               >
                 {isFullscreen ? 'Exit Fullscreen' : 'Fullscreen'}
@@ -304,30 +358,105 @@ const EChartsEditor = () => {
             </div>
           </div>
 
-          <div className="grid grid-cols-2 gap-4">
+          <div
+            className="grid grid-cols-2 gap-4"
+            onDragOver={(e) => e.dataTransfer.types.includes('Files') && e.preventDefault()}
+            onDropCapture={handleDataDrop}
+          >
             <div className="border rounded-lg p-4">
-              <h2 className="text-lg font-semibold mb-2">ECharts Configuration</h2>
-              <textarea
-                className="w-full h-[calc(100vh-300px)] p-2 border rounded font-mono"
-                value={codeInput}
-                onChange={handleEditorChange}
-                placeholder="Enter your ECharts configuration here..."
-              />
-              {parseError && (
-                <div className="text-red-500 mt-2 text-sm">{parseError}</div>
+              <div className="flex justify-between items-center mb-2">
+                <div className="flex items-center gap-4">
+                  <h2 className="text-lg font-semibold">ECharts Configuration</h2>
+                  <div className="flex border rounded overflow-hidden text-sm" role="tablist">
+                    {['code', 'builder'].map(mode => (
+                      <button
+                        key={mode}
+                        role="tab"
+                        aria-selected={editorMode === mode}
+                        onClick={() => setEditorMode(mode)}
+                        className={`px-3 py-1 ${editorMode === mode ? 'bg-blue-500 text-white' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                      >
+                        {mode === 'code' ? 'Code' : 'Builder'}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <select
+                  value={evaluationMode}
+                  onChange={(e) => updateSettings({ evaluationMode: e.target.value })}
+                  className="px-2 py-1 border rounded text-sm"
+                  aria-label="Evaluation mode"
+                  title="JavaScript runs in an isolated worker, without callbacks such as formatters; Safe mode only accepts plain JSON"
+                >
+                  <option value={EVALUATION_MODES.javascript}>JavaScript (sandboxed)</option>
+                  <option value={EVALUATION_MODES.json}>Safe mode (JSON only)</option>
+                </select>
+              </div>
+              {editorMode === 'code' ? (
+                <>
+                  <CodeEditor
+                    ref={editorRef}
+                    className="w-full h-[calc(100vh-300px)]"
+                    language="javascript"
+                    value={codeInput}
+                    onChange={handleEditorChange}
+                    placeholder="Enter your ECharts configuration here..."
+                    problems={problems}
+                    extensions={editorExtensions}
+                  />
+                  <ProblemsList
+                    problems={problems}
+                    onSelect={(problem) => editorRef.current?.goTo(problem.from)}
+                  />
+                </>
+              ) : currentBuilderModel ? (
+                <ChartBuilder model={currentBuilderModel} onChange={handleBuilderChange} />
+              ) : (
+                <div className="h-[calc(100vh-300px)] flex flex-col items-center justify-center gap-2 text-sm text-gray-500 dark:text-gray-400 text-center">
+                  <p>
+                    {parseProblems.length
+                      ? 'Fix the problems in the code view to use the builder.'
+                      : 'This configuration uses options the builder can\'t edit. The builder works with a dataset and line, bar, scatter or pie series.'}
+                  </p>
+                  <button
+                    onClick={handleStartBuilder}
+                    className="px-3 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+                  >
+                    Start over in the builder
+                  </button>
+                </div>
               )}
             </div>
 
             <div className="border rounded-lg p-4">
               <h2 className="text-lg font-semibold mb-2">Chart Preview</h2>
               <div 
-                id="echarts-container" 
+                ref={chartContainerRef}
                 className="w-full h-[calc(100vh-300px)]"
               />
             </div>
           </div>
         </div>
       </div>
+
+      {showTemplates && (
+        <TemplateGallery
+          namespace={BASE_STORAGE_KEY}
+          templates={templates}
+          filename={filename}
+          currentText={codeInput}
+          onCreate={handleNewFromTemplate}
+          onClose={() => setShowTemplates(false)}
+        />
+      )}
+
+      {dataImport !== undefined && (
+        <DataImportDialog
+          initialFile={dataImport}
+          onGenerate={handleGenerateChart}
+          onClose={() => setDataImport(undefined)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,63 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Export button with a dropdown of formats: [{ label, onSelect }]. Other
+// menus of actions (sharing) reuse it with their own labels.
+const ExportMenu = ({ options, label = 'Export', busyLabel = 'Exporting...' }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const handleSelect = async (option) => {
+    setIsOpen(false);
+    setIsExporting(true);
+    try {
+      await option.onSelect();
+    } catch (e) {
+      console.error(`${label} failed:`, e);
+      window.alert(`${label} failed: ${e.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={isExporting}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors disabled:opacity-50"
+      >
+        {isExporting ? busyLabel : `${label} ▾`}
+      </button>
+      {isOpen && (
+        <ul role="menu" className="absolute right-0 mt-1 w-56 bg-white dark:bg-gray-800 border rounded shadow-lg z-10 py-1">
+          {options.map(option => (
+            <li key={option.label}>
+              <button
+                role="menuitem"
+                onClick={() => handleSelect(option)}
+                disabled={option.disabled}
+                className="w-full text-left px-3 py-1 text-sm hover:bg-gray-100 dark:hover:bg-gray-700 disabled:text-gray-400 disabled:hover:bg-transparent"
+              >
+                {option.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
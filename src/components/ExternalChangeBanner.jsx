@@ -0,0 +1,36 @@
+import React from 'react';
+
+const ExternalChangeBanner = ({ externalChange, onReload, onKeepMine, onSaveCopy }) => {
+  if (!externalChange) return null;
+
+  return (
+    <div className="flex items-center justify-between gap-4 p-3 border border-yellow-300 bg-yellow-50 dark:bg-yellow-900/35 rounded-lg text-sm">
+      <span>
+        This file was changed outside the editor on{' '}
+        {new Date(externalChange.lastModified).toLocaleString()}. Saving is paused until you choose a version.
+      </span>
+      <div className="flex gap-2 shrink-0">
+        <button
+          onClick={onReload}
+          className="px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+        >
+          Load Their Version
+        </button>
+        <button
+          onClick={onKeepMine}
+          className="px-2 py-1 bg-gray-500 text-white rounded hover:bg-gray-600 transition-colors"
+        >
+          Keep Mine
+        </button>
+        <button
+          onClick={onSaveCopy}
+          className="px-2 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+        >
+          Save Mine as Copy
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ExternalChangeBanner;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+
+const formatDate = (timestamp) => {
+  return new Date(timestamp).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const FileListPanel = ({ files, currentFilename, onNewFile, onNewFromTemplate, onFileClick, onDeleteFile }) => {
+  const [searchTerm, setSearchTerm] = useState('');
+
+  const filteredFiles = files.filter(file =>
+    file.name.toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  return (
+    <div className="border rounded-lg p-4 h-[calc(100vh-2rem)]">
+      <div className="flex flex-col h-full">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold">Files</h2>
+          <div className="flex gap-1">
+            <button
+              onClick={() => onNewFile()}
+              className="px-2 py-1 bg-green-500 text-white rounded hover:bg-green-600 transition-colors text-sm"
+            >
+              New File
+            </button>
+            {onNewFromTemplate && (
+              <button
+                onClick={onNewFromTemplate}
+                className="px-2 py-1 border border-green-500 text-green-700 dark:text-green-300 rounded hover:bg-green-50 dark:hover:bg-green-900/35 transition-colors text-sm"
+                title="New from template"
+              >
+                Template…
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="mb-4">
+          <input
+            type="text"
+            placeholder="Search files..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="w-full px-3 py-2 border rounded"
+          />
+        </div>
+
+        <div className="flex-1 overflow-auto">
+          {filteredFiles.map((file) => (
+            <div
+              key={file.name}
+              className={`flex flex-col p-2 rounded cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 mb-2 ${
+                file.name === currentFilename ? 'bg-blue-50 dark:bg-blue-900/35 border border-blue-200 dark:border-blue-800' : 'border border-transparent'
+              }`}
+              onClick={() => onFileClick(file)}
+            >
+              <div className="flex justify-between items-center">
+                <span className="truncate flex-1 font-medium">
+                  {file.name}
+                </span>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onDeleteFile(file);
+                  }}
+                  className="ml-2 text-red-500 hover:text-red-700"
+                >
+                  ×
+                </button>
+              </div>
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                {formatDate(file.lastModified)}
+              </span>
+            </div>
+          ))}
+          {filteredFiles.length === 0 && (
+            <div className="text-gray-500 dark:text-gray-400 text-sm text-center">
+              {searchTerm ? 'No matching files' : 'No saved files'}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FileListPanel;
@@ -0,0 +1,42 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// The open document's name. Renames happen on Enter or when the field loses
+// focus, not on every keystroke, so names typed on the way (e.g. "note" on
+// the way to "notes") never touch other documents. Escape or a refused
+// rename puts the current name back.
+const FilenameInput = ({ filename, onRename, className, ...props }) => {
+  const [draft, setDraft] = useState(filename);
+  const cancelledRef = useRef(false);
+
+  useEffect(() => {
+    setDraft(filename);
+  }, [filename]);
+
+  const commit = async () => {
+    const cancelled = cancelledRef.current;
+    cancelledRef.current = false;
+    if (cancelled || draft.trim() === filename || !(await onRename(draft))) setDraft(filename);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') e.target.blur();
+    if (e.key === 'Escape') {
+      cancelledRef.current = true;
+      e.target.blur();
+    }
+  };
+
+  return (
+    <input
+      type="text"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={handleKeyDown}
+      className={className}
+      {...props}
+    />
+  );
+};
+
+export default FilenameInput;
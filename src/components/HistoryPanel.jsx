@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { diffLines } from 'diff';
+
+const CURRENT = 'current';
+
+const formatTime = (timestamp) => {
+  return new Date(timestamp).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const splitLines = (value) => {
+  const lines = value.split('\n');
+  // diffLines keeps the trailing newline on each part
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+const HistoryPanel = ({ history, filename, currentText, lastSaved, onRestore, onClose }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [baseId, setBaseId] = useState(null);
+  const [compareId, setCompareId] = useState(CURRENT);
+
+  useEffect(() => {
+    setBaseId(null);
+    setCompareId(CURRENT);
+  }, [filename]);
+
+  // Reload after every save so the newest revision shows up
+  useEffect(() => {
+    let cancelled = false;
+    history.list(filename)
+      .then(list => {
+        if (!cancelled) setRevisions(list);
+      })
+      .catch(e => console.warn('Error loading revision history:', e));
+    return () => {
+      cancelled = true;
+    };
+  }, [history, filename, lastSaved]);
+
+  const textFor = (id) => {
+    if (id === CURRENT) return currentText;
+    return revisions.find(revision => revision.id === id)?.text ?? '';
+  };
+
+  const effectiveBaseId = baseId ?? revisions[0]?.id ?? CURRENT;
+  const baseText = textFor(effectiveBaseId);
+  const compareText = textFor(compareId);
+
+  const changes = useMemo(
+    () => diffLines(baseText, compareText),
+    [baseText, compareText]
+  );
+  const hasChanges = changes.some(part => part.added || part.removed);
+
+  const selectorClass = (selected) =>
+    `w-6 h-6 text-xs rounded border ${selected ? 'bg-blue-500 text-white border-blue-500' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`;
+
+  return (
+    <div className="border rounded-lg p-4 h-[calc(100vh-2rem)] flex flex-col">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-lg font-semibold">History</h2>
+        <button onClick={onClose} className="text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300" aria-label="Close history">
+          ×
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+        Pick <strong>A</strong> and <strong>B</strong> to compare two versions.
+      </p>
+
+      <div className="overflow-auto max-h-[40%] mb-4 space-y-1">
+        {[{ id: CURRENT, lastModified: null }, ...revisions].map((revision) => (
+          <div key={revision.id} className="flex items-center gap-2 p-1 rounded hover:bg-gray-50 dark:hover:bg-gray-700">
+            <button
+              className={selectorClass(effectiveBaseId === revision.id)}
+              onClick={() => setBaseId(revision.id)}
+              title="Compare from this version"
+            >
+              A
+            </button>
+            <button
+              className={selectorClass(compareId === revision.id)}
+              onClick={() => setCompareId(revision.id)}
+              title="Compare to this version"
+            >
+              B
+            </button>
+            <span className="flex-1 text-sm truncate">
+              {revision.id === CURRENT ? 'Current' : formatTime(revision.lastModified)}
+            </span>
+            {revision.id !== CURRENT && (
+              <button
+                onClick={() => onRestore(revision)}
+                className="text-xs px-2 py-0.5 border rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+              >
+                Restore
+              </button>
+            )}
+          </div>
+        ))}
+        {revisions.length === 0 && (
+          <div className="text-gray-500 dark:text-gray-400 text-sm text-center">No revisions yet</div>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-auto border rounded font-mono text-xs">
+        {!hasChanges ? (
+          <div className="p-2 text-gray-500 dark:text-gray-400">No differences</div>
+        ) : (
+          changes.flatMap((part, partIndex) =>
+            splitLines(part.value).map((line, lineIndex) => (
+              <div
+                key={`${partIndex}-${lineIndex}`}
+                className={`px-2 whitespace-pre-wrap ${
+                  part.added ? 'bg-green-50 dark:bg-green-900/35 text-green-800 dark:text-green-300' : part.removed ? 'bg-red-50 dark:bg-red-900/35 text-red-800 dark:text-red-300' : 'text-gray-600 dark:text-gray-400'
+                }`}
+              >
+                {part.added ? '+ ' : part.removed ? '- ' : '  '}{line}
+              </div>
+            ))
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,74 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { Prec } from '@codemirror/state';
+import { keymap } from '@codemirror/view';
+import CodeEditor from './CodeEditor';
+
+const NO_PROBLEMS = () => [];
+const NO_EXTENSIONS = [];
+
+// Focused editor for one block's text. Changes are only written back when
+// applied, and not while `getProblems` reports errors.
+const InlineBlockEditor = ({
+  initialText,
+  language = 'text',
+  extensions: extraExtensions = NO_EXTENSIONS,
+  getProblems = NO_PROBLEMS,
+  onApply,
+  onCancel
+}) => {
+  const [text, setText] = useState(initialText);
+
+  const problems = useMemo(() => getProblems(text), [getProblems, text]);
+  const hasErrors = problems.some(problem => problem.severity !== 'warning');
+
+  const handleApply = () => {
+    if (!hasErrors) onApply(text);
+  };
+
+  // Mod-Enter applies and Escape cancels, ahead of the editor's own bindings
+  // (Escape still closes an open completion list first)
+  const handlersRef = useRef();
+  handlersRef.current = { apply: handleApply, cancel: onCancel };
+  const extensions = useMemo(() => [
+    Prec.highest(keymap.of([
+      { key: 'Mod-Enter', run: () => { handlersRef.current.apply(); return true; } }
+    ])),
+    keymap.of([
+      { key: 'Escape', run: () => { handlersRef.current.cancel(); return true; } }
+    ]),
+    ...extraExtensions
+  ], [extraExtensions]);
+
+  return (
+    <div className="space-y-2">
+      <CodeEditor
+        className="w-full h-64"
+        language={language}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        problems={problems}
+        extensions={extensions}
+      />
+      <div className="flex justify-between items-center">
+        <span className="text-sm text-red-500">
+          {problems[0] && `${problems[0].line ?? ''}${problems[0].line ? `:${problems[0].column} ` : ''}${problems[0].message}`}
+        </span>
+        <div className="flex gap-2">
+          <button onClick={onCancel} className="px-3 py-1 text-sm border rounded hover:bg-gray-100 dark:hover:bg-gray-700">
+            Cancel
+          </button>
+          <button
+            onClick={handleApply}
+            disabled={hasErrors}
+            className="px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+            title="Apply (Ctrl+Enter); Escape cancels"
+          >
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InlineBlockEditor;
@@ -1,284 +1,275 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import MarkdownIt from 'markdown-it';
-import markdownItCollapsible from 'markdown-it-collapsible';
-import markdownItKatex from 'markdown-it-katex';
-import {markdownItFancyListPlugin} from 'markdown-it-fancy-lists';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import FileListPanel from './FileListPanel';
+import CodeEditor from './CodeEditor';
+import ExternalChangeBanner from './ExternalChangeBanner';
+import HistoryPanel from './HistoryPanel';
+import TrustedHtmlToggle from './TrustedHtmlToggle';
+import ExportMenu from './ExportMenu';
+import FilenameInput from './FilenameInput';
+import ShareMenu from './ShareMenu';
+import TemplateGallery from './TemplateGallery';
+import ChartThemeControl from './ChartThemeControl';
+import MarkdownSettingsControl from './MarkdownSettingsControl';
+import useDocumentStore from '../hooks/useDocumentStore';
+import usePreferences from '../hooks/usePreferences';
+import useChartTheme from '../hooks/useChartTheme';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import { ECHARTS_BLOCK_SELECTOR, mountEChartsBlock } from '../lib/markdownItECharts';
+import { readMarkdownDocument, writeMarkdownConfig, renderMarkdown } from '../lib/markdownRenderer';
+import { createIncrementalRenderer } from '../lib/incrementalMarkdown';
+import { patchHtml } from '../lib/patchHtml';
+import { previewOffsetForLine, lineForPreviewOffset, elementForLine, lineForElement } from '../lib/scrollSync';
+import { downloadText, buildStandaloneHtml, inlineChartBlocks, printHtml } from '../lib/exportDocument';
+import markdownTemplates from '../templates/markdownTemplates';
+import { PREVIEW_SCALES, updatePreferences } from '../storage/preferences';
 
-const BASE_STORAGE_KEY = 'markdown-editor-content';
+export const BASE_STORAGE_KEY = 'markdown-editor-content';
 
-const MarkdownEditor = () => {
-  // State management
-  const [filename, setFilename] = useState(() => {
-    return localStorage.getItem(`${BASE_STORAGE_KEY}-last-filename`) || 'untitled';
-  });
-  const [markdown, setMarkdown] = useState(() => {
-      try {
-        const savedContent = localStorage.getItem(`${BASE_STORAGE_KEY}-${filename}`);
-        if (savedContent) {
-          const parsed = JSON.parse(savedContent);
-          return parsed.text || ``;
-        }
-      } catch (e) {
-        console.warn('Error loading saved content:', e);
-      }
-      return ``;
-    });
-  const [html, setHtml] = useState('');
-  const [saveStatus, setSaveStatus] = useState('');
-  const [savedFiles, setSavedFiles] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [isFullscreen, setIsFullscreen] = useState(true);
-  const [lastEditTime, setLastEditTime] = useState(Date.now());
-  const [wordCount, setWordCount] = useState(0);
-  const [charCount, setCharCount] = useState(0);
+// The preview waits for a pause in typing
+const PREVIEW_DELAY = 150;
 
-  // Load saved files and initialize markdown-it
-  useEffect(() => {
-    loadSavedFiles();
-    initializeMarkdownIt();
-  }, []);
+// `initialFilename`, `onFilenameChange` and `onOpenFile` let a workspace tab
+// open a given document and follow it (see hooks/useDocumentStore)
+const MarkdownEditor = ({ initialFilename, onFilenameChange, onOpenFile }) => {
+  // State management
+  const {
+    store,
+    filename,
+    text: markdown,
+    savedFiles,
+    saveStatus,
+    saveError,
+    lastSaved,
+    settings,
+    updateSettings,
+    externalChange,
+    acceptExternalChange,
+    keepLocalChanges,
+    saveLocalChangesAsCopy,
+    updateText,
+    restoreRevision,
+    handleNewFile,
+    handleFileClick,
+    renameFile,
+    handleDeleteFile
+  } = useDocumentStore(BASE_STORAGE_KEY, '', { initialFilename, onFilenameChange, onOpenFile });
+  const { fullscreen: isFullscreen, previewScale, syncScroll } = usePreferences();
+  const [showHistory, setShowHistory] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const previewRef = useRef(null);
+  const editorRef = useRef(null);
+  // Set on a pane scrolled to follow the other one, so its scroll event
+  // doesn't scroll the other pane back
+  const followingRef = useRef({ editor: false, preview: false });
+  const [cursorLine, setCursorLine] = useState(null);
+  const renderPreview = useMemo(() => createIncrementalRenderer(), []);
+  // Live charts in the preview, by placeholder element (null for broken ones)
+  const chartsRef = useRef(new Map());
+  const chartTheme = useChartTheme(settings.chartTheme);
 
-  const loadSavedFiles = () => {
-    const files = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key?.startsWith(BASE_STORAGE_KEY) && !key.endsWith('last-filename')) {
-        const filename = key.replace(`${BASE_STORAGE_KEY}-`, '');
-        const content = localStorage.getItem(key);
-        const lastModified = JSON.parse(content)?.lastModified || Date.now();
-        files.push({ name: filename, lastModified });
-      }
-    }
-    // Sort by filename, most recent first
-    files.sort((a, b) => b.filename - a.filename);
-    setSavedFiles(files);
-  };
+  // The front matter holds the document's Markdown settings and isn't shown
+  const { body, config: markdownConfig, problems: configProblems } = useMemo(
+    () => readMarkdownDocument(markdown),
+    [markdown]
+  );
 
-  const initializeMarkdownIt = useCallback(() => {
-    const md = new MarkdownIt({
-      html: true,
-      linkify: true,
-      typographer: true,
-      breaks: true
+  // Re-render the preview when the content changes. Its blocks carry their
+  // source lines for scroll sync; exports are rendered without them.
+  const previewMarkdown = useDebouncedValue(markdown, PREVIEW_DELAY);
+  const html = useMemo(() => {
+    const preview = readMarkdownDocument(previewMarkdown);
+    return renderPreview(preview.body, {
+      config: preview.config,
+      trustedHtml: settings.trustedHtml,
+      sourceLineOffset: preview.bodyLine
     });
+  }, [previewMarkdown, settings.trustedHtml, renderPreview]);
 
-    md.use(markdownItFancyListPlugin).use(markdownItCollapsible).use(markdownItKatex);
+  const exportBody = () => inlineChartBlocks(
+    renderMarkdown(body, { config: markdownConfig, trustedHtml: settings.trustedHtml }),
+    { theme: chartTheme }
+  );
 
-    const content = JSON.parse(localStorage.getItem(`${BASE_STORAGE_KEY}-${filename}`) || '{}');
-    const renderedHtml = md.render(content?.text || markdown);
-    setHtml(renderedHtml);
-    
-    // Update word and character count
-    const text = content?.text || markdown;
-    setWordCount(text.trim().split(/\s+/).length);
-    setCharCount(text.length);
-  }, [filename, markdown]);
+  const wordCount = body.trim() ? body.trim().split(/\s+/).length : 0;
+  const charCount = markdown.length;
 
-  // Save content periodically and when changes occur
+  // All charts are rebuilt in a new theme. They follow the preview's size,
+  // which also changes when a workspace pane is resized or its tab shown again.
   useEffect(() => {
-    const saveContent = () => {
-      const content = {
-        text: markdown,
-        lastModified: Date.now()
-      };
-      localStorage.setItem(`${BASE_STORAGE_KEY}-${filename}`, JSON.stringify(content));
-      localStorage.setItem(`${BASE_STORAGE_KEY}-last-filename`, filename);
-      loadSavedFiles();
-      
-      setSaveStatus('Saved!');
-      const timer = setTimeout(() => setSaveStatus(''), 2000);
-      return () => clearTimeout(timer);
+    const charts = chartsRef.current;
+    const resizeObserver = new ResizeObserver(() => charts.forEach(chart => chart?.resize()));
+    if (previewRef.current) resizeObserver.observe(previewRef.current);
+    return () => {
+      resizeObserver.disconnect();
+      charts.forEach(chart => chart?.dispose());
+      charts.clear();
     };
+  }, [chartTheme]);
 
-    saveContent();
-    initializeMarkdownIt();
-  }, [markdown, filename, initializeMarkdownIt]);
-
-  // Auto-save every 30 seconds if changes were made
+  // Only the blocks that changed are replaced, so charts are mounted into new
+  // placeholders and disposed with removed ones
   useEffect(() => {
-    const autoSaveInterval = setInterval(() => {
-      if (Date.now() - lastEditTime < 30000) {
-        const content = {
-          text: markdown,
-          lastModified: Date.now()
-        };
-        localStorage.setItem(`${BASE_STORAGE_KEY}-${filename}`, JSON.stringify(content));
-        setSaveStatus('Auto-saved!');
-        setTimeout(() => setSaveStatus(''), 2000);
+    const preview = previewRef.current;
+    if (!preview) return;
+    patchHtml(preview, html);
+    const charts = chartsRef.current;
+    charts.forEach((chart, element) => {
+      if (!element.isConnected) {
+        chart?.dispose();
+        charts.delete(element);
       }
-    }, 30000);
-
-    return () => clearInterval(autoSaveInterval);
-  }, [markdown, filename, lastEditTime]);
+    });
+    preview.querySelectorAll(ECHARTS_BLOCK_SELECTOR).forEach(element => {
+      if (!charts.has(element)) charts.set(element, mountEChartsBlock(element, { theme: chartTheme }));
+    });
+  }, [html, chartTheme]);
 
-  const handleEditorChange = (e) => {
-    setMarkdown(e.target.value);
-    setLastEditTime(Date.now());
-  };
+  // Marks the block under the cursor
+  useEffect(() => {
+    if (!previewRef.current || cursorLine === null) return;
+    const element = elementForLine(previewRef.current, cursorLine);
+    element?.classList.add('source-line-active');
+    return () => element?.classList.remove('source-line-active');
+  }, [html, cursorLine]);
 
-  const handleFilenameChange = (e) => {
-    const newFilename = e.target.value.trim();
-    if (newFilename && newFilename !== filename) {
-      const content = {
-        text: markdown,
-        lastModified: Date.now()
-      };
-      localStorage.setItem(`${BASE_STORAGE_KEY}-${newFilename}`, JSON.stringify(content));
-      localStorage.removeItem(`${BASE_STORAGE_KEY}-${filename}`);
-      setFilename(newFilename);
-      loadSavedFiles();
+  const handleEditorScroll = (line) => {
+    if (followingRef.current.editor) {
+      followingRef.current.editor = false;
+      return;
     }
+    const preview = previewRef.current;
+    if (!syncScroll || !preview) return;
+    const offset = previewOffsetForLine(preview, line);
+    if (offset === null) return;
+    const before = preview.scrollTop;
+    preview.scrollTop = offset;
+    followingRef.current.preview = preview.scrollTop !== before;
   };
 
-  const handleFileClick = (selectedFile) => {
-    const content = JSON.parse(localStorage.getItem(`${BASE_STORAGE_KEY}-${selectedFile.name}`) || '{}');
-    setFilename(selectedFile.name);
-    setMarkdown(content.text || '');
-    setLastEditTime(Date.now());
+  const handlePreviewScroll = () => {
+    if (followingRef.current.preview) {
+      followingRef.current.preview = false;
+      return;
+    }
+    if (!syncScroll) return;
+    const line = lineForPreviewOffset(previewRef.current, previewRef.current.scrollTop);
+    if (line !== null) {
+      followingRef.current.editor = !!editorRef.current?.scrollToLine(line);
+    }
   };
 
-  const handleNewFile = () => {
-    const newFilename = `untitled-${Date.now()}`;
-    const content = {
-      text: '',
-      lastModified: Date.now()
-    };
-    localStorage.setItem(`${BASE_STORAGE_KEY}-${newFilename}`, JSON.stringify(content));
-    setFilename(newFilename);
-    setMarkdown('');
-    setLastEditTime(Date.now());
-    loadSavedFiles();
+  // Clicking rendered text puts the cursor on its source, unless it's a link
+  // or control, or text is being selected
+  const handlePreviewClick = (e) => {
+    if (e.target.closest('a, button, input, summary, canvas') || window.getSelection()?.toString()) return;
+    const line = lineForElement(e.target);
+    if (line !== null) editorRef.current?.goToLine(line);
   };
 
-  const handleDeleteFile = (fileToDelete) => {
-    if (window.confirm(`Are you sure you want to delete ${fileToDelete.name}?`)) {
-      localStorage.removeItem(`${BASE_STORAGE_KEY}-${fileToDelete.name}`);
-      if (fileToDelete.name === filename) {
-        handleNewFile();
-      }
-      loadSavedFiles();
-    }
+  const handleEditorChange = (e) => {
+    updateText(e.target.value);
   };
 
-  const handleExport = () => {
-    const blob = new Blob([markdown], { type: 'text/markdown' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${filename}.md`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  const handleNewFromTemplate = (text) => {
+    handleNewFile(text);
+    setShowTemplates(false);
   };
 
-  const filteredFiles = savedFiles.filter(file => 
-    file.name.toLowerCase().includes(searchTerm.toLowerCase())
-  );
-
-  const formatDate = (timestamp) => {
-    return new Date(timestamp).toLocaleDateString(undefined, {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
+  const exportOptions = [
+    {
+      label: 'Markdown source (.md)',
+      onSelect: () => downloadText(markdown, `${filename}.md`, 'text/markdown')
+    },
+    {
+      label: 'HTML page (.html)',
+      onSelect: async () => {
+        const page = await buildStandaloneHtml({ title: filename, body: exportBody() });
+        downloadText(page, `${filename}.html`, 'text/html');
+      }
+    },
+    {
+      label: 'Print / Save as PDF',
+      onSelect: async () => printHtml(await buildStandaloneHtml({ title: filename, body: exportBody() }))
+    }
+  ];
 
   return (
     <div className={`w-full mx-auto p-4 ${isFullscreen ? 'max-w-none' : 'max-w-6xl'}`}>
-      <div className="grid grid-cols-[250px_1fr] gap-4">
+      <div className={`grid ${showHistory ? 'grid-cols-[250px_320px_1fr]' : 'grid-cols-[250px_1fr]'} gap-4`}>
         {/* File List Panel */}
-        <div className="border rounded-lg p-4 h-[calc(100vh-2rem)]">
-          <div className="flex flex-col h-full">
-            <div className="flex justify-between items-center mb-4">
-              <h2 className="text-lg font-semibold">Files</h2>
-              <button
-                onClick={handleNewFile}
-                className="px-2 py-1 bg-green-500 text-white rounded hover:bg-green-600 transition-colors text-sm"
-              >
-                New File
-              </button>
-            </div>
-            
-            <div className="mb-4">
-              <input
-                type="text"
-                placeholder="Search files..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="w-full px-3 py-2 border rounded"
-              />
-            </div>
+        <FileListPanel
+          files={savedFiles}
+          currentFilename={filename}
+          onNewFile={handleNewFile}
+          onNewFromTemplate={() => setShowTemplates(true)}
+          onFileClick={handleFileClick}
+          onDeleteFile={handleDeleteFile}
+        />
 
-            <div className="flex-1 overflow-auto">
-              {filteredFiles.map((file) => (
-                <div 
-                  key={file.name}
-                  className={`flex flex-col p-2 rounded cursor-pointer hover:bg-gray-100 mb-2 ${
-                    file.name === filename ? 'bg-blue-50 border border-blue-200' : 'border border-transparent'
-                  }`}
-                  onClick={() => handleFileClick(file)}
-                >
-                  <div className="flex justify-between items-center">
-                    <span className="truncate flex-1 font-medium">
-                      {file.name}
-                    </span>
-                    <button
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleDeleteFile(file);
-                      }}
-                      className="ml-2 text-red-500 hover:text-red-700"
-                    >
-                      ×
-                    </button>
-                  </div>
-                  <span className="text-xs text-gray-500">
-                    {formatDate(file.lastModified)}
-                  </span>
-                </div>
-              ))}
-              {filteredFiles.length === 0 && (
-                <div className="text-gray-500 text-sm text-center">
-                  {searchTerm ? 'No matching files' : 'No saved files'}
-                </div>
-              )}
-            </div>
-          </div>
-        </div>
+        {showHistory && (
+          <HistoryPanel
+            history={store.history}
+            filename={filename}
+            currentText={markdown}
+            lastSaved={lastSaved}
+            onRestore={restoreRevision}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
 
         {/* Main Editor Area */}
         <div className="space-y-4">
+          <ExternalChangeBanner
+            externalChange={externalChange}
+            onReload={acceptExternalChange}
+            onKeepMine={keepLocalChanges}
+            onSaveCopy={saveLocalChangesAsCopy}
+          />
+
           <div className="flex justify-between items-center">
             <div className="flex items-center gap-4">
               <div className="flex items-center gap-2">
-                <input
-                  type="text"
-                  value={filename}
-                  onChange={handleFilenameChange}
-                  onBlur={handleFilenameChange}
+                <FilenameInput
+                  filename={filename}
+                  onRename={renameFile}
                   className="px-2 py-1 border rounded text-lg font-semibold"
                   placeholder="Filename"
                   aria-label="Filename"
                 />
-                <span className="text-sm text-gray-500">.md</span>
+                <span className="text-sm text-gray-500 dark:text-gray-400">.md</span>
               </div>
             </div>
             <div className="flex items-center gap-4">
-              <div className="text-sm text-gray-500">
+              <div className="text-sm text-gray-500 dark:text-gray-400">
                 {wordCount} words | {charCount} characters
               </div>
+              <MarkdownSettingsControl
+                config={markdownConfig}
+                onChange={(config) => updateText(writeMarkdownConfig(markdown, config))}
+                disabled={configProblems.some(problem => !problem.path.length) && 'Fix the front matter first'}
+              />
+              <ChartThemeControl
+                value={settings.chartTheme}
+                onChange={(chartTheme) => updateSettings({ chartTheme })}
+              />
+              <TrustedHtmlToggle
+                trusted={settings.trustedHtml}
+                onChange={(trustedHtml) => updateSettings({ trustedHtml })}
+              />
               <span className="text-sm text-green-600">{saveStatus}</span>
+              {saveError && (
+                <span className="text-sm text-red-500">{saveError}</span>
+              )}
+              <ExportMenu options={exportOptions} />
+              <ShareMenu type="markdown" filename={filename} text={markdown} />
               <button
-                onClick={handleExport}
-                className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+                onClick={() => setShowHistory(!showHistory)}
+                className="px-3 py-1 bg-gray-500 text-white rounded hover:bg-gray-600 transition-colors"
               >
-                Export
+                {showHistory ? 'Hide History' : 'History'}
               </button>
               <button
-                onClick={() => setIsFullscreen(!isFullscreen)}
+                onClick={() => updatePreferences({ fullscreen: !isFullscreen })}
                 className="px-3 py-1 bg-gray-500 text-white rounded hover:bg-gray-600 transition-colors"
               >
                 {isFullscreen ? 'Exit Fullscreen' : 'Fullscreen'}
@@ -289,25 +280,47 @@ const MarkdownEditor = () => {
           <div className="grid grid-cols-2 gap-4">
             <div className="border rounded-lg p-4">
               <h2 className="text-lg font-semibold mb-2">Editor</h2>
-              <textarea
-                className="w-full h-[calc(100vh-300px)] p-2 border rounded font-mono"
+              <CodeEditor
+                ref={editorRef}
+                className="w-full h-[calc(100vh-300px)]"
+                language="markdown"
                 value={markdown}
                 onChange={handleEditorChange}
+                onScrollLine={handleEditorScroll}
+                onCursorLine={setCursorLine}
                 placeholder="Enter your markdown here..."
               />
             </div>
 
             <div className="border rounded-lg p-4">
               <h2 className="text-lg font-semibold mb-2">Preview</h2>
+              {configProblems.length > 0 && (
+                <div className="mb-2 text-sm text-yellow-700 dark:text-yellow-300">
+                  {configProblems.map(problem => <div key={problem.message}>{problem.message}</div>)}
+                </div>
+              )}
               <div 
-                className="prose max-w-none h-[calc(100vh-300px)] overflow-auto"
-                dangerouslySetInnerHTML={{ __html: html }}
+                ref={previewRef}
+                onScroll={handlePreviewScroll}
+                onClick={handlePreviewClick}
+                className={`prose ${PREVIEW_SCALES[previewScale]} dark:prose-invert max-w-none h-[calc(100vh-300px)] overflow-auto`}
               />
             </div>
           </div>
         </div>
       </div>
 
+      {showTemplates && (
+        <TemplateGallery
+          namespace={BASE_STORAGE_KEY}
+          templates={markdownTemplates}
+          filename={filename}
+          currentText={markdown}
+          onCreate={handleNewFromTemplate}
+          onClose={() => setShowTemplates(false)}
+        />
+      )}
+
       <style jsx global>{`
         .collapsible {
           border: 1px solid #ddd;
@@ -335,6 +348,24 @@ const MarkdownEditor = () => {
           display: block;
         }
 
+        .echarts-block {
+          width: 100%;
+          height: 320px;
+          margin: 1em 0;
+        }
+
+        .echarts-block-error {
+          height: auto;
+          padding: 8px 12px;
+          border: 1px solid #fca5a5;
+          border-radius: 4px;
+          background-color: #fef2f2;
+          color: #dc2626;
+          font-family: monospace;
+          font-size: 0.875em;
+          white-space: pre-wrap;
+        }
+
         .text-green-600 {
           transition: opacity 0.3s ease-in-out;
         }
@@ -0,0 +1,40 @@
+import React, { useState, useEffect, useRef } from 'react';
+import MarkdownSettingsPanel from './MarkdownSettingsPanel';
+
+// Header button opening the Markdown settings of the current document.
+// `disabled` carries the reason they can't be changed right now.
+const MarkdownSettingsControl = ({ config, onChange, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={!!disabled}
+        aria-expanded={isOpen}
+        className="px-2 py-1 border rounded text-sm hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+        title={disabled || 'Markdown options and plugins for this document'}
+      >
+        Markdown ▾
+      </button>
+      {isOpen && !disabled && (
+        <div className="absolute right-0 mt-1 w-[28rem] bg-white dark:bg-gray-800 border rounded shadow-lg z-10 p-3">
+          <MarkdownSettingsPanel config={config} onChange={onChange} />
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Saved with the document, so it renders the same wherever it is opened.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MarkdownSettingsControl;
@@ -0,0 +1,65 @@
+import React from 'react';
+import { MARKDOWN_OPTIONS, MARKDOWN_PLUGINS, DEFAULT_MARKDOWN_CONFIG } from '../lib/markdownRenderer';
+
+const Toggle = ({ label, description, checked, disabled, onChange }) => (
+  <label className={`flex items-start gap-2 py-0.5 ${disabled ? 'opacity-60' : ''}`} title={description}>
+    <input type="checkbox" checked={checked} disabled={disabled} onChange={(e) => onChange(e.target.checked)} className="mt-1" />
+    <span>
+      {label}
+      <span className="block text-xs text-gray-500 dark:text-gray-400">{description}</span>
+    </span>
+  </label>
+);
+
+// Checkboxes for a document's markdown-it options and plugins
+const MarkdownSettingsPanel = ({ config, onChange }) => {
+  // Plugins another enabled plugin depends on can't be switched off alone
+  const required = new Set(config.plugins.flatMap(name => MARKDOWN_PLUGINS[name].requires || []));
+
+  const togglePlugin = (name, enabled) => {
+    onChange({
+      ...config,
+      plugins: Object.keys(MARKDOWN_PLUGINS).filter(plugin => (plugin === name ? enabled : config.plugins.includes(plugin)))
+    });
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div>
+        <h3 className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase mb-1">Options</h3>
+        {Object.entries(MARKDOWN_OPTIONS).map(([key, { label, description }]) => (
+          <Toggle
+            key={key}
+            label={label}
+            description={description}
+            checked={config[key]}
+            onChange={(checked) => onChange({ ...config, [key]: checked })}
+          />
+        ))}
+      </div>
+      <div>
+        <h3 className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase mb-1">Plugins</h3>
+        <div className="grid grid-cols-2 gap-x-4">
+          {Object.entries(MARKDOWN_PLUGINS).map(([name, { label, description }]) => (
+            <Toggle
+              key={name}
+              label={label}
+              description={description}
+              checked={config.plugins.includes(name) || required.has(name)}
+              disabled={required.has(name)}
+              onChange={(checked) => togglePlugin(name, checked)}
+            />
+          ))}
+        </div>
+      </div>
+      <button
+        onClick={() => onChange(DEFAULT_MARKDOWN_CONFIG)}
+        className="px-3 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+      >
+        Reset to defaults
+      </button>
+    </div>
+  );
+};
+
+export default MarkdownSettingsPanel;
@@ -1,20 +1,36 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import * as echarts from 'echarts';
-import MarkdownIt from 'markdown-it';
-import markdownItCollapsible from 'markdown-it-collapsible';
-import markdownItKatex from 'markdown-it-katex';
-import {markdownItFancyListPlugin} from 'markdown-it-fancy-lists';
-
-const BASE_STORAGE_KEY = 'multi-content-editor';
-
-const md = new MarkdownIt({
-  html: true,
-  linkify: true,
-  typographer: true,
-  breaks: true
-}).use(markdownItFancyListPlugin)
-  .use(markdownItCollapsible)
-  .use(markdownItKatex);
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import FileListPanel from './FileListPanel';
+import CodeEditor from './CodeEditor';
+import ProblemsList from './ProblemsList';
+import ExternalChangeBanner from './ExternalChangeBanner';
+import HistoryPanel from './HistoryPanel';
+import TrustedHtmlToggle from './TrustedHtmlToggle';
+import BlockInserter from './BlockInserter';
+import BlockErrorBoundary from './BlockErrorBoundary';
+import ExportMenu from './ExportMenu';
+import FilenameInput from './FilenameInput';
+import ShareMenu from './ShareMenu';
+import TemplateGallery from './TemplateGallery';
+import ChartThemeControl from './ChartThemeControl';
+import MarkdownSettingsControl from './MarkdownSettingsControl';
+import useDocumentStore from '../hooks/useDocumentStore';
+import usePreferences from '../hooks/usePreferences';
+import useContentKinds from '../hooks/useContentKinds';
+import useChartTheme from '../hooks/useChartTheme';
+import { downloadText, buildReportHtml, printHtml } from '../lib/exportDocument';
+import { createProblem, createJsonPathProblem, findJsonSyntaxErrors, positionToOffset } from '../lib/problems';
+import { echartsCompletion, multiContentOptionPath } from '../lib/echartsCompletion';
+import { itemsToDocument, documentToItems, documentRoundTripProblem } from '../lib/multiContentDocument';
+import { insertBlock, duplicateBlock, removeBlock, moveBlock, updateBlockData } from '../lib/contentBlocks';
+import { matchBlocks } from '../lib/blockIdentity';
+import { getContentKind, validateContentItem } from '../contentKinds';
+import { JsonDataEditor } from '../contentKinds/editors';
+import { collectDatasets, resolveChartOption } from '../lib/datasets';
+import { MARKDOWN_SETTINGS_KIND, readMarkdownConfig, storedMarkdownConfig } from '../lib/markdownRenderer';
+import multiContentTemplates from '../templates/multiContentTemplates';
+import { updatePreferences } from '../storage/preferences';
+
+export const BASE_STORAGE_KEY = 'multi-content-editor';
 
 const defaultContent = `[
   {
@@ -37,269 +53,493 @@ const defaultContent = `[
   }
 ]`;
 
-const MultiContentEditor = () => {
-  // State definitions
-  const [filename, setFilename] = useState(() => {
-    return localStorage.getItem(`${BASE_STORAGE_KEY}-last-filename`) || 'untitled';
-  });
+const editorExtensions = [
+  echartsCompletion({ quote: '"', toOptionPath: multiContentOptionPath })
+];
 
-  const [codeInput, setCodeInput] = useState(() => {
-    try {
-      const savedContent = localStorage.getItem(`${BASE_STORAGE_KEY}-${filename}`);
-      if (savedContent) {
-        const parsed = JSON.parse(savedContent);
-        return parsed.text || defaultContent;
-      }
-    } catch (e) {
-      console.warn('Error loading saved content:', e);
-    }
-    return defaultContent;
-  });
+const VIEWS = {
+  json: 'json',
+  document: 'document'
+};
+
+const formatItems = (items) => JSON.stringify(items, null, 2);
+
+const MAX_BLOCK_UNDO = 50;
+const EMPTY_BLOCK_HISTORY = { past: [], future: [] };
+
+// The items of a JSON file, or why it can't be shown as a document
+const readDocumentItems = (json) => {
+  let items;
+  try {
+    items = JSON.parse(json);
+  } catch {
+    return { error: 'Fix the JSON errors first' };
+  }
+  if (!Array.isArray(items)) return { error: 'The content must be a JSON array' };
+  const error = documentRoundTripProblem(items);
+  return error ? { error } : { items };
+};
+
+// `initialFilename`, `onFilenameChange` and `onOpenFile` let a workspace tab
+// open a given document and follow it (see hooks/useDocumentStore)
+const MultiContentEditor = ({ initialFilename, onFilenameChange, onOpenFile }) => {
+  // State definitions
+  const {
+    store,
+    filename,
+    text: codeInput,
+    savedFiles,
+    saveStatus,
+    saveError,
+    lastSaved,
+    settings,
+    updateSettings,
+    externalChange,
+    acceptExternalChange,
+    keepLocalChanges,
+    saveLocalChangesAsCopy,
+    updateText,
+    restoreRevision,
+    handleNewFile,
+    handleFileClick,
+    renameFile,
+    handleDeleteFile
+  } = useDocumentStore(BASE_STORAGE_KEY, defaultContent, { initialFilename, onFilenameChange, onOpenFile });
   
-  const [contentList, setContentList] = useState([]);
-  const [parseError, setParseError] = useState('');
-  const [saveStatus, setSaveStatus] = useState('');
-  const [savedFiles, setSavedFiles] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [isFullscreen, setIsFullscreen] = useState(true);
-  const [lastEditTime, setLastEditTime] = useState(Date.now());
-  const [charts, setCharts] = useState([]);
-
-  // Helper functions
-  const loadSavedFiles = useCallback(() => {
-    const files = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key?.startsWith(BASE_STORAGE_KEY) && !key.endsWith('last-filename')) {
-        const filename = key.replace(`${BASE_STORAGE_KEY}-`, '');
-        const content = localStorage.getItem(key);
-        const lastModified = JSON.parse(content)?.lastModified || Date.now();
-        files.push({ name: filename, lastModified });
+  // The last valid items, with an id per block that survives edits (see
+  // lib/blockIdentity)
+  const [blocks, setBlocks] = useState({ items: [], ids: [] });
+  const contentList = blocks.items;
+  const [parseProblems, setParseProblems] = useState([]);
+  // Render failures reported by blocks, by block id
+  const [blockErrors, setBlockErrors] = useState({});
+  const { fullscreen: isFullscreen } = usePreferences();
+  const [showHistory, setShowHistory] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [view, setView] = useState(VIEWS.json);
+  const [documentText, setDocumentText] = useState('');
+  const [documentProblems, setDocumentProblems] = useState([]);
+  const [viewError, setViewError] = useState(null);
+  const editorRef = useRef(null);
+  // The JSON last written from the document view, to tell its own updates
+  // apart from other changes to the file
+  const documentJsonRef = useRef(null);
+  const importInputRef = useRef(null);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  // Snapshots of the file around block operations. Any other change to the
+  // file clears them, so undo never throws away typing.
+  const [blockHistory, setBlockHistory] = useState(EMPTY_BLOCK_HISTORY);
+  const blockJsonRef = useRef(null);
+
+  // Re-validated when kinds are registered, since unknown kinds become known
+  const contentKinds = useContentKinds();
+  // Shared by every block, so editing a dataset updates whatever uses it
+  const datasets = useMemo(() => collectDatasets(contentList), [contentList]);
+  // The first settings block applies to the whole document
+  const markdownSettings = contentList.find(item => item?.kind === MARKDOWN_SETTINGS_KIND);
+  const markdownConfig = useMemo(() => readMarkdownConfig(markdownSettings?.data).config, [markdownSettings]);
+  const chartTheme = useChartTheme(settings.chartTheme);
+  const itemProblems = useMemo(
+    () => contentList.map(item => validateContentItem(item, { datasets }, contentKinds)),
+    [contentList, datasets, contentKinds]
+  );
+
+  // While the JSON is broken the preview shows the last valid content, whose
+  // problems can't be placed in the current text
+  const schemaProblems = useMemo(() => (parseProblems.length ? [] : itemProblems.flatMap((list, index) =>
+    list.map(problem => createJsonPathProblem(codeInput, [index, ...problem.path], problem.message, {
+      severity: problem.severity
+    }))
+  )), [codeInput, parseProblems, itemProblems]);
+
+  const renderProblems = useMemo(() => (parseProblems.length ? [] : Object.entries(blockErrors)
+    .map(([id, message]) => [blocks.ids.indexOf(id), message])
+    .filter(([index]) => index !== -1)
+    .map(([index, message]) => createJsonPathProblem(codeInput, [index, 'data'], message))
+  ), [codeInput, parseProblems, blockErrors, blocks]);
+
+  const problems = useMemo(
+    () => [...parseProblems, ...renderProblems, ...schemaProblems],
+    [parseProblems, renderProblems, schemaProblems]
+  );
+
+  const handleBlockError = useCallback((id, message) => {
+    setBlockErrors(current => {
+      if ((current[id] ?? null) === message) return current;
+      const next = { ...current };
+      if (message) {
+        next[id] = message;
+      } else {
+        delete next[id];
       }
+      return next;
+    });
+  }, []);
+
+  // Handler functions
+  const handleEditorChange = useCallback((e) => {
+    updateText(e.target.value);
+  }, [updateText]);
+
+  const showDocumentView = useCallback((json) => {
+    const { items, error } = readDocumentItems(json);
+    if (error) {
+      setView(VIEWS.json);
+      setViewError(`Can't show this file as a document: ${error}`);
+      return;
     }
-    files.sort((a, b) => b.lastModified - a.lastModified);
-    setSavedFiles(files);
+    documentJsonRef.current = json;
+    setDocumentText(itemsToDocument(items));
+    setDocumentProblems([]);
+    setViewError(null);
+    setView(VIEWS.document);
   }, []);
 
-  const formatDate = (timestamp) => {
-    return new Date(timestamp).toLocaleDateString(undefined, {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
+  const handleViewChange = (nextView) => {
+    if (nextView === VIEWS.document) {
+      showDocumentView(codeInput);
+    } else {
+      setView(VIEWS.json);
+      setViewError(null);
+    }
+  };
+
+  // Switching files, restoring a revision or reloading an external change
+  // rebuilds the document from the new JSON
+  useEffect(() => {
+    if (view === VIEWS.document && codeInput !== documentJsonRef.current) {
+      showDocumentView(codeInput);
+    }
+  }, [view, codeInput, showDocumentView]);
+
+  const handleDocumentChange = useCallback((e) => {
+    const text = e.target.value;
+    setDocumentText(text);
+    try {
+      const json = formatItems(documentToItems(text));
+      documentJsonRef.current = json;
+      setDocumentProblems([]);
+      updateText(json);
+    } catch (error) {
+      // The file keeps its last valid content until the document parses again.
+      // Errors without a line are listed without a location.
+      if (error.line === undefined) console.error(error);
+      const location = error.line === undefined ? {} : { from: positionToOffset(text, error.line, 1) };
+      setDocumentProblems([createProblem(text, error.message, location)]);
+    }
+  }, [updateText]);
+
+  useEffect(() => {
+    if (codeInput !== blockJsonRef.current) {
+      setBlockHistory(EMPTY_BLOCK_HISTORY);
+      setEditingIndex(null);
+    }
+  }, [codeInput]);
+
+  // Block operations work on the last valid content, so they wait until the
+  // JSON parses again rather than overwrite what is being typed
+  const canEditBlocks = parseProblems.length === 0;
+
+  const writeBlocks = (json, history) => {
+    blockJsonRef.current = json;
+    setBlockHistory(history);
+    updateText(json);
+  };
+
+  const applyBlocks = (items) => {
+    writeBlocks(formatItems(items), {
+      past: [...blockHistory.past, codeInput].slice(-MAX_BLOCK_UNDO),
+      future: []
     });
   };
 
-  // Handler functions
-  const handleNewFile = useCallback(() => {
-    const newFilename = `untitled-${Date.now()}`;
-    const content = {
-      text: defaultContent,
-      lastModified: Date.now()
-    };
-    localStorage.setItem(`${BASE_STORAGE_KEY}-${newFilename}`, JSON.stringify(content));
-    setFilename(newFilename);
-    setCodeInput(defaultContent);
-    setLastEditTime(Date.now());
-    loadSavedFiles();
-  }, [loadSavedFiles]);
-
-  const handleFileClick = useCallback((selectedFile) => {
-    const content = JSON.parse(localStorage.getItem(`${BASE_STORAGE_KEY}-${selectedFile.name}`) || '{}');
-    setFilename(selectedFile.name);
-    setCodeInput(content.text || defaultContent);
-    setLastEditTime(Date.now());
-  }, []);
+  // New blocks open straight into their editor
+  const handleInsertBlock = (index, kind) => {
+    applyBlocks(insertBlock(contentList, index, { kind, data: getContentKind(kind).createData() }));
+    setEditingIndex(index);
+  };
 
-  const handleDeleteFile = useCallback((fileToDelete) => {
-    if (window.confirm(`Are you sure you want to delete ${fileToDelete.name}?`)) {
-      localStorage.removeItem(`${BASE_STORAGE_KEY}-${fileToDelete.name}`);
-      if (fileToDelete.name === filename) {
-        handleNewFile();
-      }
-      loadSavedFiles();
+  // The document's settings block is updated in place, added at the top, or
+  // dropped when the settings go back to the defaults
+  const handleMarkdownConfigChange = (config) => {
+    const index = contentList.findIndex(item => item?.kind === MARKDOWN_SETTINGS_KIND);
+    const stored = storedMarkdownConfig(config);
+    if (index === -1) {
+      if (stored) applyBlocks(insertBlock(contentList, 0, { kind: MARKDOWN_SETTINGS_KIND, data: stored }));
+    } else if (stored) {
+      applyBlocks(updateBlockData(contentList, index, stored));
+    } else {
+      applyBlocks(removeBlock(contentList, index));
     }
-  }, [filename, handleNewFile, loadSavedFiles]);
+  };
 
-  const handleEditorChange = useCallback((e) => {
-    setCodeInput(e.target.value);
-    setLastEditTime(Date.now());
-  }, []);
+  const handleUndoBlocks = () => {
+    const { past, future } = blockHistory;
+    if (!past.length) return;
+    setEditingIndex(null);
+    writeBlocks(past[past.length - 1], { past: past.slice(0, -1), future: [codeInput, ...future] });
+  };
+
+  const handleRedoBlocks = () => {
+    const { past, future } = blockHistory;
+    if (!future.length) return;
+    setEditingIndex(null);
+    writeBlocks(future[0], { past: [...past, codeInput], future: future.slice(1) });
+  };
 
-  const handleFilenameChange = useCallback((e) => {
-    const newFilename = e.target.value.trim();
-    if (newFilename && newFilename !== filename) {
-      const content = {
-        text: codeInput,
-        lastModified: Date.now()
-      };
-      localStorage.setItem(`${BASE_STORAGE_KEY}-${newFilename}`, JSON.stringify(content));
-      localStorage.removeItem(`${BASE_STORAGE_KEY}-${filename}`);
-      setFilename(newFilename);
-      loadSavedFiles();
+  const handleDragStart = (e, index) => {
+    setDragIndex(index);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(index));
+    e.dataTransfer.setDragImage(e.currentTarget.closest('[data-block]'), 0, 0);
+  };
+
+  const handleDragOver = (e, index) => {
+    if (dragIndex === null) return;
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    setDropIndex(e.clientY < rect.top + rect.height / 2 ? index : index + 1);
+  };
+
+  const handleDragEnd = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    if (dragIndex !== null && dropIndex !== null) {
+      applyBlocks(moveBlock(contentList, dragIndex, dropIndex));
     }
-  }, [codeInput, filename, loadSavedFiles]);
+    handleDragEnd();
+  };
 
-  // Load saved files on mount
-  useEffect(() => {
-    loadSavedFiles();
-  }, [loadSavedFiles]);
+  // Clicking rendered text opens its editor, except on links and controls
+  const handleBlockClick = (e, index) => {
+    if (!canEditBlocks || e.target.closest('a, button, summary, canvas, svg')) return;
+    setEditingIndex(index);
+  };
 
-  // Charts management effect
-  useEffect(() => {
-    // Cleanup old charts
-    charts.forEach(chart => {
-      try {
-        chart?.dispose();
-      } catch (e) {
-        console.warn('Error disposing chart:', e);
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const text = await file.text();
+      if (/\.json$/i.test(file.name)) {
+        JSON.parse(text);
+        handleNewFile(text);
+      } else {
+        handleNewFile(formatItems(documentToItems(text)));
       }
-    });
-    setCharts([]); // Clear charts array after disposal
-    
+    } catch (error) {
+      console.warn('Error importing file:', error);
+      window.alert(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
+
+  // Parse the content whenever the code changes
+  useEffect(() => {
     try {
       const parsedContent = JSON.parse(codeInput);
-      setContentList(parsedContent);
-      setParseError('');
-      
-      // Initialize new charts in next frame to ensure containers exist
-      requestAnimationFrame(() => {
-        const newCharts = [];
-        parsedContent.forEach((item, index) => {
-          if (item.kind === 'chart') {
-            const container = document.getElementById(`chart-${index}`);
-            if (container) {
-              try {
-                // Check if container already has a chart
-                const existingChart = echarts.getInstanceByDom(container);
-                if (existingChart) {
-                  existingChart.dispose();
-                }
-                const chart = echarts.init(container);
-                chart.setOption(item.data);
-                newCharts.push(chart);
-              } catch (e) {
-                console.warn('Error initializing chart:', e);
-              }
-            }
-          }
-        });
-        setCharts(newCharts);
-      });
+      if (!Array.isArray(parsedContent)) {
+        setParseProblems([createProblem(codeInput, 'The content must be a JSON array of { kind, data } items', { from: 0 })]);
+        return;
+      }
+      setBlocks(current => matchBlocks(current, parsedContent));
+      setParseProblems([]);
     } catch (e) {
-      setParseError('Invalid configuration: ' + e.message);
+      const located = findJsonSyntaxErrors(codeInput);
+      setParseProblems(located.length ? located : [createProblem(codeInput, `Invalid configuration: ${e.message}`)]);
       console.error(e);
     }
   }, [codeInput]);
 
-  // Clean up all charts on unmount
-  useEffect(() => {
-    return () => {
-      charts.forEach(chart => {
-        try {
-          chart?.dispose();
-        } catch (e) {
-          console.warn('Error disposing chart:', e);
-        }
-      });
-    };
-  }, [charts]);
+  // Exports render the same items as the preview. Kinds without static HTML
+  // (and blocks whose data is broken) are left out.
+  const reportBlocks = () => contentList.flatMap((item, index) => {
+    if (itemProblems[index]?.some(problem => problem.severity === 'error')) return [];
+    const definition = getContentKind(item.kind);
+    if (item.kind !== 'chart' && !definition?.toHtml) return [];
+    try {
+      if (item.kind === 'chart') return [{ kind: 'chart', option: resolveChartOption(item.data, datasets) }];
+      return [{ kind: item.kind, html: definition.toHtml(item.data, {
+        trustedHtml: settings.trustedHtml,
+        datasets,
+        chartTheme,
+        markdownConfig
+      }) }];
+    } catch (e) {
+      console.warn(`Error exporting ${item.kind} block:`, e);
+      return [];
+    }
+  });
 
-  // Auto-save effect
-  useEffect(() => {
-    const saveContent = () => {
-      const content = {
-        text: codeInput,
-        lastModified: Date.now()
-      };
-      localStorage.setItem(`${BASE_STORAGE_KEY}-${filename}`, JSON.stringify(content));
-      localStorage.setItem(`${BASE_STORAGE_KEY}-last-filename`, filename);
-      loadSavedFiles();
-      
-      setSaveStatus('Saved!');
-      const timer = setTimeout(() => setSaveStatus(''), 2000);
-      return () => clearTimeout(timer);
-    };
-
-    saveContent();
-  }, [codeInput, filename, loadSavedFiles]);
+  const renderBlock = (item, index) => {
+    const definition = getContentKind(item.kind);
+    if (editingIndex === index) {
+      const Editor = definition?.Editor || JsonDataEditor;
+      return (
+        <Editor
+          data={item.data}
+          onApply={(data) => {
+            setEditingIndex(null);
+            applyBlocks(updateBlockData(contentList, index, data));
+          }}
+          onCancel={() => setEditingIndex(null)}
+        />
+      );
+    }
+    if (!definition) {
+      return <div className="text-red-500">Unknown content type: {item.kind}</div>;
+    }
+    const error = itemProblems[index]?.find(problem => problem.severity === 'error');
+    if (error) {
+      return <div className="text-red-500 text-sm">{error.message}</div>;
+    }
+    const { Renderer } = definition;
+    return (
+      <BlockErrorBoundary resetKey={item.data}>
+        <Renderer
+          data={item.data}
+          trustedHtml={settings.trustedHtml}
+          datasets={datasets}
+          chartTheme={chartTheme}
+          markdownConfig={markdownConfig}
+          onError={(message) => handleBlockError(blocks.ids[index], message)}
+        />
+      </BlockErrorBoundary>
+    );
+  };
+
+  const handleNewFromTemplate = (text) => {
+    handleNewFile(text);
+    setShowTemplates(false);
+  };
+
+  const exportOptions = [
+    {
+      label: 'Content (.json)',
+      onSelect: () => downloadText(codeInput, `${filename}.json`, 'application/json')
+    },
+    {
+      label: 'Document (.md)',
+      disabled: !!documentRoundTripProblem(contentList),
+      onSelect: () => downloadText(itemsToDocument(contentList), `${filename}.md`, 'text/markdown')
+    },
+    {
+      label: 'HTML report, chart images',
+      onSelect: async () => {
+        const page = await buildReportHtml({ title: filename, blocks: reportBlocks(), theme: chartTheme });
+        downloadText(page, `${filename}.html`, 'text/html');
+      }
+    },
+    {
+      label: 'HTML report, interactive charts',
+      onSelect: async () => {
+        const page = await buildReportHtml({
+          title: filename,
+          blocks: reportBlocks(),
+          interactive: true,
+          theme: chartTheme
+        });
+        downloadText(page, `${filename}.html`, 'text/html');
+      }
+    },
+    {
+      label: 'Print / Save as PDF',
+      onSelect: async () => printHtml(await buildReportHtml({ title: filename, blocks: reportBlocks(), theme: chartTheme }))
+    }
+  ];
 
   return (
     <>
       <div className={`w-full mx-auto p-4 ${isFullscreen ? 'max-w-none' : 'max-w-6xl'}`}>
-        <div className="grid grid-cols-[250px_1fr] gap-4">
+        <div className={`grid ${showHistory ? 'grid-cols-[250px_320px_1fr]' : 'grid-cols-[250px_1fr]'} gap-4`}>
           {/* File List Panel */}
-          <div className="border rounded-lg p-4 h-[calc(100vh-2rem)]">
-            <div className="flex flex-col h-full">
-              <div className="flex justify-between items-center mb-4">
-                <h2 className="text-lg font-semibold">Files</h2>
-                <button
-                  onClick={handleNewFile}
-                  className="px-2 py-1 bg-green-500 text-white rounded hover:bg-green-600 transition-colors text-sm"
-                >
-                  New File
-                </button>
-              </div>
-              
-              <input
-                type="text"
-                placeholder="Search files..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="w-full px-3 py-2 border rounded mb-4"
-              />
-
-              <div className="flex-1 overflow-auto">
-                {savedFiles
-                  .filter(file => file.name.toLowerCase().includes(searchTerm.toLowerCase()))
-                  .map((file) => (
-                    <div 
-                      key={file.name}
-                      className={`flex flex-col p-2 rounded cursor-pointer hover:bg-gray-100 mb-2 ${
-                        file.name === filename ? 'bg-blue-50 border border-blue-200' : ''
-                      }`}
-                      onClick={() => handleFileClick(file)}
-                    >
-                      <div className="flex justify-between items-center">
-                        <span className="truncate flex-1 font-medium">{file.name}</span>
-                        <button
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            handleDeleteFile(file);
-                          }}
-                          className="ml-2 text-red-500 hover:text-red-700"
-                        >
-                          ×
-                        </button>
-                      </div>
-                      <span className="text-xs text-gray-500">
-                        {formatDate(file.lastModified)}
-                      </span>
-                    </div>
-                  ))}
-              </div>
-            </div>
-          </div>
+          <FileListPanel
+            files={savedFiles}
+            currentFilename={filename}
+            onNewFile={handleNewFile}
+            onNewFromTemplate={() => setShowTemplates(true)}
+            onFileClick={handleFileClick}
+            onDeleteFile={handleDeleteFile}
+          />
+
+          {showHistory && (
+            <HistoryPanel
+              history={store.history}
+              filename={filename}
+              currentText={codeInput}
+              lastSaved={lastSaved}
+              onRestore={restoreRevision}
+              onClose={() => setShowHistory(false)}
+            />
+          )}
 
           {/* Main Editor Area */}
           <div className="space-y-4">
+            <ExternalChangeBanner
+              externalChange={externalChange}
+              onReload={acceptExternalChange}
+              onKeepMine={keepLocalChanges}
+              onSaveCopy={saveLocalChangesAsCopy}
+            />
+
             <div className="flex justify-between items-center">
               <div className="flex items-center gap-2">
-                <input
-                  type="text"
-                  value={filename}
-                  onChange={handleFilenameChange}
-                  onBlur={handleFilenameChange}
+                <FilenameInput
+                  filename={filename}
+                  onRename={renameFile}
                   className="px-2 py-1 border rounded text-lg font-semibold"
                   placeholder="Filename"
                 />
-                <span className="text-sm text-gray-500">.json</span>
+                <span className="text-sm text-gray-500 dark:text-gray-400">.json</span>
               </div>
               <div className="flex items-center gap-4">
+                <MarkdownSettingsControl
+                  config={markdownConfig}
+                  onChange={handleMarkdownConfigChange}
+                  disabled={!canEditBlocks && 'Fix the JSON errors first'}
+                />
+                <ChartThemeControl
+                  value={settings.chartTheme}
+                  onChange={(chartTheme) => updateSettings({ chartTheme })}
+                />
+                <TrustedHtmlToggle
+                  trusted={settings.trustedHtml}
+                  onChange={(trustedHtml) => updateSettings({ trustedHtml })}
+                />
                 <span className="text-sm text-green-600">{saveStatus}</span>
+                {saveError && (
+                  <span className="text-sm text-red-500">{saveError}</span>
+                )}
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept=".md,.markdown,.txt,.json"
+                  onChange={handleImport}
+                  className="hidden"
+                />
                 <button
-                  onClick={() => setIsFullscreen(!isFullscreen)}
+                  onClick={() => importInputRef.current?.click()}
+                  className="px-3 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                  title="Open a document (.md) or JSON file as a new file"
+                >
+                  Import
+                </button>
+                <ExportMenu options={exportOptions} />
+                <ShareMenu type="multicontent" filename={filename} text={codeInput} />
+                <button
+                  onClick={() => setShowHistory(!showHistory)}
+                  className="px-3 py-1 bg-gray-500 text-white rounded hover:bg-gray-600 transition-colors"
+                >
+                  {showHistory ? 'Hide History' : 'History'}
+                </button>
+                <button
+                  onClick={() => updatePreferences({ fullscreen: !isFullscreen })}
                   className="px-3 py-1 bg-gray-500 text-white rounded hover:bg-gray-600 transition-colors"
                 >
                   {isFullscreen ? 'Exit Fullscreen' : 'Fullscreen'}
@@ -309,39 +549,136 @@ const MultiContentEditor = () => {
 
             <div className="grid grid-cols-2 gap-4">
               <div className="border rounded-lg p-4">
-                <h2 className="text-lg font-semibold mb-2">Content Configuration</h2>
-                <textarea
-                  className="w-full h-[calc(100vh-300px)] p-2 border rounded font-mono"
-                  value={codeInput}
-                  onChange={handleEditorChange}
-                  placeholder="Enter your content configuration here..."
-                />
-                {parseError && (
-                  <div className="text-red-500 mt-2 text-sm">{parseError}</div>
+                <div className="flex justify-between items-center mb-2">
+                  <h2 className="text-lg font-semibold">Content Configuration</h2>
+                  <div className="flex border rounded overflow-hidden text-sm" role="tablist">
+                    {[VIEWS.json, VIEWS.document].map(option => (
+                      <button
+                        key={option}
+                        role="tab"
+                        aria-selected={view === option}
+                        onClick={() => handleViewChange(option)}
+                        className={`px-3 py-1 ${view === option ? 'bg-blue-500 text-white' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                        title={option === VIEWS.document ? 'Markdown as-is, charts as ```echarts blocks' : 'The file as stored'}
+                      >
+                        {option === VIEWS.json ? 'JSON' : 'Document'}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {viewError && (
+                  <div className="mb-2 text-sm text-yellow-700 dark:text-yellow-300">{viewError}</div>
+                )}
+                {view === VIEWS.json ? (
+                  <>
+                    <CodeEditor
+                      ref={editorRef}
+                      className="w-full h-[calc(100vh-300px)]"
+                      language="json"
+                      value={codeInput}
+                      onChange={handleEditorChange}
+                      placeholder="Enter your content configuration here..."
+                      problems={problems}
+                      extensions={editorExtensions}
+                    />
+                    <ProblemsList
+                      problems={problems}
+                      onSelect={(problem) => editorRef.current?.goTo(problem.from)}
+                    />
+                  </>
+                ) : (
+                  <>
+                    <CodeEditor
+                      ref={editorRef}
+                      className="w-full h-[calc(100vh-300px)]"
+                      language="markdown"
+                      value={documentText}
+                      onChange={handleDocumentChange}
+                      placeholder="Write markdown; add charts as ```echarts blocks..."
+                      problems={documentProblems}
+                    />
+                    <ProblemsList
+                      problems={documentProblems}
+                      onSelect={(problem) => editorRef.current?.goTo(problem.from)}
+                    />
+                  </>
                 )}
               </div>
 
               <div className="border rounded-lg p-4 overflow-auto">
-                <h2 className="text-lg font-semibold mb-2">Content Preview</h2>
-                <div className="space-y-4">
+                <div className="flex justify-between items-center mb-2">
+                  <h2 className="text-lg font-semibold">Content Preview</h2>
+                  <div className="flex gap-2 text-sm">
+                    <button
+                      onClick={handleUndoBlocks}
+                      disabled={!blockHistory.past.length}
+                      className="px-2 py-0.5 border rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent"
+                      title="Undo the last block change"
+                    >
+                      Undo
+                    </button>
+                    <button
+                      onClick={handleRedoBlocks}
+                      disabled={!blockHistory.future.length}
+                      className="px-2 py-0.5 border rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent"
+                      title="Redo the last undone block change"
+                    >
+                      Redo
+                    </button>
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  <BlockInserter disabled={!canEditBlocks} onInsert={(kind) => handleInsertBlock(0, kind)} />
                   {contentList.map((item, index) => (
-                    <div key={index} className="border rounded-lg p-4">
-                      {item.kind === 'chart' ? (
-                        <div
-                          id={`chart-${index}`}
-                          className="w-full h-64"
-                        />
-                      ) : item.kind === 'markdown' ? (
-                        <div 
-                          className="prose max-w-none"
-                          dangerouslySetInnerHTML={{ 
-                            __html: md.render(item.data.text) 
-                          }}
-                        />
-                      ) : (
-                        <div className="text-red-500">Unknown content type: {item.kind}</div>
-                      )}
-                    </div>
+                    <React.Fragment key={blocks.ids[index]}>
+                      <div
+                        data-block
+                        onDragOver={(e) => handleDragOver(e, index)}
+                        onDrop={handleDrop}
+                        className={`group relative border rounded-lg p-4 ${dragIndex === index ? 'opacity-50' : ''} ${
+                          dropIndex === index ? 'border-t-4 border-t-blue-500' : ''
+                        } ${dropIndex === index + 1 && index === contentList.length - 1 ? 'border-b-4 border-b-blue-500' : ''}`}
+                      >
+                        {editingIndex !== index && canEditBlocks && (
+                          <div className="absolute top-1 right-1 z-10 flex gap-1 text-xs bg-white dark:bg-gray-800 border rounded shadow-sm opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                            <span
+                              draggable
+                              onDragStart={(e) => handleDragStart(e, index)}
+                              onDragEnd={handleDragEnd}
+                              className="px-1.5 py-0.5 cursor-grab text-gray-500 dark:text-gray-400"
+                              title="Drag to reorder"
+                            >
+                              ⋮⋮
+                            </span>
+                            <button onClick={() => setEditingIndex(index)} className="px-1.5 py-0.5 hover:bg-gray-100 dark:hover:bg-gray-700">
+                              Edit
+                            </button>
+                            <button
+                              onClick={() => applyBlocks(duplicateBlock(contentList, index))}
+                              className="px-1.5 py-0.5 hover:bg-gray-100 dark:hover:bg-gray-700"
+                            >
+                              Duplicate
+                            </button>
+                            <button
+                              onClick={() => {
+                                setEditingIndex(null);
+                                applyBlocks(removeBlock(contentList, index));
+                              }}
+                              className="px-1.5 py-0.5 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/35"
+                            >
+                              Delete
+                            </button>
+                          </div>
+                        )}
+                        <div onClick={(e) => editingIndex !== index && handleBlockClick(e, index)}>
+                          {renderBlock(item, index)}
+                        </div>
+                      </div>
+                      <BlockInserter
+                        disabled={!canEditBlocks}
+                        onInsert={(kind) => handleInsertBlock(index + 1, kind)}
+                      />
+                    </React.Fragment>
                   ))}
                 </div>
               </div>
@@ -350,6 +687,17 @@ const MultiContentEditor = () => {
         </div>
       </div>
 
+      {showTemplates && (
+        <TemplateGallery
+          namespace={BASE_STORAGE_KEY}
+          templates={multiContentTemplates}
+          filename={filename}
+          currentText={codeInput}
+          onCreate={handleNewFromTemplate}
+          onClose={() => setShowTemplates(false)}
+        />
+      )}
+
       <style jsx global>{`
         .collapsible {
           border: 1px solid #ddd;
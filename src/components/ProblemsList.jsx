@@ -0,0 +1,28 @@
+import React from 'react';
+
+const ProblemsList = ({ problems, onSelect }) => {
+  if (!problems.length) return null;
+
+  return (
+    <ul className="mt-2 text-sm max-h-32 overflow-auto border rounded divide-y">
+      {problems.map((problem, index) => (
+        <li key={index}>
+          <button
+            onClick={() => problem.from !== undefined && onSelect(problem)}
+            disabled={problem.from === undefined}
+            className={`w-full text-left px-2 py-1 flex gap-2 ${
+              problem.from !== undefined ? 'hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer' : 'cursor-default'
+            } ${problem.severity === 'warning' ? 'text-yellow-700 dark:text-yellow-300' : 'text-red-500'}`}
+          >
+            <span className="shrink-0 font-mono text-gray-500 dark:text-gray-400">
+              {problem.line !== undefined ? `${problem.line}:${problem.column}` : '—'}
+            </span>
+            <span>{problem.message}</span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default ProblemsList;
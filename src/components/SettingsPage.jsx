@@ -0,0 +1,140 @@
+import React from 'react';
+import usePreferences from '../hooks/usePreferences';
+import {
+  COLOR_SCHEMES,
+  EDITOR_FONTS,
+  EDITOR_FONT_SIZES,
+  PREVIEW_SCALES,
+  AUTO_SAVE_INTERVALS,
+  updatePreferences,
+  resetPreferences
+} from '../storage/preferences';
+
+const SCALE_LABELS = {
+  sm: 'Small',
+  base: 'Normal',
+  lg: 'Large',
+  xl: 'Extra large'
+};
+
+const intervalLabel = (seconds) => {
+  if (!seconds) return 'Off';
+  return seconds < 60 ? `Every ${seconds} seconds` : `Every ${seconds / 60} minute${seconds === 60 ? '' : 's'}`;
+};
+
+const Setting = ({ label, description, children }) => (
+  <div className="flex justify-between items-center gap-8 py-3 border-b">
+    <div>
+      <div className="font-medium">{label}</div>
+      {description && <div className="text-sm text-gray-500 dark:text-gray-400">{description}</div>}
+    </div>
+    <div className="shrink-0">{children}</div>
+  </div>
+);
+
+// Preferences shared by all three editors. They apply as soon as they change.
+const SettingsPage = () => {
+  const preferences = usePreferences();
+  const selectClass = 'px-2 py-1 border rounded';
+
+  const handleReset = () => {
+    if (window.confirm('Reset all settings to their defaults?')) resetPreferences();
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto p-4">
+      <div className="flex justify-between items-center mb-4">
+        <h1 className="text-2xl font-semibold">Settings</h1>
+        <button onClick={handleReset} className="px-3 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700">
+          Reset to defaults
+        </button>
+      </div>
+
+      <h2 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase mt-6">Appearance</h2>
+      <Setting label="Theme">
+        <select
+          value={preferences.colorScheme}
+          onChange={(e) => updatePreferences({ colorScheme: e.target.value })}
+          className={selectClass}
+        >
+          {Object.entries(COLOR_SCHEMES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </Setting>
+      <Setting label="Preview text size" description="Rendered Markdown in the previews">
+        <select
+          value={preferences.previewScale}
+          onChange={(e) => updatePreferences({ previewScale: e.target.value })}
+          className={selectClass}
+        >
+          {Object.keys(PREVIEW_SCALES).map(scale => (
+            <option key={scale} value={scale}>{SCALE_LABELS[scale]}</option>
+          ))}
+        </select>
+      </Setting>
+      <Setting label="Full width" description="Let the editors use the whole window">
+        <input
+          type="checkbox"
+          checked={preferences.fullscreen}
+          onChange={(e) => updatePreferences({ fullscreen: e.target.checked })}
+        />
+      </Setting>
+
+      <h2 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase mt-6">Editor</h2>
+      <Setting label="Font">
+        <select
+          value={preferences.editorFont}
+          onChange={(e) => updatePreferences({ editorFont: e.target.value })}
+          className={selectClass}
+        >
+          {Object.entries(EDITOR_FONTS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </Setting>
+      <Setting label="Font size">
+        <select
+          value={preferences.editorFontSize}
+          onChange={(e) => updatePreferences({ editorFontSize: Number(e.target.value) })}
+          className={selectClass}
+        >
+          {EDITOR_FONT_SIZES.map(size => <option key={size} value={size}>{size}px</option>)}
+        </select>
+      </Setting>
+      <Setting label="Wrap long lines">
+        <input
+          type="checkbox"
+          checked={preferences.lineWrapping}
+          onChange={(e) => updatePreferences({ lineWrapping: e.target.checked })}
+        />
+      </Setting>
+      <Setting
+        label="Sync scrolling"
+        description="Keep the Markdown editor and its preview at the same place"
+      >
+        <input
+          type="checkbox"
+          checked={preferences.syncScroll}
+          onChange={(e) => updatePreferences({ syncScroll: e.target.checked })}
+        />
+      </Setting>
+
+      <h2 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase mt-6">Saving</h2>
+      <Setting
+        label="Auto-save"
+        description="Edits are saved as you type; this also re-saves recently edited documents periodically"
+      >
+        <select
+          value={preferences.autoSaveInterval}
+          onChange={(e) => updatePreferences({ autoSaveInterval: Number(e.target.value) })}
+          className={selectClass}
+        >
+          {AUTO_SAVE_INTERVALS.map(seconds => <option key={seconds} value={seconds}>{intervalLabel(seconds)}</option>)}
+        </select>
+      </Setting>
+    </div>
+  );
+};
+
+export default SettingsPage;
@@ -0,0 +1,26 @@
+import React from 'react';
+import ExportMenu from './ExportMenu';
+import { documentPath, viewPath, sharedViewUrl, copyLink } from '../lib/shareLinks';
+
+// Links to the open document. The editor and view links open it from this
+// browser's storage; the embedded link carries the text itself (and, for
+// charts, the evaluation mode).
+const ShareMenu = ({ type, filename, text, evaluationMode }) => {
+  const options = [
+    {
+      label: 'Copy editor link',
+      onSelect: () => copyLink(`${window.location.origin}${documentPath(type, filename)}`)
+    },
+    {
+      label: 'Copy read-only view link',
+      onSelect: () => copyLink(`${window.location.origin}${viewPath(type, filename)}`)
+    },
+    {
+      label: 'Copy link with the document embedded',
+      onSelect: async () => copyLink(await sharedViewUrl(type, filename, text, { evaluationMode }))
+    }
+  ];
+  return <ExportMenu label="Share" busyLabel="Copying..." options={options} />;
+};
+
+export default ShareMenu;
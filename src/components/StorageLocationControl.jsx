@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import useStorageBackend from '../hooks/useStorageBackend';
+import {
+  connectFolder,
+  connectWorkspaceServer,
+  connectBrowserStorage,
+  isFileSystemAccessSupported,
+  isWorkspaceServerAvailable
+} from '../storage/storageLocation';
+
+const StorageLocationControl = () => {
+  const backend = useStorageBackend();
+  const [serverAvailable, setServerAvailable] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isFileSystemAccessSupported()) {
+      isWorkspaceServerAvailable().then(setServerAvailable);
+    }
+  }, []);
+
+  const run = async (connect) => {
+    try {
+      setError('');
+      await connect();
+    } catch (e) {
+      console.error(e);
+      setError(e.message);
+    }
+  };
+
+  const isFileBacked = backend.name === 'fileSystem' || backend.name === 'server';
+
+  return (
+    <div className="ml-auto flex items-center gap-2 text-sm">
+      {isFileBacked ? (
+        <>
+          <span className="text-gray-600 dark:text-gray-400" title="Documents are read from and written to this folder">
+            Folder: <span className="font-medium">{backend.label}</span>
+          </span>
+          <button
+            onClick={() => run(connectBrowserStorage)}
+            className="px-2 py-1 rounded border hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+          >
+            Use Browser Storage
+          </button>
+        </>
+      ) : isFileSystemAccessSupported() ? (
+        <button
+          onClick={() => run(connectFolder)}
+          className="px-2 py-1 rounded border hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+        >
+          Open Folder…
+        </button>
+      ) : serverAvailable ? (
+        <button
+          onClick={() => run(connectWorkspaceServer)}
+          className="px-2 py-1 rounded border hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+        >
+          Use Workspace Folder
+        </button>
+      ) : null}
+      {error && <span className="text-red-500">{error}</span>}
+    </div>
+  );
+};
+
+export default StorageLocationControl;
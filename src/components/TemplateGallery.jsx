@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import useStorageBackend from '../hooks/useStorageBackend';
+import createTemplateStore from '../storage/templateStore';
+import { describeStorageError } from '../storage/documentStore';
+
+// "New from template": the editor's built-in templates plus the ones the user
+// saved, and a form to save the current document as a template.
+// `templates` are the built-ins, as { name, description, text }.
+const TemplateGallery = ({ namespace, templates, filename, currentText, onCreate, onClose }) => {
+  const backend = useStorageBackend();
+  const store = useMemo(() => createTemplateStore(namespace, backend), [namespace, backend]);
+  const [savedTemplates, setSavedTemplates] = useState([]);
+  const [templateName, setTemplateName] = useState(filename);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+
+  const loadSavedTemplates = useCallback(async () => {
+    try {
+      setSavedTemplates(await store.list());
+    } catch (e) {
+      console.warn('Error loading templates:', e);
+      setError(`Could not load your templates: ${e.message}`);
+    }
+  }, [store]);
+
+  useEffect(() => {
+    loadSavedTemplates();
+  }, [loadSavedTemplates]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleUseSaved = async (template) => {
+    try {
+      const text = await store.load(template.name);
+      if (text === null) throw new Error('it no longer exists');
+      onCreate(text);
+    } catch (e) {
+      console.warn('Error loading template:', e);
+      setError(`Could not open ${template.name}: ${e.message}`);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const name = templateName.trim();
+    if (!name) return;
+    if (savedTemplates.some(template => template.name === name) &&
+        !window.confirm(`Replace the template ${name}?`)) {
+      return;
+    }
+    try {
+      await store.save(name, currentText);
+      setError('');
+      setStatus(`Saved ${name}`);
+      loadSavedTemplates();
+    } catch (err) {
+      console.error(err);
+      setError(describeStorageError(err));
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template ${template.name}?`)) return;
+    try {
+      await store.remove(template.name);
+    } catch (e) {
+      console.warn('Error deleting template:', e);
+    }
+    loadSavedTemplates();
+  };
+
+  const cardClass = 'text-left border rounded p-3 hover:border-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/35 transition-colors';
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="New from template"
+        className="bg-white dark:bg-gray-800 rounded-lg shadow-lg w-[48rem] max-w-[95vw] max-h-[90vh] overflow-auto p-4 space-y-4"
+      >
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-semibold">New from template</h2>
+          <button onClick={onClose} className="px-2 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-300" aria-label="Close">×</button>
+        </div>
+
+        <section>
+          <h3 className="text-sm font-semibold text-gray-600 dark:text-gray-400 mb-2">Built-in</h3>
+          <div className="grid grid-cols-3 gap-2">
+            {templates.map(template => (
+              <button key={template.name} onClick={() => onCreate(template.text)} className={cardClass}>
+                <div className="font-medium">{template.name}</div>
+                <div className="text-xs text-gray-500 dark:text-gray-400">{template.description}</div>
+              </button>
+            ))}
+          </div>
+        </section>
+
+        <section>
+          <h3 className="text-sm font-semibold text-gray-600 dark:text-gray-400 mb-2">Your templates</h3>
+          {savedTemplates.length ? (
+            <div className="grid grid-cols-3 gap-2">
+              {savedTemplates.map(template => (
+                <div key={template.name} className={`${cardClass} flex justify-between items-start`}>
+                  <button onClick={() => handleUseSaved(template)} className="flex-1 text-left font-medium truncate">
+                    {template.name}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(template)}
+                    className="ml-2 text-red-500 hover:text-red-700"
+                    aria-label={`Delete template ${template.name}`}
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Templates you save are stored next to your documents.</p>
+          )}
+        </section>
+
+        <form onSubmit={handleSave} className="flex items-center gap-2 border-t pt-4 text-sm">
+          <label htmlFor="template-name" className="shrink-0">Save the current document as</label>
+          <input
+            id="template-name"
+            type="text"
+            value={templateName}
+            onChange={(e) => setTemplateName(e.target.value)}
+            className="flex-1 px-2 py-1 border rounded"
+            placeholder="Template name"
+          />
+          <button
+            type="submit"
+            disabled={!templateName.trim()}
+            className="px-3 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            Save template
+          </button>
+        </form>
+        {(error || status) && (
+          <p className={`text-sm ${error ? 'text-red-500' : 'text-green-600'}`}>{error || status}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TemplateGallery;
@@ -0,0 +1,24 @@
+import React from 'react';
+
+const TrustedHtmlToggle = ({ trusted, onChange }) => {
+  const handleChange = (e) => {
+    if (e.target.checked && !window.confirm(
+      'Trusted HTML runs scripts and event handlers in this document with full access to your saved files. Only enable it for documents you wrote yourself. Continue?'
+    )) {
+      return;
+    }
+    onChange(e.target.checked);
+  };
+
+  return (
+    <label
+      className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-400"
+      title="Raw HTML is sanitized unless the document is trusted"
+    >
+      <input type="checkbox" checked={!!trusted} onChange={handleChange} />
+      Trusted HTML
+    </label>
+  );
+};
+
+export default TrustedHtmlToggle;
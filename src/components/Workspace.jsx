@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { EDITOR_TYPES } from './editorTypes';
+import { getDocumentStore } from '../storage/documentStore';
+import { loadWorkspace, saveWorkspace } from '../storage/workspaceStore';
+import {
+  MAX_PANES,
+  createTab,
+  findTab,
+  findOpenTab,
+  normalizeWorkspace,
+  openTab,
+  activateTab,
+  closeTab,
+  updateTab,
+  moveTab
+} from '../lib/workspaceLayout';
+
+// Tabs are dragged between tab bars with their id under this type
+const TAB_DRAG_TYPE = 'application/x-workspace-tab';
+
+// "+ Open" dropdown of a pane: a new document or a saved one of each type
+const OpenMenu = ({ onOpen }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [files, setFiles] = useState({});
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  // The saved files are listed afresh each time the menu opens
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+    Object.entries(EDITOR_TYPES).forEach(async ([type, { namespace }]) => {
+      try {
+        const list = await getDocumentStore(namespace).list();
+        if (!cancelled) setFiles(current => ({ ...current, [type]: list }));
+      } catch (e) {
+        console.warn('Error loading saved files:', e);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen]);
+
+  const handleSelect = (type, filename) => {
+    setIsOpen(false);
+    onOpen(type, filename);
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        className="px-2 py-1 text-sm rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+      >
+        + Open
+      </button>
+      {isOpen && (
+        <div role="menu" className="absolute left-0 mt-1 w-64 max-h-96 overflow-auto bg-white dark:bg-gray-800 border rounded shadow-lg z-20 py-1">
+          {Object.entries(EDITOR_TYPES).map(([type, { label }]) => (
+            <div key={type} className="py-1">
+              <h3 className="px-3 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">{label}</h3>
+              <button
+                role="menuitem"
+                onClick={() => handleSelect(type, `untitled-${Date.now()}`)}
+                className="w-full text-left px-3 py-1 text-sm text-green-700 dark:text-green-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+              >
+                New document
+              </button>
+              {(files[type] || []).map(file => (
+                <button
+                  key={file.name}
+                  role="menuitem"
+                  onClick={() => handleSelect(type, file.name)}
+                  className="w-full text-left px-3 py-1 text-sm truncate hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                  {file.name}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TabBar = ({ pane, paneIndex, paneCount, onActivate, onClose, onDrop, onOpen, onSplit }) => {
+  const [isDragOver, setIsDragOver] = useState(false);
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes(TAB_DRAG_TYPE)) return;
+    e.preventDefault();
+    setIsDragOver(true);
+  };
+
+  // Dropped on a tab it goes before that tab, elsewhere on the bar at the end
+  const handleDrop = (e, index) => {
+    const tabId = e.dataTransfer.getData(TAB_DRAG_TYPE);
+    if (!tabId) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragOver(false);
+    onDrop(tabId, paneIndex, index);
+  };
+
+  return (
+    <div
+      className={`flex items-center gap-1 border-b px-1 min-w-0 ${isDragOver ? 'bg-blue-50 dark:bg-blue-900/35' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragOver(false)}
+      onDrop={(e) => handleDrop(e)}
+    >
+      <div className="flex items-end gap-1 overflow-x-auto min-w-0" role="tablist">
+        {pane.tabs.map((tab, index) => {
+          const isActive = tab.id === pane.activeTab;
+          return (
+            <div
+              key={tab.id}
+              draggable
+              onDragStart={(e) => e.dataTransfer.setData(TAB_DRAG_TYPE, tab.id)}
+              onDrop={(e) => handleDrop(e, index)}
+              className={`flex items-center gap-1 px-2 py-1 text-sm rounded-t border border-b-0 whitespace-nowrap ${
+                isActive ? 'bg-white dark:bg-gray-800 font-medium' : 'bg-gray-100 text-gray-600 dark:text-gray-400 hover:bg-gray-200'
+              }`}
+            >
+              <button role="tab" aria-selected={isActive} onClick={() => onActivate(tab.id)} title={tab.filename}>
+                <span className="text-xs text-gray-400 dark:text-gray-500 mr-1">{EDITOR_TYPES[tab.type].label}</span>
+                {tab.filename}
+              </button>
+              <button
+                onClick={() => onClose(tab.id)}
+                className="px-1 text-gray-400 dark:text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+                aria-label={`Close ${tab.filename}`}
+              >
+                ×
+              </button>
+            </div>
+          );
+        })}
+      </div>
+      <OpenMenu onOpen={(type, filename) => onOpen(paneIndex, type, filename)} />
+      {paneCount < MAX_PANES && pane.tabs.length > 1 && (
+        <button
+          onClick={() => onSplit(pane.activeTab)}
+          className="ml-auto px-2 py-1 text-sm rounded hover:bg-gray-100 dark:hover:bg-gray-700 whitespace-nowrap"
+          title="Move this tab to a new pane on the right"
+        >
+          Split right
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Several documents of any editor type open at once, in up to MAX_PANES panes
+// side by side. Every tab keeps its editor mounted while hidden, so switching
+// tabs keeps its undo history, scroll position and unsaved edits.
+const Workspace = () => {
+  const [workspace, setWorkspace] = useState(
+    () => normalizeWorkspace(loadWorkspace(), Object.keys(EDITOR_TYPES))
+  );
+
+  useEffect(() => {
+    saveWorkspace(workspace);
+  }, [workspace]);
+
+  // A document that is already open is shown rather than opened twice, since
+  // two editors saving the same file would overwrite each other
+  const handleOpen = (paneIndex, type, filename) => {
+    setWorkspace(current => {
+      const open = findOpenTab(current, type, filename);
+      return open ? activateTab(current, open.id) : openTab(current, paneIndex, createTab(type, filename));
+    });
+  };
+
+  // The same goes for a file picked from a tab's own file list
+  const handleOpenFile = (tabId, type, filename) => {
+    const open = findOpenTab(workspace, type, filename, tabId);
+    if (!open) return true;
+    setWorkspace(current => activateTab(current, open.id));
+    return false;
+  };
+
+  // Tabs follow their editor to another file (the file list, renames)
+  const handleFilenameChange = (tabId, filename) => {
+    setWorkspace(current => (
+      findTab(current, tabId)?.tab.filename === filename ? current : updateTab(current, tabId, { filename })
+    ));
+  };
+
+  const { panes } = workspace;
+  const hasTabs = panes.some(pane => pane.tabs.length);
+
+  return (
+    <div
+      className="grid gap-x-2 px-2"
+      style={{ gridTemplateColumns: `repeat(${panes.length}, minmax(0, 1fr))` }}
+    >
+      {panes.map((pane, paneIndex) => (
+        <TabBar
+          key={`bar-${paneIndex}`}
+          pane={pane}
+          paneIndex={paneIndex}
+          paneCount={panes.length}
+          onActivate={(tabId) => setWorkspace(current => activateTab(current, tabId))}
+          onClose={(tabId) => setWorkspace(current => closeTab(current, tabId))}
+          onDrop={(tabId, toPane, index) => setWorkspace(current => moveTab(current, tabId, toPane, index))}
+          onOpen={handleOpen}
+          onSplit={(tabId) => setWorkspace(current => moveTab(current, tabId, current.panes.length))}
+        />
+      ))}
+      {/* One flat list keyed by tab, so moving a tab to another pane keeps its editor */}
+      {panes.flatMap((pane, paneIndex) => pane.tabs.map(tab => {
+        const { Component } = EDITOR_TYPES[tab.type];
+        return (
+          <div
+            key={tab.id}
+            className={`min-w-0 ${tab.id === pane.activeTab ? '' : 'hidden'}`}
+            style={{ gridColumn: paneIndex + 1, gridRow: 2 }}
+          >
+            <Component
+              initialFilename={tab.filename}
+              onFilenameChange={(filename) => handleFilenameChange(tab.id, filename)}
+              onOpenFile={(filename) => handleOpenFile(tab.id, tab.type, filename)}
+            />
+          </div>
+        );
+      }))}
+      {!hasTabs && (
+        <p className="py-16 text-center text-gray-500 dark:text-gray-400" style={{ gridColumn: '1 / -1' }}>
+          No documents open. Use “+ Open” to open one.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default Workspace;
@@ -0,0 +1,11 @@
+import MarkdownEditor, { BASE_STORAGE_KEY as MARKDOWN_NAMESPACE } from './MarkdownEditor';
+import EChartsEditor, { BASE_STORAGE_KEY as ECHARTS_NAMESPACE } from './EChartsEditor';
+import MultiContentEditor, { BASE_STORAGE_KEY as MULTICONTENT_NAMESPACE } from './MultiContentEditor';
+
+// The document types, by the name used in routes (/markdown/:docName) and
+// workspace tabs: the editor for them and where their documents are stored
+export const EDITOR_TYPES = {
+  markdown: { label: 'Markdown', Component: MarkdownEditor, namespace: MARKDOWN_NAMESPACE },
+  echarts: { label: 'ECharts', Component: EChartsEditor, namespace: ECHARTS_NAMESPACE },
+  multicontent: { label: 'Multi-Content', Component: MultiContentEditor, namespace: MULTICONTENT_NAMESPACE }
+};
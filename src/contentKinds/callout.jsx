@@ -0,0 +1,52 @@
+import React from 'react';
+import escapeHtml from '../lib/escapeHtml';
+import { renderMarkdown } from '../lib/markdownRenderer';
+
+export const CALLOUT_TYPES = {
+  info: { icon: 'ℹ️', className: 'border-blue-400 bg-blue-50 dark:bg-blue-900/35' },
+  success: { icon: '✅', className: 'border-green-500 bg-green-50 dark:bg-green-900/35' },
+  warning: { icon: '⚠️', className: 'border-yellow-500 bg-yellow-50 dark:bg-yellow-900/35' },
+  danger: { icon: '⛔', className: 'border-red-500 bg-red-50 dark:bg-red-900/35' }
+};
+
+const CalloutBlock = ({ data, trustedHtml, markdownConfig }) => {
+  const type = CALLOUT_TYPES[data.type] || CALLOUT_TYPES.info;
+  return (
+    <div className={`border-l-4 rounded p-3 ${type.className}`} role="note">
+      {data.title && (
+        <div className="font-semibold mb-1">
+          <span aria-hidden="true">{type.icon}</span> {data.title}
+        </div>
+      )}
+      <div
+        className="prose prose-sm dark:prose-invert max-w-none"
+        dangerouslySetInnerHTML={{ __html: renderMarkdown(data.text || '', { config: markdownConfig, trustedHtml }) }}
+      />
+    </div>
+  );
+};
+
+const validate = (data) => {
+  const problems = [];
+  if (data?.type !== undefined && !CALLOUT_TYPES[data.type]) {
+    problems.push({
+      path: ['type'],
+      severity: 'warning',
+      message: `Unknown callout type "${data.type}". Expected one of: ${Object.keys(CALLOUT_TYPES).join(', ')}`
+    });
+  }
+  if (typeof data?.text !== 'string') {
+    problems.push({ path: ['text'], severity: 'error', message: 'Callouts need a "text" string' });
+  }
+  return problems;
+};
+
+export default {
+  label: 'Callout',
+  createData: () => ({ type: 'info', title: 'Note', text: 'Something worth pointing out.' }),
+  validate,
+  Renderer: CalloutBlock,
+  toHtml: (data, { markdownConfig, trustedHtml }) => `<aside class="callout callout-${CALLOUT_TYPES[data.type] ? data.type : 'info'}">${
+    data.title ? `<strong>${escapeHtml(data.title)}</strong>` : ''
+  }${renderMarkdown(data.text || '', { config: markdownConfig, trustedHtml })}</aside>`
+};
@@ -0,0 +1,87 @@
+import React, { useState, useEffect, useRef } from 'react';
+import * as echarts from 'echarts';
+import { validateEChartsOption } from '../lib/echartsSchema';
+import { echartsCompletion } from '../lib/echartsCompletion';
+import deepEqual from '../lib/deepEqual';
+import { DATASET_KEY, resolveChartOption, validateDatasetReference } from '../lib/datasets';
+import { JsonDataEditor } from './editors';
+
+const completion = [echartsCompletion({ quote: '"' })];
+
+// Charts start out when they first come near the visible part of the preview
+const LAZY_MARGIN = '200px';
+
+const ChartBlock = ({ data, datasets, chartTheme, onError }) => {
+  const containerRef = useRef(null);
+  const chartRef = useRef(null);
+  // The option the chart shows, so edits elsewhere leave it (and its zoom and
+  // legend state) alone
+  const optionRef = useRef(null);
+  const [isVisible, setIsVisible] = useState(false);
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) {
+        setIsVisible(true);
+        observer.disconnect();
+      }
+    }, { rootMargin: LAZY_MARGIN });
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  // Themes only apply when a chart is created, so a new theme means a new chart
+  useEffect(() => {
+    if (!isVisible) return;
+    const chart = echarts.init(containerRef.current, chartTheme);
+    chartRef.current = chart;
+    optionRef.current = null;
+    const observer = new ResizeObserver(() => chart.resize());
+    observer.observe(containerRef.current);
+    return () => {
+      observer.disconnect();
+      chart.dispose();
+      chartRef.current = null;
+    };
+  }, [isVisible, chartTheme]);
+
+  // ECharts throws for some invalid options; the block reports it instead of
+  // breaking the preview. Charts over a dataset re-render when it changes.
+  useEffect(() => {
+    if (!chartRef.current) return;
+    try {
+      const option = resolveChartOption(data, datasets);
+      if (deepEqual(option, optionRef.current)) return;
+      optionRef.current = null;
+      chartRef.current.setOption(option, true);
+      optionRef.current = option;
+      onErrorRef.current?.(null);
+    } catch (e) {
+      console.warn('Error rendering chart:', e);
+      onErrorRef.current?.(`Chart error: ${e.message}`);
+    }
+    // A new chart (visible, new theme) needs its option set too
+  }, [data, datasets, isVisible, chartTheme]);
+
+  return <div ref={containerRef} className="w-full h-64" />;
+};
+
+const ChartEditor = (props) => <JsonDataEditor {...props} extensions={completion} />;
+
+export default {
+  label: 'Chart',
+  createData: () => ({
+    xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+    yAxis: {},
+    series: [{ type: 'bar', data: [5, 20, 36] }]
+  }),
+  validate: (data, { datasets } = {}) => {
+    if (data?.[DATASET_KEY] === undefined) return validateEChartsOption(data);
+    const { [DATASET_KEY]: reference, ...option } = data;
+    return [...validateDatasetReference(reference, datasets), ...validateEChartsOption(option)];
+  },
+  Renderer: ChartBlock,
+  Editor: ChartEditor
+};
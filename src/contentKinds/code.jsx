@@ -0,0 +1,58 @@
+import React, { useMemo } from 'react';
+import hljs from 'highlight.js/lib/common';
+import 'highlight.js/styles/github.css';
+import escapeHtml from '../lib/escapeHtml';
+import { createTextFieldEditor } from './editors';
+
+// highlight.js output is escaped source wrapped in <span class="hljs-...">
+export const highlightCode = (code, language) => {
+  if (language && hljs.getLanguage(language)) {
+    return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+  }
+  return escapeHtml(code);
+};
+
+// Languages the inline editor can highlight while editing
+const EDITOR_LANGUAGES = {
+  js: 'javascript',
+  javascript: 'javascript',
+  jsx: 'javascript',
+  ts: 'javascript',
+  typescript: 'javascript',
+  json: 'json',
+  md: 'markdown',
+  markdown: 'markdown'
+};
+
+const CodeBlock = ({ data }) => {
+  const { code = '', language } = data;
+  const html = useMemo(() => highlightCode(code, language), [code, language]);
+  return (
+    <div>
+      {language && <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">{language}</div>}
+      <pre className="hljs text-sm p-3 rounded overflow-auto m-0">
+        <code dangerouslySetInnerHTML={{ __html: html }} />
+      </pre>
+    </div>
+  );
+};
+
+const validate = (data) => {
+  if (typeof data?.code !== 'string') {
+    return [{ path: ['code'], severity: 'error', message: 'Code blocks need a "code" string' }];
+  }
+  if (data.language && !hljs.getLanguage(data.language)) {
+    return [{ path: ['language'], severity: 'warning', message: `No highlighting available for "${data.language}"` }];
+  }
+  return [];
+};
+
+export default {
+  label: 'Code',
+  createData: () => ({ language: 'javascript', code: "console.log('Hello');" }),
+  validate,
+  Renderer: CodeBlock,
+  Editor: createTextFieldEditor('code', (data) => EDITOR_LANGUAGES[data?.language?.toLowerCase()] || 'text'),
+  toHtml: ({ code, language }) =>
+    `<pre><code${language ? ` class="language-${escapeHtml(language)}"` : ''}>${escapeHtml(code)}</code></pre>`
+};
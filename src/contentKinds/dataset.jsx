@@ -0,0 +1,194 @@
+import React, { useState, useMemo } from 'react';
+import { readDatasetSource } from '../lib/datasets';
+import { formatTable } from '../lib/tabularData';
+
+const PREVIEW_ROWS = 5;
+
+const SOURCE_MODES = {
+  csv: 'Pasted CSV/TSV',
+  source: 'Inline rows (JSON)',
+  file: 'Uploaded file'
+};
+
+const modeOf = (data) => {
+  if (data?.file) return 'file';
+  if (Array.isArray(data?.source)) return 'source';
+  return 'csv';
+};
+
+const DatasetBlock = ({ data }) => {
+  const table = useMemo(() => readDatasetSource(data), [data]);
+  return (
+    <div className="text-sm">
+      <div className="flex justify-between mb-2">
+        <span className="font-semibold">Dataset “{data.name}”</span>
+        <span className="text-gray-500 dark:text-gray-400">
+          {table.rows.length} rows × {table.columns.length} columns
+          {data.file && ` · ${data.file.name}`}
+        </span>
+      </div>
+      <div className="overflow-auto">
+        <table className="w-full border-collapse text-xs">
+          <thead>
+            <tr>
+              {table.columns.map((column, index) => (
+                <th key={index} className="border-b px-2 py-1 text-left">{column}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {table.rows.slice(0, PREVIEW_ROWS).map((row, rowIndex) => (
+              <tr key={rowIndex}>
+                {table.columns.map((_, index) => (
+                  <td key={index} className="border-b px-2 py-1">{String(row[index] ?? '')}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {table.rows.length > PREVIEW_ROWS && (
+        <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">…and {table.rows.length - PREVIEW_ROWS} more rows</div>
+      )}
+    </div>
+  );
+};
+
+// Name plus one of the three source forms; switching form converts the rows
+// already there
+const DatasetEditor = ({ data, onApply, onCancel }) => {
+  const [name, setName] = useState(data?.name ?? '');
+  const [mode, setMode] = useState(() => modeOf(data));
+  const [csv, setCsv] = useState(() => {
+    if (typeof data?.csv === 'string') return data.csv;
+    try {
+      return formatTable(readDatasetSource(data));
+    } catch {
+      return '';
+    }
+  });
+  const [sourceText, setSourceText] = useState(() =>
+    JSON.stringify(Array.isArray(data?.source) ? data.source : [], null, 2)
+  );
+  const [file, setFile] = useState(data?.file ?? null);
+  const [error, setError] = useState(null);
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+    try {
+      setFile({ name: selected.name, content: await selected.text() });
+      setError(null);
+    } catch (err) {
+      setError(`Could not read ${selected.name}: ${err.message}`);
+    }
+  };
+
+  const handleApply = () => {
+    if (!name.trim()) {
+      setError('Give the dataset a name');
+      return;
+    }
+    let next;
+    if (mode === 'csv') {
+      next = { name: name.trim(), csv };
+    } else if (mode === 'source') {
+      try {
+        next = { name: name.trim(), source: JSON.parse(sourceText) };
+      } catch (err) {
+        setError(`Invalid JSON: ${err.message}`);
+        return;
+      }
+    } else {
+      if (!file) {
+        setError('Choose a file to upload');
+        return;
+      }
+      next = { name: name.trim(), file };
+    }
+    try {
+      readDatasetSource(next);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    onApply(next);
+  };
+
+  const inputClass = 'w-full px-2 py-1 border rounded text-sm';
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Dataset name"
+          aria-label="Dataset name"
+          className={inputClass}
+        />
+        <select value={mode} onChange={(e) => setMode(e.target.value)} className="px-2 py-1 border rounded" aria-label="Source">
+          {Object.entries(SOURCE_MODES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {mode === 'csv' && (
+        <textarea
+          value={csv}
+          onChange={(e) => setCsv(e.target.value)}
+          placeholder={'month,sales\nJan,120'}
+          spellCheck={false}
+          className={`${inputClass} font-mono h-40`}
+        />
+      )}
+      {mode === 'source' && (
+        <textarea
+          value={sourceText}
+          onChange={(e) => setSourceText(e.target.value)}
+          placeholder='[["month", "sales"], ["Jan", 120]]'
+          spellCheck={false}
+          className={`${inputClass} font-mono h-40`}
+        />
+      )}
+      {mode === 'file' && (
+        <div className="space-y-1">
+          <input type="file" accept=".csv,.tsv,.txt,.json" onChange={handleFileChange} />
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {file ? `${file.name} is stored in this document.` : 'The file is copied into the document, so it travels with it.'}
+          </p>
+        </div>
+      )}
+      <div className="flex justify-between items-center">
+        <span className="text-red-500">{error}</span>
+        <div className="flex gap-2">
+          <button onClick={onCancel} className="px-3 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700">Cancel</button>
+          <button onClick={handleApply} className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600">
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const validate = (data) => {
+  if (typeof data?.name !== 'string' || !data.name) {
+    return [{ path: ['name'], severity: 'error', message: 'Datasets need a "name" that charts and tables refer to' }];
+  }
+  try {
+    readDatasetSource(data);
+    return [];
+  } catch (e) {
+    return [{ path: e.path || [], severity: 'error', message: e.message }];
+  }
+};
+
+export default {
+  label: 'Dataset',
+  createData: () => ({ name: 'data', csv: 'category,value\nA,10\nB,20\nC,15' }),
+  validate,
+  Renderer: DatasetBlock,
+  Editor: DatasetEditor
+};
@@ -0,0 +1,31 @@
+import React from 'react';
+import InlineBlockEditor from '../components/InlineBlockEditor';
+import { findJsonSyntaxErrors } from '../lib/problems';
+
+const NO_EXTENSIONS = [];
+
+// The editor for kinds that don't bring their own: the block's data as JSON
+export const JsonDataEditor = ({ data, onApply, onCancel, extensions = NO_EXTENSIONS }) => (
+  <InlineBlockEditor
+    initialText={JSON.stringify(data ?? {}, null, 2)}
+    language="json"
+    extensions={extensions}
+    getProblems={findJsonSyntaxErrors}
+    onApply={(text) => onApply(JSON.parse(text))}
+    onCancel={onCancel}
+  />
+);
+
+// An editor for kinds whose data is mostly one text field (markdown, code),
+// keeping the other fields as they are
+export const createTextFieldEditor = (field, language = 'text') => {
+  const TextFieldEditor = ({ data, onApply, onCancel }) => (
+    <InlineBlockEditor
+      initialText={typeof data?.[field] === 'string' ? data[field] : ''}
+      language={typeof language === 'function' ? language(data) : language}
+      onApply={(text) => onApply({ ...data, [field]: text })}
+      onCancel={onCancel}
+    />
+  );
+  return TextFieldEditor;
+};
@@ -0,0 +1,45 @@
+import React from 'react';
+import escapeHtml from '../lib/escapeHtml';
+
+// Web, data and blob images, or paths relative to the page; never script URLs
+export const isSafeImageSource = (src) =>
+  typeof src === 'string' && (/^(https?:|blob:|data:image\/)/i.test(src) || !/^[a-z][\w+.-]*:/i.test(src.trim()));
+
+const ImageBlock = ({ data }) => {
+  const { src, alt = '', caption, width } = data;
+  if (!isSafeImageSource(src)) {
+    return <div className="text-red-500 text-sm">Image source must be an http(s), data or relative URL</div>;
+  }
+  return (
+    <figure className="m-0 text-center">
+      <img src={src} alt={alt} style={{ maxWidth: width || '100%' }} className="inline-block" />
+      {caption && <figcaption className="mt-2 text-sm text-gray-500 dark:text-gray-400">{caption}</figcaption>}
+    </figure>
+  );
+};
+
+const validate = (data) => {
+  const problems = [];
+  if (typeof data?.src !== 'string' || !data.src) {
+    return [{ path: ['src'], severity: 'error', message: 'Images need a "src" URL' }];
+  }
+  if (!isSafeImageSource(data.src)) {
+    problems.push({ path: ['src'], severity: 'error', message: 'Image source must be an http(s), data or relative URL' });
+  }
+  if (!data.alt) {
+    problems.push({ path: [], severity: 'warning', message: 'Add "alt" text describing the image' });
+  }
+  return problems;
+};
+
+export default {
+  label: 'Image',
+  createData: () => ({ src: 'https://', alt: '', caption: '' }),
+  validate,
+  Renderer: ImageBlock,
+  toHtml: ({ src, alt = '', caption, width }) => (isSafeImageSource(src)
+    ? `<figure><img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${
+      width ? ` style="max-width: ${escapeHtml(typeof width === 'number' ? `${width}px` : width)}"` : ''
+    }>${caption ? `<figcaption>${escapeHtml(caption)}</figcaption>` : ''}</figure>`
+    : '')
+};
@@ -0,0 +1,29 @@
+import { registerContentKind } from './registry';
+import markdown from './markdown';
+import chart from './chart';
+import table from './table';
+import image from './image';
+import code from './code';
+import callout from './callout';
+import dataset from './dataset';
+import markdownSettings from './markdownSettings';
+import { MARKDOWN_SETTINGS_KIND } from '../lib/markdownRenderer';
+
+// Built-in kinds. Other modules add theirs with registerContentKind.
+registerContentKind('markdown', markdown);
+registerContentKind('chart', chart);
+registerContentKind('table', table);
+registerContentKind('image', image);
+registerContentKind('code', code);
+registerContentKind('callout', callout);
+registerContentKind('dataset', dataset);
+registerContentKind(MARKDOWN_SETTINGS_KIND, markdownSettings);
+
+export {
+  registerContentKind,
+  unregisterContentKind,
+  getContentKind,
+  listContentKinds,
+  subscribeToContentKinds,
+  validateContentItem
+} from './registry';
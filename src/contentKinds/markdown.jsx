@@ -0,0 +1,50 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { renderMarkdown } from '../lib/markdownRenderer';
+import { mountEChartsBlocks } from '../lib/markdownItECharts';
+import { inlineChartBlocks } from '../lib/exportDocument';
+import usePreferences from '../hooks/usePreferences';
+import { PREVIEW_SCALES } from '../storage/preferences';
+import { createTextFieldEditor } from './editors';
+
+const MarkdownBlock = ({ data, trustedHtml, markdownConfig, chartTheme }) => {
+  const { previewScale } = usePreferences();
+  const containerRef = useRef(null);
+  const html = useMemo(
+    () => renderMarkdown(data.text, { config: markdownConfig, trustedHtml }),
+    [data.text, markdownConfig, trustedHtml]
+  );
+
+  // ```echarts blocks, when the document has the charts plugin on
+  useEffect(() => {
+    const charts = mountEChartsBlocks(containerRef.current, { theme: chartTheme });
+    if (!charts.length) return;
+    const observer = new ResizeObserver(() => charts.forEach(chart => chart.resize()));
+    observer.observe(containerRef.current);
+    return () => {
+      observer.disconnect();
+      charts.forEach(chart => chart.dispose());
+    };
+  }, [html, chartTheme]);
+
+  return (
+    <div
+      ref={containerRef}
+      className={`prose ${PREVIEW_SCALES[previewScale]} dark:prose-invert max-w-none`}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default {
+  label: 'Markdown',
+  createData: () => ({ text: '## New section\nWrite something here.' }),
+  validate: (data) => (typeof data?.text === 'string'
+    ? []
+    : [{ path: ['text'], severity: 'error', message: 'Markdown blocks need a "text" string' }]),
+  Renderer: MarkdownBlock,
+  Editor: createTextFieldEditor('text', 'markdown'),
+  toHtml: (data, { markdownConfig, trustedHtml, chartTheme }) => inlineChartBlocks(
+    renderMarkdown(data.text, { config: markdownConfig, trustedHtml }),
+    { theme: chartTheme }
+  )
+};
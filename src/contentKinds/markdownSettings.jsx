@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import MarkdownSettingsPanel from '../components/MarkdownSettingsPanel';
+import { MARKDOWN_OPTIONS, MARKDOWN_PLUGINS, DEFAULT_MARKDOWN_CONFIG, readMarkdownConfig } from '../lib/markdownRenderer';
+
+// Document-wide: how every markdown and callout block of the document is
+// rendered (see lib/markdownRenderer). It shows as a summary and is left out
+// of exports.
+const MarkdownSettingsBlock = ({ data }) => {
+  const { config } = readMarkdownConfig(data);
+  const disabledOptions = Object.keys(MARKDOWN_OPTIONS).filter(key => !config[key]);
+  return (
+    <div className="text-sm text-gray-500 dark:text-gray-400">
+      <span className="font-semibold">Markdown settings</span>
+      {' · '}
+      {config.plugins.map(name => MARKDOWN_PLUGINS[name].label).join(', ') || 'No plugins'}
+      {disabledOptions.length > 0 && ` · off: ${disabledOptions.map(key => MARKDOWN_OPTIONS[key].label).join(', ')}`}
+    </div>
+  );
+};
+
+const MarkdownSettingsEditor = ({ data, onApply, onCancel }) => {
+  const [config, setConfig] = useState(() => readMarkdownConfig(data).config);
+  return (
+    <div className="space-y-2">
+      <MarkdownSettingsPanel config={config} onChange={setConfig} />
+      <div className="flex justify-end gap-2 text-sm">
+        <button onClick={onCancel} className="px-3 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700">Cancel</button>
+        <button onClick={() => onApply(config)} className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600">
+          Apply
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default {
+  label: 'Markdown settings',
+  createData: () => DEFAULT_MARKDOWN_CONFIG,
+  validate: (data) => readMarkdownConfig(data).problems.map(problem => ({ ...problem, severity: 'warning' })),
+  Renderer: MarkdownSettingsBlock,
+  Editor: MarkdownSettingsEditor
+};
@@ -0,0 +1,75 @@
+// Registry of the item kinds a multi-content document can hold. A kind is
+// registered once, by name, with:
+//
+//   label        name shown in the block inserter (defaults to the kind)
+//   createData   () => data for a newly inserted block
+//   Renderer     React component rendering a block:
+//                ({ data, trustedHtml, datasets, chartTheme, markdownConfig, onError })
+//                chartTheme is the document's ECharts theme (see lib/chartThemes),
+//                markdownConfig its markdown-it configuration (see lib/markdownRenderer);
+//                onError(message) reports a render failure, onError(null) clears it
+//   validate     optional (data, { datasets }) => [{ path, message, severity }],
+//                path relative to data
+//   Editor       optional React component: ({ data, onApply, onCancel }). Blocks
+//                without one are edited as JSON.
+//   toHtml       optional (data, { trustedHtml, datasets, chartTheme, markdownConfig }) =>
+//                static HTML for exports
+//
+// `datasets` are the document's named tables (see lib/datasets).
+//
+// e.g. registerContentKind('quote', { createData: () => ({ text: '' }), Renderer: Quote })
+
+const kinds = new Map();
+const listeners = new Set();
+let snapshot = [];
+
+const notify = () => {
+  snapshot = [...kinds.values()];
+  listeners.forEach(listener => listener());
+};
+
+export const registerContentKind = (kind, definition) => {
+  if (!/^[\w-]+$/.test(kind)) {
+    throw new Error(`Invalid content kind name "${kind}"`);
+  }
+  if (typeof definition?.Renderer !== 'function' && typeof definition?.Renderer !== 'object') {
+    throw new Error(`Content kind "${kind}" needs a Renderer component`);
+  }
+  if (typeof definition.createData !== 'function') {
+    throw new Error(`Content kind "${kind}" needs a createData function`);
+  }
+  if (kinds.has(kind)) {
+    console.warn(`Content kind "${kind}" is being replaced`);
+  }
+  kinds.set(kind, { label: kind, validate: () => [], ...definition, kind });
+  notify();
+  return () => unregisterContentKind(kind);
+};
+
+export const unregisterContentKind = (kind) => {
+  if (kinds.delete(kind)) notify();
+};
+
+export const getContentKind = (kind) => kinds.get(kind);
+
+export const listContentKinds = () => snapshot;
+
+export const subscribeToContentKinds = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Problems for one item: an unknown kind, a validator's findings, or a
+// validator that threw. Components pass the kinds from useContentKinds, so
+// their results follow registrations.
+export const validateContentItem = (item, context = {}, definitions = snapshot) => {
+  const definition = definitions.find(candidate => candidate.kind === item?.kind);
+  if (!definition) {
+    return [{ path: ['kind'], severity: 'warning', message: `Unknown content kind "${item?.kind}"` }];
+  }
+  try {
+    return definition.validate(item.data, context).map(problem => ({ ...problem, path: ['data', ...(problem.path || [])] }));
+  } catch (e) {
+    return [{ path: ['data'], severity: 'error', message: `Invalid ${definition.label} data: ${e.message}` }];
+  }
+};
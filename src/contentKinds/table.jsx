@@ -0,0 +1,110 @@
+import React, { useState, useMemo } from 'react';
+import escapeHtml from '../lib/escapeHtml';
+import { DATASET_KEY, resolveDatasetReference, validateDatasetReference } from '../lib/datasets';
+
+// A table's own rows, or the rows of the dataset it shows
+const tableContent = (data, datasets) =>
+  data[DATASET_KEY] !== undefined ? resolveDatasetReference(data[DATASET_KEY], datasets) : data;
+
+// Numbers sort numerically, everything else as text; empty cells go last
+const compareCells = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === '') return 1;
+  if (b === null || b === undefined || b === '') return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+const TableBlock = ({ data, datasets }) => {
+  const [sort, setSort] = useState(null);
+  const { columns = [], rows = [] } = useMemo(() => tableContent(data, datasets), [data, datasets]);
+  const { sortable = true } = data;
+
+  const sortedRows = useMemo(() => {
+    if (!sort) return rows;
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => direction * compareCells(a[sort.column], b[sort.column]));
+  }, [rows, sort]);
+
+  // Ascending, then descending, then back to the written order
+  const handleSort = (column) => {
+    setSort(current => {
+      if (current?.column !== column) return { column, direction: 'asc' };
+      return current.direction === 'asc' ? { column, direction: 'desc' } : null;
+    });
+  };
+
+  return (
+    <div className="overflow-auto">
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr>
+            {columns.map((column, index) => (
+              <th key={index} className="border-b-2 px-2 py-1 text-left font-semibold">
+                {sortable ? (
+                  <button onClick={() => handleSort(index)} className="flex items-center gap-1 hover:text-blue-600">
+                    {column}
+                    <span className="text-xs text-gray-400 dark:text-gray-500">
+                      {sort?.column === index ? (sort.direction === 'asc' ? '▲' : '▼') : '↕'}
+                    </span>
+                  </button>
+                ) : column}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sortedRows.map((row, rowIndex) => (
+            <tr key={rowIndex} className="even:bg-gray-50">
+              {columns.map((_, index) => (
+                <td key={index} className={`border-b px-2 py-1 ${typeof row[index] === 'number' ? 'text-right' : ''}`}>
+                  {row[index] === null || row[index] === undefined ? '' : String(row[index])}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const validate = (data, { datasets } = {}) => {
+  if (data?.[DATASET_KEY] !== undefined) {
+    return validateDatasetReference(data[DATASET_KEY], datasets);
+  }
+  if (!Array.isArray(data?.columns)) {
+    return [{ path: ['columns'], severity: 'error', message: 'Tables need a "columns" array of headings' }];
+  }
+  if (!Array.isArray(data.rows)) {
+    return [{ path: ['rows'], severity: 'error', message: 'Tables need a "rows" array' }];
+  }
+  return data.rows.flatMap((row, index) => {
+    if (!Array.isArray(row)) {
+      return [{ path: ['rows', index], severity: 'error', message: 'Each row must be an array of cells' }];
+    }
+    return row.length === data.columns.length ? [] : [{
+      path: ['rows', index],
+      severity: 'warning',
+      message: `Row has ${row.length} cells but the table has ${data.columns.length} columns`
+    }];
+  });
+};
+
+export default {
+  label: 'Table',
+  createData: () => ({
+    columns: ['Name', 'Value'],
+    rows: [['Alpha', 12], ['Beta', 7]]
+  }),
+  validate,
+  Renderer: TableBlock,
+  toHtml: (data, { datasets } = {}) => {
+    const { columns, rows } = tableContent(data, datasets);
+    return `<table><thead><tr>${
+      columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')
+    }</tr></thead><tbody>${
+      rows.map(row => `<tr>${columns.map((_, index) => `<td>${escapeHtml(row[index])}</td>`).join('')}</tr>`).join('')
+    }</tbody></table>`;
+  }
+};
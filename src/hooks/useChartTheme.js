@@ -0,0 +1,12 @@
+import useChartThemes from './useChartThemes';
+import { BUILT_IN_THEMES, resolveChartTheme } from '../lib/chartThemes';
+
+// The theme to pass to echarts.init for a document: the one it picked, or
+// the default theme when it didn't pick one (or picked one since deleted).
+const useChartTheme = (documentTheme) => {
+  const { themes, defaultTheme } = useChartThemes();
+  const exists = [...BUILT_IN_THEMES, ...themes].some(theme => theme.id === documentTheme);
+  return resolveChartTheme(exists ? documentTheme : defaultTheme, themes);
+};
+
+export default useChartTheme;
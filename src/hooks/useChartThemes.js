@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { getChartThemeState, subscribeToChartThemes } from '../storage/chartThemeStore';
+
+// Custom chart themes and the default theme, updating when either changes
+const useChartThemes = () => useSyncExternalStore(subscribeToChartThemes, getChartThemeState);
+
+export default useChartThemes;
@@ -0,0 +1,22 @@
+import { useSyncExternalStore } from 'react';
+import usePreferences from './usePreferences';
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+const subscribeToSystemScheme = (listener) => {
+  const query = window.matchMedia(DARK_QUERY);
+  query.addEventListener('change', listener);
+  return () => query.removeEventListener('change', listener);
+};
+
+const systemPrefersDark = () => window.matchMedia(DARK_QUERY).matches;
+
+// Whether the app is shown dark, following the system when the preference
+// says so
+const useColorScheme = () => {
+  const { colorScheme } = usePreferences();
+  const systemDark = useSyncExternalStore(subscribeToSystemScheme, systemPrefersDark);
+  return colorScheme === 'dark' || (colorScheme === 'system' && systemDark);
+};
+
+export default useColorScheme;
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { listContentKinds, subscribeToContentKinds } from '../contentKinds/registry';
+
+// Registered content kinds, updating when kinds are added or removed
+const useContentKinds = () => useSyncExternalStore(subscribeToContentKinds, listContentKinds);
+
+export default useContentKinds;
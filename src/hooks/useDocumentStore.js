@@ -0,0 +1,306 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { getDocumentStore, describeStorageError, DocumentExistsError } from '../storage/documentStore';
+import useStorageBackend from './useStorageBackend';
+import usePreferences from './usePreferences';
+
+const EXTERNAL_CHANGE_POLL_INTERVAL = 2000;
+
+// Owns the current filename, its text and the saved file list for one editor,
+// persisting through the shared document store. Editors open the document
+// they had open last, unless given an `initialFilename` (workspace tabs);
+// those leave the last filename alone and report the files they move to
+// through onFilenameChange. onOpenFile may turn down a file picked from the
+// file list by returning false (e.g. one open in another tab).
+const useDocumentStore = (namespace, defaultText, { initialFilename, onFilenameChange, onOpenFile } = {}) => {
+  const backend = useStorageBackend();
+  const store = useMemo(() => getDocumentStore(namespace, backend), [namespace, backend]);
+  const { autoSaveInterval } = usePreferences();
+
+  const [filename, setFilename] = useState(() => initialFilename || store.getLastFilename() || 'untitled');
+  const [text, setText] = useState(defaultText);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [savedFiles, setSavedFiles] = useState([]);
+  const [saveStatus, setSaveStatus] = useState('');
+  const [saveError, setSaveError] = useState('');
+  const [lastSaved, setLastSaved] = useState(null);
+  const [settings, setSettings] = useState(() => store.getSettings(filename));
+  const [lastEditTime, setLastEditTime] = useState(Date.now());
+  // A newer version of the open file written by another program, waiting for
+  // the user to decide what to keep
+  const [externalChange, setExternalChange] = useState(null);
+
+  // Only user edits (and new files) are written back, so opening a file
+  // doesn't bump its lastModified.
+  const isDirty = useRef(false);
+  const statusTimer = useRef(null);
+  // Timestamp of the version we last read or wrote, and the number of writes
+  // in flight, so our own saves aren't mistaken for external edits
+  const knownModified = useRef(null);
+  const pendingSaves = useRef(0);
+  const textRef = useRef(text);
+  textRef.current = text;
+  const filenameRef = useRef(filename);
+  filenameRef.current = filename;
+  const onFilenameChangeRef = useRef(onFilenameChange);
+  onFilenameChangeRef.current = onFilenameChange;
+  const onOpenFileRef = useRef(onOpenFile);
+  onOpenFileRef.current = onOpenFile;
+  const tracksLastFilename = useRef(!initialFilename).current;
+
+  const rememberFilename = useCallback((name) => {
+    if (tracksLastFilename) store.setLastFilename(name);
+  }, [store, tracksLastFilename]);
+
+  const loadSavedFiles = useCallback(async () => {
+    try {
+      setSavedFiles(await store.list());
+    } catch (e) {
+      console.warn('Error loading saved files:', e);
+    }
+  }, [store]);
+
+  const flashStatus = useCallback((status) => {
+    setSaveStatus(status);
+    clearTimeout(statusTimer.current);
+    statusTimer.current = setTimeout(() => setSaveStatus(''), 2000);
+  }, []);
+
+  const persist = useCallback(async (name, value, status) => {
+    pendingSaves.current += 1;
+    try {
+      const saved = await store.save(name, value);
+      knownModified.current = saved.lastModified;
+      setLastSaved(saved.lastModified);
+      rememberFilename(name);
+      setSaveError('');
+      flashStatus(status);
+      loadSavedFiles();
+    } catch (e) {
+      console.error(e);
+      setSaveError(describeStorageError(e));
+    } finally {
+      pendingSaves.current -= 1;
+    }
+  }, [store, flashStatus, loadSavedFiles, rememberFilename]);
+
+  // Load the last opened document on mount and when the storage location
+  // changes. File switches go through handleFileClick instead, so the open
+  // filename is read rather than depended on.
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoaded(false);
+    setExternalChange(null);
+    knownModified.current = null;
+    store.load(filenameRef.current)
+      .then(doc => {
+        if (cancelled) return;
+        if (doc) {
+          isDirty.current = false;
+          knownModified.current = doc.lastModified;
+          setText(doc.text || defaultText);
+        } else {
+          // Not in this location (e.g. a folder just picked): start a new
+          // document rather than copying the previous location's text there.
+          // It is saved once it is edited.
+          isDirty.current = false;
+          setText(defaultText);
+        }
+      })
+      .catch(e => console.warn('Error loading saved content:', e))
+      .finally(() => {
+        if (!cancelled) setIsLoaded(true);
+      });
+    loadSavedFiles();
+    return () => {
+      cancelled = true;
+    };
+  }, [store, defaultText, loadSavedFiles]);
+
+  useEffect(() => () => clearTimeout(statusTimer.current), []);
+
+  // Per-document settings follow the open file
+  useEffect(() => {
+    setSettings(store.getSettings(filename));
+  }, [store, filename]);
+
+  useEffect(() => {
+    onFilenameChangeRef.current?.(filename);
+  }, [filename]);
+
+  // Save whenever the content changes, unless that would overwrite an
+  // external change the user hasn't reconciled yet
+  useEffect(() => {
+    if (!isLoaded || !isDirty.current || externalChange) return;
+    isDirty.current = false;
+    persist(filename, text, 'Saved!');
+  }, [text, filename, isLoaded, externalChange, persist]);
+
+  // Watch file-backed documents for edits made outside the editor
+  useEffect(() => {
+    if (!isLoaded || !store.backend.detectsExternalChanges || externalChange) return;
+    const poll = setInterval(async () => {
+      if (pendingSaves.current > 0 || knownModified.current === null) return;
+      try {
+        const doc = await store.load(filename);
+        if (!doc || doc.lastModified === knownModified.current || pendingSaves.current > 0) return;
+        if (doc.text === textRef.current) {
+          knownModified.current = doc.lastModified;
+          return;
+        }
+        setExternalChange(doc);
+      } catch (e) {
+        console.warn('Error checking for external changes:', e);
+      }
+    }, EXTERNAL_CHANGE_POLL_INTERVAL);
+
+    return () => clearInterval(poll);
+  }, [store, filename, isLoaded, externalChange]);
+
+  // Auto-save at the interval set in the preferences if changes were made
+  useEffect(() => {
+    if (!isLoaded || externalChange || !autoSaveInterval) return;
+    const interval = autoSaveInterval * 1000;
+    const autoSave = setInterval(() => {
+      if (Date.now() - lastEditTime < interval) {
+        persist(filename, text, 'Auto-saved!');
+      }
+    }, interval);
+
+    return () => clearInterval(autoSave);
+  }, [text, filename, lastEditTime, isLoaded, externalChange, persist, autoSaveInterval]);
+
+  const updateText = useCallback((value) => {
+    isDirty.current = true;
+    setText(value);
+    setLastEditTime(Date.now());
+  }, []);
+
+  const handleNewFile = useCallback((initialText = defaultText) => {
+    const newFilename = `untitled-${Date.now()}`;
+    isDirty.current = true;
+    knownModified.current = null;
+    setExternalChange(null);
+    setFilename(newFilename);
+    setText(typeof initialText === 'string' ? initialText : defaultText);
+    setLastEditTime(Date.now());
+  }, [defaultText]);
+
+  const handleFileClick = useCallback(async (selectedFile) => {
+    if (onOpenFileRef.current?.(selectedFile.name) === false) return;
+    try {
+      const doc = await store.load(selectedFile.name);
+      isDirty.current = false;
+      knownModified.current = doc?.lastModified ?? null;
+      setExternalChange(null);
+      setFilename(selectedFile.name);
+      setText(doc?.text || defaultText);
+      setLastEditTime(Date.now());
+      rememberFilename(selectedFile.name);
+    } catch (e) {
+      console.warn('Error loading saved content:', e);
+    }
+  }, [store, defaultText, rememberFilename]);
+
+  // Renames the open document, returning whether it was. Names already taken
+  // are refused rather than overwritten.
+  const renameFile = useCallback(async (name) => {
+    const newFilename = name.trim();
+    if (!newFilename || newFilename === filename) return false;
+    pendingSaves.current += 1;
+    try {
+      const renamed = await store.rename(filename, newFilename, text);
+      knownModified.current = renamed.lastModified;
+      setFilename(newFilename);
+      rememberFilename(newFilename);
+      setSaveError('');
+      return true;
+    } catch (err) {
+      console.error(err);
+      if (err instanceof DocumentExistsError) {
+        window.alert(`${err.message}. Pick another name.`);
+      } else {
+        setSaveError(describeStorageError(err));
+      }
+      return false;
+    } finally {
+      pendingSaves.current -= 1;
+      loadSavedFiles();
+    }
+  }, [store, filename, text, loadSavedFiles, rememberFilename]);
+
+  const handleDeleteFile = useCallback(async (fileToDelete) => {
+    if (window.confirm(`Are you sure you want to delete ${fileToDelete.name}?`)) {
+      try {
+        await store.remove(fileToDelete.name);
+      } catch (e) {
+        console.warn('Error deleting file:', e);
+      }
+      if (fileToDelete.name === filename) {
+        handleNewFile();
+      }
+      loadSavedFiles();
+    }
+  }, [store, filename, handleNewFile, loadSavedFiles]);
+
+  // Reconciling an external change: take the version on disk, keep ours
+  // (overwriting the disk), or keep ours under a new name and load theirs.
+  const acceptExternalChange = useCallback(() => {
+    if (!externalChange) return;
+    isDirty.current = false;
+    knownModified.current = externalChange.lastModified;
+    setText(externalChange.text);
+    setExternalChange(null);
+  }, [externalChange]);
+
+  const keepLocalChanges = useCallback(() => {
+    isDirty.current = true;
+    setExternalChange(null);
+    setLastEditTime(Date.now());
+  }, []);
+
+  const saveLocalChangesAsCopy = useCallback(async () => {
+    if (!externalChange) return;
+    const copyName = `${filename}-conflict-${Date.now()}`;
+    await persist(copyName, text, 'Saved copy!');
+    rememberFilename(filename);
+    acceptExternalChange();
+  }, [externalChange, filename, text, persist, rememberFilename, acceptExternalChange]);
+
+  const updateSettings = useCallback((patch) => {
+    setSettings(store.updateSettings(filename, patch));
+  }, [store, filename]);
+
+  // Restoring is itself undoable: the restored text starts a new revision
+  // instead of overwriting the one being edited.
+  const restoreRevision = useCallback(async (revision) => {
+    await store.history.checkpoint(filename);
+    updateText(revision.text);
+  }, [store, filename, updateText]);
+
+  return {
+    store,
+    filename,
+    text,
+    isLoaded,
+    savedFiles,
+    saveStatus,
+    saveError,
+    lastSaved,
+    lastEditTime,
+    settings,
+    updateSettings,
+    externalChange,
+    acceptExternalChange,
+    keepLocalChanges,
+    saveLocalChangesAsCopy,
+    updateText,
+    restoreRevision,
+    loadSavedFiles,
+    handleNewFile,
+    handleFileClick,
+    renameFile,
+    handleDeleteFile
+  };
+};
+
+export default useDocumentStore;
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { getPreferences, subscribeToPreferences } from '../storage/preferences';
+
+// App-wide preferences, updating when any of them changes
+const usePreferences = () => useSyncExternalStore(subscribeToPreferences, getPreferences);
+
+export default usePreferences;
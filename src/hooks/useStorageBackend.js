@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react';
+import { getDefaultBackend, subscribeToDefaultBackend } from '../storage/documentStore';
+
+// Re-renders whenever the user switches where documents are stored.
+const useStorageBackend = () =>
+  useSyncExternalStore(subscribeToDefaultBackend, getDefaultBackend);
+
+export default useStorageBackend;
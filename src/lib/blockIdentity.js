@@ -0,0 +1,42 @@
+// Stable identities for the items of a multi-content document across edits of
+// its JSON, so each block keeps its component (and live chart) while blocks
+// are edited, inserted, moved and removed. New items are matched with the
+// previous ones: unchanged items first, wherever they moved, then edited items
+// with an item of the same kind in the same stretch of the document.
+// Unchanged items also keep their previous object, so their blocks get no new
+// data.
+
+let lastId = 0;
+const createBlockId = () => `block-${++lastId}`;
+
+// previous: { items, ids } => { items, ids } for the new items
+export const matchBlocks = (previous, items) => {
+  const unchanged = new Map();
+  previous.items.forEach((item, index) => {
+    const json = JSON.stringify(item);
+    unchanged.set(json, [...(unchanged.get(json) || []), index]);
+  });
+
+  const matches = items.map(item => unchanged.get(JSON.stringify(item))?.shift() ?? -1);
+  const isUnchanged = matches.map(match => match !== -1);
+  const used = new Set(matches);
+  // An edited item takes the first free item of its kind between the
+  // unchanged items around it
+  items.forEach((item, index) => {
+    if (matches[index] !== -1) return;
+    const after = matches.slice(0, index).filter(match => match !== -1).pop() ?? -1;
+    const before = matches.slice(index + 1).find((match, offset) => isUnchanged[index + 1 + offset]) ?? previous.items.length;
+    for (let candidate = after + 1; candidate < before; candidate++) {
+      if (!used.has(candidate) && previous.items[candidate]?.kind === item?.kind) {
+        matches[index] = candidate;
+        used.add(candidate);
+        break;
+      }
+    }
+  });
+
+  return {
+    items: items.map((item, index) => (isUnchanged[index] ? previous.items[matches[index]] : item)),
+    ids: matches.map(match => (match === -1 ? createBlockId() : previous.ids[match]))
+  };
+};
@@ -0,0 +1,93 @@
+import deepEqual from './deepEqual';
+
+// The form-based chart builder edits a small model that maps one-to-one onto
+// a subset of ECharts options (a dataset plus series that encode its columns).
+// Options outside that subset can't be shown in the builder; optionToModel
+// returns null for them rather than silently dropping what it doesn't know.
+
+export const BUILDER_CHART_TYPES = ['line', 'bar', 'scatter', 'pie'];
+export const LEGEND_POSITIONS = ['none', 'top', 'bottom', 'left', 'right'];
+export const TOOLTIP_TRIGGERS = ['none', 'axis', 'item'];
+
+export const defaultBuilderModel = {
+  chartType: 'bar',
+  table: {
+    columns: ['month', 'sales', 'costs'],
+    rows: [['Jan', 120, 80], ['Feb', 200, 110], ['Mar', 150, 95]]
+  },
+  categoryColumn: 'month',
+  valueColumns: ['sales'],
+  title: '',
+  legend: 'top',
+  tooltip: 'axis',
+  colors: [],
+  smooth: false,
+  stacked: false
+};
+
+const LEGEND_OPTIONS = {
+  top: { top: 'top' },
+  bottom: { top: 'bottom' },
+  left: { left: 'left', orient: 'vertical' },
+  right: { left: 'right', orient: 'vertical' }
+};
+
+const seriesFor = (model, column) => {
+  if (model.chartType === 'pie') {
+    return { type: 'pie', name: column, encode: { itemName: model.categoryColumn, value: column } };
+  }
+  const series = { type: model.chartType, name: column, encode: { x: model.categoryColumn, y: column } };
+  if (model.chartType === 'line' && model.smooth) series.smooth = true;
+  if (model.chartType === 'bar' && model.stacked) series.stack = 'total';
+  return series;
+};
+
+export const modelToOption = (model) => {
+  const option = {};
+  if (model.title) option.title = { text: model.title };
+  if (model.legend !== 'none') option.legend = LEGEND_OPTIONS[model.legend];
+  if (model.tooltip !== 'none') option.tooltip = { trigger: model.tooltip };
+  if (model.colors.length) option.color = model.colors;
+  option.dataset = { source: [model.table.columns, ...model.table.rows] };
+  if (model.chartType !== 'pie') {
+    option.xAxis = { type: model.chartType === 'scatter' ? 'value' : 'category' };
+    option.yAxis = {};
+  }
+  // A pie shows a single value column
+  const valueColumns = model.chartType === 'pie' ? model.valueColumns.slice(0, 1) : model.valueColumns;
+  option.series = valueColumns.map(column => seriesFor(model, column));
+  return option;
+};
+
+const legendPosition = (legend) => {
+  if (!legend) return 'none';
+  return Object.keys(LEGEND_OPTIONS).find(position => deepEqual(LEGEND_OPTIONS[position], legend)) || null;
+};
+
+// Reads the builder model back out of an option, or returns null when the
+// option uses anything the builder can't represent.
+export const optionToModel = (option) => {
+  const source = option?.dataset?.source;
+  if (!Array.isArray(source) || !Array.isArray(source[0]) || !source.slice(1).every(Array.isArray)) return null;
+  const series = Array.isArray(option.series) ? option.series : [option.series].filter(Boolean);
+  const chartType = series[0]?.type;
+  if (!BUILDER_CHART_TYPES.includes(chartType) || series.some(item => item?.type !== chartType)) return null;
+
+  const isPie = chartType === 'pie';
+  const model = {
+    chartType,
+    table: { columns: source[0], rows: source.slice(1) },
+    categoryColumn: isPie ? series[0].encode?.itemName : series[0].encode?.x,
+    valueColumns: series.map(item => (isPie ? item.encode?.value : item.encode?.y)),
+    title: option.title?.text || '',
+    legend: legendPosition(option.legend),
+    tooltip: option.tooltip?.trigger || 'none',
+    colors: option.color || [],
+    smooth: series[0].smooth === true,
+    stacked: series[0].stack !== undefined
+  };
+  if (model.legend === null) return null;
+
+  // Anything the model didn't capture makes the regenerated option differ
+  return deepEqual(modelToOption(model), option) ? model : null;
+};
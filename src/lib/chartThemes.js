@@ -0,0 +1,87 @@
+import * as echarts from 'echarts';
+
+// Chart themes: ECharts' own light (default) and dark themes plus custom
+// themes the user defines from a handful of settings. Custom themes are
+// registered with ECharts under `<id>@<updated>`, so editing one gives it a
+// new name and charts using it are re-created with the new look.
+
+export const DEFAULT_CHART_THEME = 'default';
+
+// `base` approximates each built-in theme in custom theme settings, as the
+// starting point for a custom theme
+export const BUILT_IN_THEMES = [
+  {
+    id: DEFAULT_CHART_THEME,
+    name: 'Light',
+    base: {
+      colors: ['#5470c6', '#91cc75', '#fac858', '#ee6666', '#73c0de', '#3ba272', '#fc8452', '#9a60b4', '#ea7ccc'],
+      backgroundColor: '#ffffff',
+      textColor: '#333333',
+      fontFamily: 'sans-serif',
+      axisColor: '#6e7079',
+      splitLineColor: '#e0e6f1'
+    }
+  },
+  {
+    id: 'dark',
+    name: 'Dark',
+    base: {
+      colors: ['#4992ff', '#7cffb2', '#fddd60', '#ff6e76', '#58d9f9', '#05c091', '#ff8a45', '#8d48e3', '#dd79ff'],
+      backgroundColor: '#100c2a',
+      textColor: '#eeeeee',
+      fontFamily: 'sans-serif',
+      axisColor: '#b9b8ce',
+      splitLineColor: '#484753'
+    }
+  }
+];
+
+export const createCustomTheme = (name, base = BUILT_IN_THEMES[0].base) => ({
+  ...base,
+  id: `theme-${Date.now()}`,
+  name,
+  updated: Date.now()
+});
+
+const axisStyle = (theme) => ({
+  axisLine: { lineStyle: { color: theme.axisColor } },
+  axisTick: { lineStyle: { color: theme.axisColor } },
+  axisLabel: { color: theme.axisColor },
+  splitLine: { lineStyle: { color: [theme.splitLineColor] } }
+});
+
+// The ECharts theme object for a custom theme
+export const toEChartsTheme = (theme) => ({
+  color: theme.colors,
+  backgroundColor: theme.backgroundColor,
+  textStyle: { color: theme.textColor, fontFamily: theme.fontFamily },
+  title: { textStyle: { color: theme.textColor }, subtextStyle: { color: theme.axisColor } },
+  legend: { textStyle: { color: theme.textColor } },
+  categoryAxis: axisStyle(theme),
+  valueAxis: axisStyle(theme),
+  timeAxis: axisStyle(theme),
+  logAxis: axisStyle(theme)
+});
+
+const registered = new Map();
+
+export const registerCustomTheme = (theme, name = `${theme.id}@${theme.updated}`) => {
+  if (!registered.has(name)) {
+    const definition = toEChartsTheme(theme);
+    echarts.registerTheme(name, definition);
+    registered.set(name, definition);
+  }
+  return name;
+};
+
+// What to pass to echarts.init for a theme id: null for the default theme,
+// an ECharts theme name otherwise. Unknown ids fall back to the default.
+export const resolveChartTheme = (id, customThemes = []) => {
+  if (id === 'dark') return 'dark';
+  const custom = customThemes.find(theme => theme.id === id);
+  return custom ? registerCustomTheme(custom) : null;
+};
+
+// The theme object behind a resolved custom theme name, for pages that load
+// their own copy of ECharts. Built-in themes ship with ECharts and have none.
+export const chartThemeDefinition = (name) => registered.get(name) ?? null;
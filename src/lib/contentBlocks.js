@@ -0,0 +1,31 @@
+// Block operations on the items of a multi-content document. Each returns a
+// new array and leaves its input untouched.
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+export const insertBlock = (items, index, item) => [
+  ...items.slice(0, index),
+  item,
+  ...items.slice(index)
+];
+
+export const duplicateBlock = (items, index) => [
+  ...items.slice(0, index + 1),
+  clone(items[index]),
+  ...items.slice(index + 1)
+];
+
+export const removeBlock = (items, index) => items.filter((_, i) => i !== index);
+
+// Moves the item at `from` so it lands before the item currently at `to`
+// (`to === items.length` moves it to the end).
+export const moveBlock = (items, from, to) => {
+  if (to === from || to === from + 1) return items;
+  const moved = items[from];
+  const rest = removeBlock(items, from);
+  const target = to > from ? to - 1 : to;
+  return [...rest.slice(0, target), moved, ...rest.slice(target)];
+};
+
+export const updateBlockData = (items, index, data) =>
+  items.map((item, i) => (i === index ? { ...item, data } : item));
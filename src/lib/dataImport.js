@@ -0,0 +1,138 @@
+import { parseTable, tableFromRows } from './tabularData';
+import { defaultBuilderModel, modelToOption } from './chartBuilder';
+
+// Importing data files (CSV, TSV, JSON rows, Excel sheets) into a starter
+// chart. Everything is parsed in the browser; nothing leaves the page.
+
+export const DATA_FILE_ACCEPT = '.csv,.tsv,.txt,.json,.xlsx';
+export const COLUMN_TYPES = ['number', 'time', 'category'];
+
+const isExcel = (file) => /\.xlsx$/i.test(file.name);
+
+// The sheets of an Excel workbook, or null for other files
+export const listSheets = async (file) => {
+  if (!isExcel(file)) return null;
+  const { readSheetNames } = await import('read-excel-file');
+  return readSheetNames(file);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Dates without a time of day are written as plain days
+const formatDate = (date) => {
+  const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  const hasTime = date.getUTCHours() || date.getUTCMinutes() || date.getUTCSeconds();
+  return hasTime ? date.toISOString().replace(/\.000Z$/, 'Z') : day;
+};
+
+// Header row plus rows of the first (or chosen) sheet. Throws for files that
+// hold no table.
+export const readDataFile = async (file, { sheet } = {}) => {
+  let table;
+  if (isExcel(file)) {
+    const { default: readXlsxFile } = await import('read-excel-file');
+    const rows = await readXlsxFile(file, sheet ? { sheet } : undefined);
+    table = tableFromRows(rows.map(row => row.map(cell => (cell instanceof Date ? formatDate(cell) : cell))));
+  } else if (/\.json$/i.test(file.name)) {
+    const rows = JSON.parse(await file.text());
+    if (!Array.isArray(rows)) throw new Error('JSON files must hold an array of rows');
+    table = tableFromRows(rows);
+  } else {
+    table = parseTable(await file.text());
+  }
+  if (!table.columns.length || !table.rows.length) {
+    throw new Error('The file needs a header row and at least one row of data');
+  }
+  return table;
+};
+
+const ISO_DATE = /^\d{4}-\d{1,2}(-\d{1,2})?([T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const YEAR_FIRST_DATE = /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/;
+// Month first, as US spreadsheets write them
+const YEAR_LAST_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+// A value as a date ECharts reads, or null when it isn't one
+const toTime = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').trim();
+  let match;
+  if (ISO_DATE.test(text)) {
+    return Number.isNaN(Date.parse(text)) ? null : text;
+  }
+  if ((match = YEAR_FIRST_DATE.exec(text))) return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+  if ((match = YEAR_LAST_DATE.exec(text))) return `${match[3]}-${pad(match[1])}-${pad(match[2])}`;
+  return null;
+};
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').trim();
+  return text !== '' && !Number.isNaN(Number(text)) ? Number(text) : null;
+};
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Converts a cell to a column type; null when it doesn't fit
+export const convertValue = (value, type) => {
+  if (isEmpty(value)) return null;
+  if (type === 'number') return toNumber(value);
+  if (type === 'time') return toTime(value);
+  return String(value);
+};
+
+// Numbers when every filled cell is a number, dates when every one is a
+// date, otherwise categories
+export const inferColumnTypes = (table) => table.columns.map((_, index) => {
+  const values = table.rows.map(row => row[index]).filter(value => !isEmpty(value));
+  if (!values.length) return 'category';
+  if (values.every(value => typeof value !== 'boolean' && toNumber(value) !== null)) return 'number';
+  if (values.every(value => typeof value === 'string' && toTime(value) !== null)) return 'time';
+  return 'category';
+});
+
+export const applyColumnTypes = (table, types) => ({
+  columns: table.columns,
+  rows: table.rows.map(row => table.columns.map((_, index) => convertValue(row[index], types[index])))
+});
+
+// The chart the columns suggest: a line over the first date column, bars per
+// category, or a scatter of the first number column against the others.
+// Returns null when there is nothing to plot.
+export const suggestChart = (columns, types) => {
+  const columnsOf = (type) => columns.filter((_, index) => types[index] === type);
+  const numbers = columnsOf('number');
+  const [time] = columnsOf('time');
+  const [category] = columnsOf('category');
+  if (time && numbers.length) return { chartType: 'line', xColumn: time, yColumns: numbers };
+  if (category && numbers.length) return { chartType: 'bar', xColumn: category, yColumns: numbers };
+  if (numbers.length >= 2) return { chartType: 'scatter', xColumn: numbers[0], yColumns: numbers.slice(1) };
+  return null;
+};
+
+// A starter option over an ECharts dataset holding the typed rows. Bar and
+// scatter charts stay within what the chart builder can edit.
+export const starterOption = (table, types, { title = '' } = {}) => {
+  const suggestion = suggestChart(table.columns, types);
+  if (!suggestion) {
+    throw new Error('Charts need a number column next to a date or category column, or two number columns');
+  }
+  const typed = applyColumnTypes(table, types);
+  const timeIndex = suggestion.chartType === 'line' ? table.columns.indexOf(suggestion.xColumn) : -1;
+  if (timeIndex !== -1) {
+    // Time series read left to right; rows without a date can't be placed
+    typed.rows = typed.rows
+      .filter(row => row[timeIndex] !== null)
+      .sort((a, b) => new Date(a[timeIndex]) - new Date(b[timeIndex]));
+  }
+  const option = modelToOption({
+    ...defaultBuilderModel,
+    chartType: suggestion.chartType,
+    table: typed,
+    categoryColumn: suggestion.xColumn,
+    valueColumns: suggestion.yColumns,
+    title,
+    tooltip: suggestion.chartType === 'scatter' ? 'item' : 'axis'
+  });
+  if (timeIndex !== -1) option.xAxis = { type: 'time' };
+  return option;
+};
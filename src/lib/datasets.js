@@ -0,0 +1,213 @@
+import { parseTable, tableFromRows } from './tabularData';
+
+// Named tables shared by the blocks of a multi-content document. A `dataset`
+// item declares one, from inline rows, pasted CSV/TSV or an uploaded file:
+//
+//   { "name": "sales", "source": [["month", "sales"], ["Jan", 12]] }
+//   { "name": "sales", "source": [{ "month": "Jan", "sales": 12 }] }
+//   { "name": "sales", "csv": "month,sales\nJan,12" }
+//   { "name": "sales", "file": { "name": "sales.csv", "content": "month,sales\n..." } }
+//
+// Charts and tables use one through a `$dataset` key, either a name or
+// { name, transform: [...] }. Transforms run in order:
+//
+//   { "filter": { "column": "region", "op": "=", "value": "EU" } }
+//   { "groupBy": ["region"], "aggregate": { "sales": "sum", "orders": "count" } }
+//   { "sort": [{ "column": "sales", "order": "desc" }] }
+//   { "limit": 10 }
+//
+// Tables are { columns, rows } like lib/tabularData.
+
+export const DATASET_KEY = '$dataset';
+
+export const FILTER_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'contains', 'in'];
+export const AGGREGATES = ['sum', 'avg', 'min', 'max', 'count', 'first', 'last'];
+
+export class DatasetError extends Error {
+  constructor(message, path = []) {
+    super(message);
+    this.name = 'DatasetError';
+    this.path = path;
+  }
+}
+
+// The table a `dataset` item declares. Throws a DatasetError for data it
+// can't read.
+export const readDatasetSource = (data) => {
+  if (Array.isArray(data?.source)) return tableFromRows(data.source);
+  if (typeof data?.csv === 'string') return parseTable(data.csv);
+  if (typeof data?.file?.content === 'string') {
+    if (/\.json$/i.test(data.file.name || '')) {
+      let rows;
+      try {
+        rows = JSON.parse(data.file.content);
+      } catch (e) {
+        throw new DatasetError(`Invalid JSON in ${data.file.name}: ${e.message}`, ['file']);
+      }
+      if (!Array.isArray(rows)) throw new DatasetError(`${data.file.name} must hold an array of rows`, ['file']);
+      return tableFromRows(rows);
+    }
+    return parseTable(data.file.content);
+  }
+  throw new DatasetError('Datasets need a "source" array, a "csv" string or an uploaded "file"');
+};
+
+const columnIndex = (table, column, path) => {
+  const index = table.columns.indexOf(column);
+  if (index === -1) {
+    throw new DatasetError(`Unknown column "${column}". Columns: ${table.columns.join(', ')}`, path);
+  }
+  return index;
+};
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a ?? '').localeCompare(String(b ?? ''), undefined, { numeric: true });
+};
+
+// Cells parsed from CSV are often strings, so 3 and '3' are the same value
+const isMissing = (value) => value === null || value === undefined;
+const equals = (a, b) => (isMissing(a) || isMissing(b) ? isMissing(a) && isMissing(b) : String(a) === String(b));
+
+const matches = (value, op, expected) => {
+  switch (op) {
+    case '=': return equals(value, expected);
+    case '!=': return !equals(value, expected);
+    case '>': return compareValues(value, expected) > 0;
+    case '>=': return compareValues(value, expected) >= 0;
+    case '<': return compareValues(value, expected) < 0;
+    case '<=': return compareValues(value, expected) <= 0;
+    case 'contains': return String(value ?? '').toLowerCase().includes(String(expected).toLowerCase());
+    case 'in': return Array.isArray(expected) && expected.some(item => equals(item, value));
+    default: return false;
+  }
+};
+
+const filter = (table, { column, op = '=', value }, path) => {
+  if (!FILTER_OPERATORS.includes(op)) {
+    throw new DatasetError(`Unknown filter operator "${op}". Use one of: ${FILTER_OPERATORS.join(', ')}`, [...path, 'op']);
+  }
+  const index = columnIndex(table, column, [...path, 'column']);
+  return { ...table, rows: table.rows.filter(row => matches(row[index], op, value)) };
+};
+
+const aggregateValues = (values, fn) => {
+  const numbers = values.map(Number).filter(value => !Number.isNaN(value));
+  switch (fn) {
+    case 'sum': return numbers.reduce((total, value) => total + value, 0);
+    case 'avg': return numbers.length ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null;
+    case 'min': return numbers.length ? Math.min(...numbers) : null;
+    case 'max': return numbers.length ? Math.max(...numbers) : null;
+    case 'count': return values.length;
+    case 'first': return values[0] ?? null;
+    case 'last': return values[values.length - 1] ?? null;
+    default: return null;
+  }
+};
+
+// Rows sharing the groupBy columns collapse into one, with the aggregated
+// columns after the group columns. Without groupBy everything is one group.
+const groupAndAggregate = (table, { groupBy = [], aggregate = {} }, path) => {
+  const groupColumns = Array.isArray(groupBy) ? groupBy : [groupBy];
+  const groupIndexes = groupColumns.map((column, i) => columnIndex(table, column, [...path, 'groupBy', i]));
+  const aggregates = Object.entries(aggregate).map(([column, fn]) => {
+    if (!AGGREGATES.includes(fn)) {
+      throw new DatasetError(`Unknown aggregate "${fn}". Use one of: ${AGGREGATES.join(', ')}`, [...path, 'aggregate', column]);
+    }
+    return { column, fn, index: columnIndex(table, column, [...path, 'aggregate', column]) };
+  });
+
+  const groups = new Map();
+  table.rows.forEach(row => {
+    const key = JSON.stringify(groupIndexes.map(index => row[index]));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  return {
+    columns: [...groupColumns, ...aggregates.map(({ column }) => column)],
+    rows: [...groups.values()].map(rows => [
+      ...groupIndexes.map(index => rows[0][index]),
+      ...aggregates.map(({ fn, index }) => aggregateValues(rows.map(row => row[index]), fn))
+    ])
+  };
+};
+
+const sort = (table, keys, path) => {
+  const list = (Array.isArray(keys) ? keys : [keys]).map((key, i) => {
+    const { column, order = 'asc' } = typeof key === 'string' ? { column: key } : key;
+    return { index: columnIndex(table, column, [...path, i]), direction: order === 'desc' ? -1 : 1 };
+  });
+  const rows = [...table.rows].sort((a, b) => {
+    for (const { index, direction } of list) {
+      const result = compareValues(a[index], b[index]);
+      if (result) return direction * result;
+    }
+    return 0;
+  });
+  return { ...table, rows };
+};
+
+export const applyTransforms = (table, transforms = [], path = ['transform']) => {
+  if (!Array.isArray(transforms)) throw new DatasetError('"transform" must be an array', path);
+  return transforms.reduce((current, transform, i) => {
+    const stepPath = [...path, i];
+    if (transform?.filter) return filter(current, transform.filter, [...stepPath, 'filter']);
+    if (transform?.groupBy !== undefined || transform?.aggregate) return groupAndAggregate(current, transform, stepPath);
+    if (transform?.sort) return sort(current, transform.sort, [...stepPath, 'sort']);
+    if (typeof transform?.limit === 'number') return { ...current, rows: current.rows.slice(0, transform.limit) };
+    throw new DatasetError('Unknown transform. Use filter, groupBy/aggregate, sort or limit', stepPath);
+  }, table);
+};
+
+// Every dataset declared by `items`, by name: { table } or { error }. The
+// first dataset with a name wins.
+export const collectDatasets = (items) => {
+  const datasets = new Map();
+  items.forEach(item => {
+    if (item?.kind !== 'dataset' || typeof item.data?.name !== 'string' || datasets.has(item.data.name)) return;
+    try {
+      datasets.set(item.data.name, { table: readDatasetSource(item.data) });
+    } catch (e) {
+      datasets.set(item.data.name, { error: e.message });
+    }
+  });
+  return datasets;
+};
+
+// Resolves a `$dataset` value against the document's datasets. Errors carry
+// a path relative to the `$dataset` key.
+export const resolveDatasetReference = (reference, datasets) => {
+  const { name, transform } = typeof reference === 'string' ? { name: reference } : reference ?? {};
+  if (typeof name !== 'string') {
+    throw new DatasetError('"$dataset" must be a dataset name or { "name", "transform" }');
+  }
+  const dataset = datasets?.get(name);
+  if (!dataset) {
+    const known = [...(datasets?.keys() ?? [])];
+    throw new DatasetError(`Unknown dataset "${name}"${known.length ? `. Datasets: ${known.join(', ')}` : ''}`,
+      typeof reference === 'string' ? [] : ['name']);
+  }
+  if (dataset.error) throw new DatasetError(`Dataset "${name}" is broken: ${dataset.error}`);
+  return applyTransforms(dataset.table, transform);
+};
+
+// Chart options with `$dataset` swapped for an ECharts dataset holding the
+// resolved rows
+export const resolveChartOption = (option, datasets) => {
+  if (!option || option[DATASET_KEY] === undefined) return option;
+  const { [DATASET_KEY]: reference, ...rest } = option;
+  const table = resolveDatasetReference(reference, datasets);
+  return { ...rest, dataset: { source: [table.columns, ...table.rows] } };
+};
+
+// Problems with a `$dataset` reference, for block validators
+export const validateDatasetReference = (reference, datasets) => {
+  try {
+    resolveDatasetReference(reference, datasets);
+    return [];
+  } catch (e) {
+    if (!(e instanceof DatasetError)) throw e;
+    return [{ path: [DATASET_KEY, ...e.path], severity: 'error', message: e.message }];
+  }
+};
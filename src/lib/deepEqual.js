@@ -0,0 +1,10 @@
+// Structural equality for plain JSON-like values; object key order is ignored.
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => deepEqual(a[key], b[key]));
+};
+
+export default deepEqual;
@@ -0,0 +1,182 @@
+import { EditorState } from '@codemirror/state';
+import { schemaAtPath, completionKeys, completionValues } from './echartsSchema';
+
+const isIdentifierStart = (ch) => /[A-Za-z_$]/.test(ch);
+const isIdentifierPart = (ch) => /[\w$]/.test(ch);
+
+// Returns the index just past the string literal starting at `start`.
+const skipString = (text, start) => {
+  const quote = text[start];
+  let i = start + 1;
+  while (i < text.length && text[i] !== quote) {
+    if (text[i] === '\\') i++;
+    i++;
+  }
+  return i + 1;
+};
+
+const skipComment = (text, start) => {
+  if (text[start + 1] === '/') {
+    const end = text.indexOf('\n', start);
+    return end === -1 ? text.length : end;
+  }
+  const end = text.indexOf('*/', start + 2);
+  return end === -1 ? text.length : end + 2;
+};
+
+// Walks JSON or a JavaScript object literal up to `offset`, tracking the open
+// objects/arrays, the key each object is currently on and each array's index.
+// Tolerates the half-written code completion runs on.
+export const scanToOffset = (text, offset) => {
+  const stack = [];
+  const top = () => stack[stack.length - 1];
+  let i = 0;
+  while (i < offset) {
+    const ch = text[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      const end = skipString(text, i);
+      if (end > offset) {
+        return { stack, stringStart: i };
+      }
+      if (top()?.type === 'object' && top().expectingKey) {
+        top().pendingKey = text.slice(i + 1, end - 1);
+      }
+      i = end;
+      continue;
+    }
+    if (ch === '/' && (text[i + 1] === '/' || text[i + 1] === '*')) {
+      i = skipComment(text, i);
+      continue;
+    }
+    if (isIdentifierStart(ch)) {
+      let end = i + 1;
+      while (end < offset && isIdentifierPart(text[end])) end++;
+      if (top()?.type === 'object' && top().expectingKey) {
+        top().pendingKey = text.slice(i, end);
+      }
+      i = end;
+      continue;
+    }
+    if (ch === '{') {
+      stack.push({ type: 'object', start: i, expectingKey: true, key: null, pendingKey: null });
+    } else if (ch === '[') {
+      stack.push({ type: 'array', start: i, index: 0 });
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+    } else if (ch === ':' && top()?.type === 'object') {
+      top().key = top().pendingKey;
+      top().expectingKey = false;
+    } else if (ch === ',') {
+      if (top()?.type === 'object') {
+        Object.assign(top(), { expectingKey: true, key: null, pendingKey: null });
+      } else if (top()?.type === 'array') {
+        top().index += 1;
+      }
+    }
+    i++;
+  }
+  return { stack, stringStart: null };
+};
+
+// Reads the string value of `key` directly inside the object starting at
+// `objectStart`, e.g. a series item's `type` or a content item's `kind`.
+export const findPropertyValue = (text, objectStart, key) => {
+  let depth = 0;
+  let lastKey = null;
+  let afterColon = false;
+  for (let i = objectStart; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      const end = skipString(text, i);
+      const value = text.slice(i + 1, end - 1);
+      if (depth === 1 && afterColon && lastKey === key) return value;
+      if (depth === 1 && !afterColon) lastKey = value;
+      i = end - 1;
+    } else if (ch === '/' && (text[i + 1] === '/' || text[i + 1] === '*')) {
+      i = skipComment(text, i) - 1;
+    } else if (isIdentifierStart(ch) && depth === 1 && !afterColon) {
+      let end = i + 1;
+      while (end < text.length && isIdentifierPart(text[end])) end++;
+      lastKey = text.slice(i, end);
+      i = end - 1;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+      if (depth === 0) return null;
+    } else if (ch === ':' && depth === 1) {
+      afterColon = true;
+    } else if (ch === ',' && depth === 1) {
+      afterColon = false;
+      lastKey = null;
+    }
+  }
+  return null;
+};
+
+const pathOf = (levels) => levels.map(level => (level.type === 'object' ? level.key : level.index));
+
+// Resolves where the cursor is in option terms: the option path, whether a
+// key or a value is being written, and the series type when inside a series.
+// `toOptionPath` maps a document path to an option path (or null when the
+// cursor isn't inside an option at all).
+export const optionContextAt = (text, offset, toOptionPath = (path) => path) => {
+  const { stack, stringStart } = scanToOffset(text, offset);
+  const current = stack[stack.length - 1];
+  if (!current) return null;
+
+  const containerPath = pathOf(stack.slice(0, -1));
+  const isKey = current.type === 'object' && current.expectingKey;
+  const documentPath = isKey
+    ? containerPath
+    : [...containerPath, current.type === 'object' ? current.key : current.index];
+  if (documentPath.some(segment => segment === null)) return null;
+
+  const optionPath = toOptionPath(documentPath, stack, text);
+  if (!optionPath) return null;
+
+  // The series item is the stack level right below `series`
+  const offsetInStack = documentPath.length - optionPath.length;
+  const seriesLevel = optionPath[0] === 'series'
+    ? stack[offsetInStack + (typeof optionPath[1] === 'number' ? 2 : 1)]
+    : null;
+  const seriesType = seriesLevel?.type === 'object' ? findPropertyValue(text, seriesLevel.start, 'type') : undefined;
+
+  return { path: optionPath, isKey, seriesType, stringStart };
+};
+
+// Multi-content documents hold options under [index, 'data'] of `chart` items.
+export const multiContentOptionPath = (path, stack, text) => {
+  if (path.length < 2 || typeof path[0] !== 'number' || path[1] !== 'data') return null;
+  const item = stack[1];
+  if (item?.type !== 'object' || findPropertyValue(text, item.start, 'kind') !== 'chart') return null;
+  return path.slice(2);
+};
+
+// CodeMirror completion source for option keys and enum values.
+export const echartsCompletionSource = ({ quote = "'", toOptionPath } = {}) => (context) => {
+  const text = context.state.doc.toString();
+  const word = context.matchBefore(/["']?[\w$]*/);
+  if (!word || (word.from === word.to && !context.explicit)) return null;
+
+  const optionContext = optionContextAt(text, context.pos, toOptionPath);
+  if (!optionContext) return null;
+
+  const node = schemaAtPath(optionContext.path, { seriesType: optionContext.seriesType });
+  const quoted = /^["']/.test(word.text) || optionContext.stringStart !== null;
+  const from = /^["']/.test(word.text) ? word.from + 1 : word.from;
+
+  const options = optionContext.isKey
+    ? completionKeys(node).map(key => ({ label: key, type: 'property' }))
+    : completionValues(node).map(value => ({
+      label: String(value),
+      type: typeof value === 'boolean' ? 'keyword' : 'enum',
+      apply: typeof value === 'string' && !quoted ? `${quote}${value}${quote}` : String(value)
+    }));
+
+  return options.length ? { from, options, validFor: /^[\w$]*$/ } : null;
+};
+
+// Editor extension adding the completion source alongside the language's own.
+export const echartsCompletion = (options) =>
+  EditorState.languageData.of(() => [{ autocomplete: echartsCompletionSource(options) }]);
@@ -0,0 +1,423 @@
+// A hand-maintained subset of the ECharts option reference, covering the
+// components and series people write by hand. Anything it doesn't describe is
+// reported as an unknown key (a warning). Findings are never errors, so an
+// incomplete schema or rule can't block a chart; the one exception is an
+// option that isn't an object at all.
+//
+// Node shapes:
+//   { type: 'object', properties, allowUnknown }   { type: 'array', items }
+//   { type: 'string', enum }   { type: 'number' }   { type: 'boolean' }
+//   { type: 'function' }   { type: 'any' }   { oneOf: [node, ...] }
+
+const any = { type: 'any' };
+const string = { type: 'string' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const fn = { type: 'function' };
+const oneOf = (...nodes) => ({ oneOf: nodes });
+const enumOf = (...values) => ({ type: 'string', enum: values });
+const arrayOf = (items) => ({ type: 'array', items });
+const object = (properties, { allowUnknown = false } = {}) => ({ type: 'object', properties, allowUnknown });
+// Components such as xAxis accept either one object or an array of them
+const objectOrArray = (node) => oneOf(node, arrayOf(node));
+
+const size = oneOf(number, string);
+const color = oneOf(string, object({}, { allowUnknown: true }), fn);
+const position = oneOf(number, string);
+
+const textStyle = object({
+  color, fontStyle: enumOf('normal', 'italic', 'oblique'),
+  fontWeight: oneOf(enumOf('normal', 'bold', 'bolder', 'lighter'), number),
+  fontFamily: string, fontSize: size, lineHeight: number, align: enumOf('left', 'center', 'right'),
+  verticalAlign: enumOf('top', 'middle', 'bottom'), backgroundColor: color, padding: oneOf(number, arrayOf(number)),
+  width: size, height: size, overflow: enumOf('none', 'truncate', 'break', 'breakAll'), rich: any
+});
+
+const lineStyle = object({
+  color, width: number, type: oneOf(enumOf('solid', 'dashed', 'dotted'), number, arrayOf(number)),
+  opacity: number, shadowBlur: number, shadowColor: color, cap: enumOf('butt', 'round', 'square'),
+  join: enumOf('bevel', 'round', 'miter'), curveness: number
+});
+
+const itemStyle = object({
+  color, borderColor: color, borderWidth: number, borderType: enumOf('solid', 'dashed', 'dotted'),
+  borderRadius: oneOf(number, arrayOf(number)), opacity: number, shadowBlur: number, shadowColor: color,
+  shadowOffsetX: number, shadowOffsetY: number, decal: any
+});
+
+const areaStyle = object({ color, opacity: number, origin: oneOf(enumOf('auto', 'start', 'end'), number) });
+
+const label = object({
+  show: boolean, position: oneOf(enumOf(
+    'top', 'left', 'right', 'bottom', 'inside', 'insideLeft', 'insideRight', 'insideTop', 'insideBottom',
+    'insideTopLeft', 'insideBottomLeft', 'insideTopRight', 'insideBottomRight', 'outside', 'center', 'end', 'middle', 'start'
+  ), arrayOf(size)), distance: number, rotate: number, offset: arrayOf(number), formatter: oneOf(string, fn),
+  color, fontSize: size, fontWeight: oneOf(string, number), fontFamily: string, overflow: string,
+  backgroundColor: color, padding: oneOf(number, arrayOf(number)), borderRadius: number, width: size, rich: any
+});
+
+const boxLayout = {
+  left: position, top: position, right: position, bottom: position, width: size, height: size, z: number, zlevel: number
+};
+
+const axisCommon = {
+  id: string, show: boolean, gridIndex: number, polarIndex: number,
+  position: enumOf('top', 'bottom', 'left', 'right'), offset: number,
+  type: enumOf('value', 'category', 'time', 'log'), name: string,
+  nameLocation: enumOf('start', 'middle', 'center', 'end'), nameTextStyle: textStyle, nameGap: number,
+  nameRotate: number, inverse: boolean, boundaryGap: oneOf(boolean, arrayOf(size)),
+  min: oneOf(number, string, fn), max: oneOf(number, string, fn), scale: boolean, splitNumber: number,
+  minInterval: number, maxInterval: number, interval: number, logBase: number, silent: boolean,
+  axisLine: object({ show: boolean, onZero: boolean, lineStyle, symbol: any }, { allowUnknown: true }),
+  axisTick: object({ show: boolean, alignWithLabel: boolean, interval: oneOf(number, string, fn), inside: boolean, length: number, lineStyle }, { allowUnknown: true }),
+  axisLabel: object({ show: boolean, interval: oneOf(number, string, fn), inside: boolean, rotate: number, margin: number, formatter: oneOf(string, fn), color, fontSize: size, hideOverlap: boolean }, { allowUnknown: true }),
+  splitLine: object({ show: boolean, interval: oneOf(number, string, fn), lineStyle }, { allowUnknown: true }),
+  splitArea: object({ show: boolean, areaStyle }, { allowUnknown: true }),
+  data: arrayOf(any), axisPointer: any, triggerEvent: boolean, alignTicks: boolean
+};
+const axis = object(axisCommon);
+
+const seriesCommon = {
+  type: string, id: string, name: string, data: arrayOf(any), datasetIndex: number,
+  encode: object({}, { allowUnknown: true }), seriesLayoutBy: enumOf('column', 'row'),
+  coordinateSystem: enumOf('cartesian2d', 'polar', 'geo', 'singleAxis', 'calendar', 'none', 'view'),
+  xAxisIndex: number, yAxisIndex: number, polarIndex: number, label, labelLine: any, labelLayout: any,
+  itemStyle, emphasis: any, blur: any, select: any, selectedMode: oneOf(boolean, enumOf('single', 'multiple', 'series')),
+  tooltip: any, animation: boolean, animationDuration: oneOf(number, fn), animationEasing: string,
+  animationDelay: oneOf(number, fn), silent: boolean, z: number, zlevel: number, markPoint: any, markLine: any, markArea: any,
+  dimensions: arrayOf(any), universalTransition: any, legendHoverLink: boolean, colorBy: enumOf('series', 'data'),
+  cursor: string, clip: boolean
+};
+
+const cartesianSeries = {
+  stack: string, stackStrategy: enumOf('samesign', 'all', 'positive', 'negative'), large: boolean, largeThreshold: number,
+  progressive: number, progressiveThreshold: number, sampling: enumOf('lttb', 'average', 'max', 'min', 'sum', 'minmax')
+};
+
+const symbolProps = {
+  symbol: oneOf(string, fn), symbolSize: oneOf(number, arrayOf(number), fn), symbolRotate: oneOf(number, fn),
+  symbolKeepAspect: boolean, symbolOffset: arrayOf(size), showSymbol: boolean, showAllSymbol: oneOf(boolean, enumOf('auto'))
+};
+
+const radialLayout = { center: arrayOf(size), radius: oneOf(size, arrayOf(size)) };
+
+// Extra properties allowed for each series type, on top of seriesCommon
+const SERIES_TYPES = {
+  line: { ...cartesianSeries, ...symbolProps, lineStyle, areaStyle, smooth: oneOf(boolean, number), smoothMonotone: enumOf('x', 'y'), step: oneOf(boolean, enumOf('start', 'middle', 'end')), connectNulls: boolean, endLabel: any },
+  bar: { ...cartesianSeries, barWidth: size, barMaxWidth: size, barMinWidth: size, barMinHeight: number, barGap: string, barCategoryGap: string, roundCap: boolean, showBackground: boolean, backgroundStyle: itemStyle, realtimeSort: boolean },
+  scatter: { ...cartesianSeries, ...symbolProps },
+  effectScatter: { ...symbolProps, showEffectOn: enumOf('render', 'emphasis'), rippleEffect: any },
+  pie: { ...radialLayout, roseType: oneOf(boolean, enumOf('radius', 'area')), startAngle: number, endAngle: oneOf(number, enumOf('auto')), minAngle: number, padAngle: number, clockwise: boolean, avoidLabelOverlap: boolean, stillShowZeroSum: boolean, percentPrecision: number, ...boxLayout },
+  radar: { radarIndex: number, ...symbolProps, lineStyle, areaStyle },
+  funnel: { ...boxLayout, min: number, max: number, minSize: size, maxSize: size, orient: enumOf('vertical', 'horizontal'), sort: oneOf(enumOf('ascending', 'descending', 'none'), fn), gap: number, funnelAlign: enumOf('left', 'center', 'right') },
+  gauge: { ...radialLayout, startAngle: number, endAngle: number, clockwise: boolean, min: number, max: number, splitNumber: number, axisLine: any, progress: any, splitLine: any, axisTick: any, axisLabel: any, pointer: any, anchor: any, title: any, detail: any },
+  heatmap: { ...cartesianSeries, pointSize: number, blurSize: number, minOpacity: number, maxOpacity: number, calendarIndex: number },
+  candlestick: { ...cartesianSeries, barWidth: size, barMaxWidth: size, barMinWidth: size, layout: enumOf('horizontal', 'vertical') },
+  boxplot: { ...cartesianSeries, boxWidth: arrayOf(size), layout: enumOf('horizontal', 'vertical') },
+  graph: { ...symbolProps, layout: enumOf('none', 'circular', 'force'), force: any, circular: any, roam: oneOf(boolean, string), draggable: boolean, edgeSymbol: any, edgeSymbolSize: any, nodes: arrayOf(any), links: arrayOf(any), edges: arrayOf(any), categories: arrayOf(any), lineStyle, edgeLabel: any, ...boxLayout },
+  tree: { ...boxLayout, ...symbolProps, layout: enumOf('orthogonal', 'radial'), orient: enumOf('LR', 'RL', 'TB', 'BT', 'horizontal', 'vertical'), roam: oneOf(boolean, string), expandAndCollapse: boolean, initialTreeDepth: number, lineStyle, leaves: any },
+  treemap: { ...boxLayout, squareRatio: number, leafDepth: number, roam: oneOf(boolean, string), nodeClick: oneOf(boolean, string), breadcrumb: any, levels: arrayOf(any), upperLabel: any, visibleMin: number },
+  sunburst: { ...radialLayout, startAngle: number, nodeClick: oneOf(boolean, string), sort: oneOf(string, fn), levels: arrayOf(any) },
+  sankey: { ...boxLayout, nodeWidth: number, nodeGap: number, nodeAlign: enumOf('justify', 'left', 'right'), layoutIterations: number, orient: enumOf('horizontal', 'vertical'), draggable: boolean, nodes: arrayOf(any), links: arrayOf(any), edges: arrayOf(any), levels: arrayOf(any), lineStyle },
+  parallel: { parallelIndex: number, lineStyle, inactiveOpacity: number, activeOpacity: number, smooth: oneOf(boolean, number) },
+  themeRiver: { ...boxLayout, singleAxisIndex: number, boundaryGap: arrayOf(size) },
+  pictorialBar: { ...cartesianSeries, ...symbolProps, barWidth: size, barGap: string, barCategoryGap: string, symbolRepeat: any, symbolClip: boolean, symbolBoundingData: any, symbolPosition: enumOf('start', 'end', 'center') },
+  lines: { polyline: boolean, effect: any, lineStyle, geoIndex: number },
+  map: { map: string, roam: oneOf(boolean, string), zoom: number, center: arrayOf(number), aspectScale: number, nameMap: any, geoIndex: number, ...boxLayout },
+  custom: { renderItem: fn }
+};
+
+export const SERIES_TYPE_NAMES = Object.keys(SERIES_TYPES);
+
+// Series drawn on a grid, which need xAxis and yAxis unless they say otherwise
+export const CARTESIAN_SERIES = ['line', 'bar', 'scatter', 'effectScatter', 'heatmap', 'candlestick', 'boxplot', 'pictorialBar'];
+// Series that lay themselves out and ignore xAxis/yAxis entirely
+export const NON_CARTESIAN_SERIES = ['pie', 'funnel', 'gauge', 'radar', 'graph', 'tree', 'treemap', 'sunburst', 'sankey', 'parallel', 'themeRiver', 'map'];
+
+export const seriesSchema = (type) => object({
+  ...seriesCommon,
+  type: enumOf(...SERIES_TYPE_NAMES),
+  ...(SERIES_TYPES[type] || {})
+}, { allowUnknown: !SERIES_TYPES[type] });
+
+const title = object({
+  id: string, show: boolean, text: string, link: string, target: enumOf('self', 'blank'), textStyle,
+  subtext: string, sublink: string, subtextStyle: textStyle, textAlign: enumOf('auto', 'left', 'right', 'center'),
+  textVerticalAlign: enumOf('auto', 'top', 'bottom', 'middle'), padding: oneOf(number, arrayOf(number)),
+  itemGap: number, backgroundColor: color, borderColor: color, borderWidth: number, borderRadius: oneOf(number, arrayOf(number)),
+  ...boxLayout
+});
+
+const legend = object({
+  id: string, type: enumOf('plain', 'scroll'), show: boolean, orient: enumOf('horizontal', 'vertical'),
+  align: enumOf('auto', 'left', 'right'), padding: oneOf(number, arrayOf(number)), itemGap: number,
+  itemWidth: number, itemHeight: number, itemStyle, lineStyle, symbolRotate: any, formatter: oneOf(string, fn),
+  selectedMode: oneOf(boolean, enumOf('single', 'multiple')), inactiveColor: color, selected: object({}, { allowUnknown: true }),
+  textStyle, tooltip: any, icon: string, data: arrayOf(any), backgroundColor: color, borderColor: color,
+  borderWidth: number, borderRadius: number, ...boxLayout
+});
+
+const grid = object({
+  id: string, show: boolean, containLabel: boolean, backgroundColor: color, borderColor: color, borderWidth: number,
+  tooltip: any, ...boxLayout
+});
+
+const tooltip = object({
+  show: boolean, trigger: enumOf('item', 'axis', 'none'), axisPointer: object({
+    type: enumOf('line', 'shadow', 'cross', 'none'), axis: enumOf('auto', 'x', 'y', 'radius', 'angle'),
+    snap: boolean, label: any, lineStyle, shadowStyle: any, crossStyle: any, animation: boolean
+  }, { allowUnknown: true }), showContent: boolean, alwaysShowContent: boolean,
+  triggerOn: enumOf('mousemove', 'click', 'mousemove|click', 'none'), showDelay: number, hideDelay: number,
+  enterable: boolean, renderMode: enumOf('html', 'richText'), confine: boolean, appendToBody: boolean,
+  className: string, transitionDuration: number, position: any, formatter: oneOf(string, fn),
+  valueFormatter: fn, backgroundColor: color, borderColor: color, borderWidth: number,
+  padding: oneOf(number, arrayOf(number)), textStyle, extraCssText: string, order: string
+});
+
+const dataZoom = object({
+  type: enumOf('inside', 'slider'), id: string, disabled: boolean, xAxisIndex: oneOf(number, arrayOf(number), enumOf('all', 'none')),
+  yAxisIndex: oneOf(number, arrayOf(number), enumOf('all', 'none')), filterMode: enumOf('filter', 'weakFilter', 'empty', 'none'),
+  start: number, end: number, startValue: any, endValue: any, minSpan: number, maxSpan: number,
+  orient: enumOf('horizontal', 'vertical'), zoomLock: boolean, throttle: number, show: boolean, realtime: boolean,
+  zoomOnMouseWheel: any, moveOnMouseMove: any, ...boxLayout
+}, { allowUnknown: true });
+
+const visualMap = object({
+  type: enumOf('continuous', 'piecewise'), id: string, min: number, max: number, range: arrayOf(number),
+  calculable: boolean, realtime: boolean, inverse: boolean, precision: number, itemWidth: number, itemHeight: number,
+  align: string, text: arrayOf(string), textGap: number, show: boolean, dimension: oneOf(number, string),
+  seriesIndex: oneOf(number, arrayOf(number)), inRange: any, outOfRange: any, orient: enumOf('horizontal', 'vertical'),
+  pieces: arrayOf(any), categories: arrayOf(any), splitNumber: number, textStyle, formatter: oneOf(string, fn), ...boxLayout
+}, { allowUnknown: true });
+
+const dataset = object({
+  id: string, source: oneOf(arrayOf(any), object({}, { allowUnknown: true })), dimensions: arrayOf(any),
+  sourceHeader: oneOf(boolean, number, enumOf('auto')), transform: any, fromDatasetIndex: number,
+  fromDatasetId: string, fromTransformResult: number
+});
+
+const radar = object({
+  id: string, center: arrayOf(size), radius: oneOf(size, arrayOf(size)), startAngle: number, axisName: any,
+  nameGap: number, splitNumber: number, shape: enumOf('polygon', 'circle'), scale: boolean, silent: boolean,
+  triggerEvent: boolean, axisLine: any, axisTick: any, axisLabel: any, splitLine: any, splitArea: any,
+  indicator: arrayOf(object({ name: string, max: number, min: number, color }, { allowUnknown: true })), z: number, zlevel: number
+});
+
+const polar = object({ id: string, center: arrayOf(size), radius: oneOf(size, arrayOf(size)), tooltip: any, z: number, zlevel: number });
+
+export const optionSchema = object({
+  title: objectOrArray(title),
+  legend: objectOrArray(legend),
+  grid: objectOrArray(grid),
+  xAxis: objectOrArray(axis),
+  yAxis: objectOrArray(axis),
+  polar: objectOrArray(polar),
+  radiusAxis: objectOrArray(axis),
+  angleAxis: objectOrArray(object({ ...axisCommon, startAngle: number, clockwise: boolean })),
+  radar: objectOrArray(radar),
+  dataZoom: objectOrArray(dataZoom),
+  visualMap: objectOrArray(visualMap),
+  tooltip: objectOrArray(tooltip),
+  axisPointer: any,
+  toolbox: objectOrArray(object({ show: boolean, orient: enumOf('horizontal', 'vertical'), itemSize: number, itemGap: number, showTitle: boolean, feature: any, iconStyle: any, emphasis: any, ...boxLayout }, { allowUnknown: true })),
+  brush: any,
+  geo: any,
+  parallel: any,
+  parallelAxis: any,
+  singleAxis: any,
+  timeline: any,
+  graphic: any,
+  calendar: any,
+  dataset: objectOrArray(dataset),
+  aria: any,
+  series: objectOrArray(object({}, { allowUnknown: true })),
+  darkMode: oneOf(boolean, enumOf('auto')),
+  color: oneOf(arrayOf(color), color),
+  backgroundColor: color,
+  textStyle,
+  animation: boolean,
+  animationThreshold: number,
+  animationDuration: oneOf(number, fn),
+  animationEasing: string,
+  animationDelay: oneOf(number, fn),
+  animationDurationUpdate: oneOf(number, fn),
+  animationEasingUpdate: string,
+  animationDelayUpdate: oneOf(number, fn),
+  stateAnimation: any,
+  blendMode: string,
+  hoverLayerThreshold: number,
+  useUTC: boolean,
+  options: arrayOf(any),
+  media: arrayOf(any),
+  baseOption: any
+});
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+const matches = (node, value) => {
+  if (node.oneOf) return node.oneOf.some(option => matches(option, value));
+  if (node.type === 'any') return true;
+  if (node.type !== typeOf(value)) return false;
+  return !node.enum || node.enum.includes(value);
+};
+
+const describe = (node) => {
+  if (node.oneOf) return node.oneOf.map(describe).join(' or ');
+  if (node.enum) return node.enum.map(value => `'${value}'`).join(', ');
+  return node.type === 'array' ? 'an array' : node.type === 'object' ? 'an object' : `a ${node.type}`;
+};
+
+const levenshtein = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+};
+
+const suggest = (key, candidates) => {
+  const best = candidates
+    .map(candidate => ({ candidate, distance: levenshtein(key.toLowerCase(), candidate.toLowerCase()) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  return best && best.distance <= Math.max(2, Math.floor(key.length / 3)) ? best.candidate : null;
+};
+
+// Picks the branch of a oneOf node that fits the value, so nested checks
+// (e.g. the object inside `xAxis: [{ ... }]`) still run.
+const resolveNode = (node, value) => {
+  if (!node.oneOf) return node;
+  return node.oneOf.find(option => matches(option, value) && (option.type === 'object' || option.type === 'array'))
+    || node.oneOf.find(option => matches(option, value))
+    || node;
+};
+
+const validateNode = (node, value, path, warnings) => {
+  if (value === undefined || node.type === 'any') return;
+  if (!matches(node, value)) {
+    warnings.push({ path, severity: 'warning', message: `${path.join('.') || 'option'} should be ${describe(node)}` });
+    return;
+  }
+  const resolved = resolveNode(node, value);
+  if (resolved.type === 'array' && resolved.items) {
+    value.forEach((item, index) => validateNode(resolved.items, item, [...path, index], warnings));
+  }
+  if (resolved.type === 'object' && resolved.properties) {
+    Object.entries(value).forEach(([key, child]) => {
+      const childNode = resolved.properties[key];
+      if (childNode) {
+        validateNode(childNode, child, [...path, key], warnings);
+      } else if (!resolved.allowUnknown) {
+        const suggestion = suggest(key, Object.keys(resolved.properties));
+        warnings.push({
+          path: [...path, key],
+          severity: 'warning',
+          message: `Unknown option '${key}'${suggestion ? `, did you mean '${suggestion}'?` : ''}`
+        });
+      }
+    });
+  }
+};
+
+const asArray = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+// Rules that involve more than one part of the option
+const validateCombinations = (option, warnings) => {
+  const series = asArray(option.series).map((item, index) => ({ item, index }));
+  const hasAxes = option.xAxis !== undefined || option.yAxis !== undefined;
+  const usesGrid = series.some(({ item }) =>
+    CARTESIAN_SERIES.includes(item?.type) && (item.coordinateSystem ?? 'cartesian2d') === 'cartesian2d'
+  );
+
+  series.forEach(({ item, index }) => {
+    const path = Array.isArray(option.series) ? ['series', index] : ['series'];
+    if (!item || typeof item !== 'object') return;
+    if (item.type === undefined) {
+      warnings.push({ path, severity: 'warning', message: 'Series needs a type' });
+    }
+    if (CARTESIAN_SERIES.includes(item.type) && (item.coordinateSystem ?? 'cartesian2d') === 'cartesian2d' &&
+        (option.xAxis === undefined || option.yAxis === undefined)) {
+      warnings.push({ path: [...path, 'type'], severity: 'warning', message: `'${item.type}' series need both xAxis and yAxis` });
+    }
+    if (item.coordinateSystem === 'polar' && option.polar === undefined) {
+      warnings.push({ path: [...path, 'coordinateSystem'], severity: 'warning', message: "Polar series need a 'polar' component" });
+    }
+    if (item.type === 'radar' && option.radar === undefined) {
+      warnings.push({ path: [...path, 'type'], severity: 'warning', message: "Radar series need a 'radar' component with indicators" });
+    }
+  });
+
+  if (hasAxes && series.length && !usesGrid &&
+      series.every(({ item }) => NON_CARTESIAN_SERIES.includes(item?.type))) {
+    const kinds = [...new Set(series.map(({ item }) => item.type))].join(', ');
+    warnings.push({
+      path: [option.xAxis !== undefined ? 'xAxis' : 'yAxis'],
+      severity: 'warning',
+      message: `xAxis/yAxis have no effect on ${kinds} series`
+    });
+  }
+};
+
+// Returns [{ path, severity, message }] where path is a list of keys/indexes
+// into the option, for the editors to map back onto the source.
+export const validateEChartsOption = (option) => {
+  const warnings = [];
+  if (!option || typeof option !== 'object' || Array.isArray(option)) {
+    return [{ path: [], severity: 'error', message: 'The option must be an object' }];
+  }
+  validateNode(optionSchema, option, [], warnings);
+  asArray(option.series).forEach((item, index) => {
+    if (item && typeof item === 'object') {
+      const path = Array.isArray(option.series) ? ['series', index] : ['series'];
+      validateNode(seriesSchema(item.type), item, path, warnings);
+    }
+  });
+  validateCombinations(option, warnings);
+  return warnings;
+};
+
+const step = (node, segment) => {
+  if (node.oneOf) {
+    const wanted = typeof segment === 'number' ? 'array' : 'object';
+    node = node.oneOf.find(option => option.type === wanted) || node;
+  }
+  if (typeof segment === 'number') {
+    return node.type === 'array' && node.items ? node.items : any;
+  }
+  return node.type === 'object' && node.properties?.[segment] ? node.properties[segment] : any;
+};
+
+// Schema node for a path in the option, used for completion. `seriesType` is
+// the `type` of the series item the path runs through, when known.
+export const schemaAtPath = (path, { seriesType } = {}) => {
+  let node = optionSchema;
+  path.forEach((segment, i) => {
+    node = step(node, segment);
+    // `series` may be a single object or an array of them
+    const isSeriesItem = path[0] === 'series' &&
+      ((i === 1 && typeof segment === 'number') || (i === 0 && typeof path[1] !== 'number'));
+    if (isSeriesItem) {
+      node = seriesSchema(seriesType);
+    }
+  });
+  return node;
+};
+
+export const completionKeys = (node) => {
+  const objectNode = node.oneOf ? node.oneOf.find(option => option.type === 'object') : node;
+  return objectNode?.type === 'object' ? Object.keys(objectNode.properties || {}) : [];
+};
+
+export const completionValues = (node) => {
+  const nodes = node.oneOf || [node];
+  return nodes.flatMap(option => option.enum || (option.type === 'boolean' ? [true, false] : []));
+};
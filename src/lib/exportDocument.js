@@ -0,0 +1,236 @@
+import * as echarts from 'echarts';
+import { ECHARTS_BLOCK_SELECTOR, parseEChartsBlock } from './markdownItECharts';
+import escapeHtml from './escapeHtml';
+import { chartThemeDefinition } from './chartThemes';
+
+// Rendered exports: chart images, standalone HTML pages that open without the
+// app (styles, KaTeX fonts and chart scripts inlined) and printing to PDF.
+
+export const EXPORT_CHART_SIZE = { width: 800, height: 400 };
+
+const downloadUrl = (url, filename) => {
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, filename);
+  URL.revokeObjectURL(url);
+};
+
+export const downloadText = (text, filename, type) => {
+  downloadBlob(new Blob([text], { type }), filename);
+};
+
+// JSON placed inside a <script> element must not be able to close it
+const scriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+// Renders an option to an SVG string without touching the page. `theme` is
+// an ECharts theme name, as from resolveChartTheme.
+export const renderChartSvg = (option, {
+  width = EXPORT_CHART_SIZE.width,
+  height = EXPORT_CHART_SIZE.height,
+  theme = null
+} = {}) => {
+  const chart = echarts.init(null, theme, { renderer: 'svg', ssr: true, width, height });
+  try {
+    chart.setOption({ ...option, animation: false });
+    return chart.renderToSVGString();
+  } finally {
+    chart.dispose();
+  }
+};
+
+// The image gets the theme's background, or white where the theme has none
+export const exportChartPng = (chart, filename) => {
+  const { backgroundColor } = chart.getOption();
+  const url = chart.getDataURL({
+    type: 'png',
+    pixelRatio: 2,
+    backgroundColor: backgroundColor && backgroundColor !== 'transparent' ? backgroundColor : '#fff'
+  });
+  downloadUrl(url, `${filename}.png`);
+};
+
+export const exportChartSvg = (chart, option, filename, theme) => {
+  const svg = renderChartSvg(option, { width: chart.getWidth(), height: chart.getHeight(), theme });
+  downloadText(svg, `${filename}.svg`, 'image/svg+xml');
+};
+
+// Swaps the live chart placeholders of rendered Markdown for static SVG
+export const inlineChartBlocks = (html, { theme } = {}) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const blocks = doc.querySelectorAll(ECHARTS_BLOCK_SELECTOR);
+  if (!blocks.length) return html;
+  blocks.forEach(element => {
+    const { option, error } = parseEChartsBlock(element.dataset.echartsSource || '');
+    const figure = doc.createElement('figure');
+    figure.className = 'report-block';
+    try {
+      if (error) throw new Error(error);
+      figure.innerHTML = renderChartSvg(option, { theme });
+    } catch (e) {
+      figure.textContent = `Chart could not be rendered: ${e.message}`;
+    }
+    element.replaceWith(figure);
+  });
+  return doc.body.innerHTML;
+};
+
+const readAsDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// KaTeX's stylesheet and fonts are only fetched when an export asks for them
+const katexFontUrls = import.meta.glob('/node_modules/katex/dist/fonts/*.woff2', {
+  query: '?url',
+  import: 'default',
+  eager: true
+});
+
+const loadKatexStyles = async () => {
+  const { default: css } = await import('katex/dist/katex.min.css?raw');
+  const fonts = {};
+  await Promise.all(Object.entries(katexFontUrls).map(async ([path, url]) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not load ${path.split('/').pop()}`);
+    fonts[path.split('/').pop()] = await readAsDataUrl(await response.blob());
+  }));
+  // Keep only the woff2 source of each @font-face, pointing at the inlined font
+  return css.replace(/src:url\(fonts\/([\w-]+)\.woff2\)[^;}]*/g, (match, name) =>
+    fonts[`${name}.woff2`] ? `src:url(${fonts[`${name}.woff2`]}) format("woff2")` : match
+  );
+};
+
+// Stand-in for the preview's Tailwind typography, plus the print layout
+const DOCUMENT_STYLES = `
+  body { margin: 0; color: #1f2937; font: 16px/1.7 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+  main { max-width: 48rem; margin: 0 auto; padding: 2rem 1.5rem; }
+  h1, h2, h3, h4 { color: #111827; line-height: 1.3; margin: 1.6em 0 0.6em; }
+  h1 { font-size: 2.25em; margin-top: 0; }
+  h2 { font-size: 1.5em; }
+  h3 { font-size: 1.25em; }
+  a { color: #2563eb; }
+  img, svg { max-width: 100%; height: auto; }
+  pre { background: #1f2937; color: #e5e7eb; padding: 0.9em 1.1em; border-radius: 0.375rem; overflow-x: auto; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.875em; }
+  :not(pre) > code { background: #f3f4f6; padding: 0.1em 0.3em; border-radius: 0.25rem; }
+  blockquote { margin: 1.5em 0; padding-left: 1em; border-left: 0.25rem solid #e5e7eb; color: #4b5563; font-style: italic; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #e5e7eb; padding: 0.4em 0.6em; text-align: left; }
+  hr { border: 0; border-top: 1px solid #e5e7eb; margin: 2em 0; }
+  details { border: 1px solid #ddd; border-radius: 4px; margin: 8px 0; }
+  summary { background-color: #f5f5f5; padding: 8px 16px; cursor: pointer; }
+  details > :not(summary) { padding: 0 16px; }
+  .callout { display: block; border-left: 4px solid #60a5fa; background: #eff6ff; padding: 0.75em 1em; border-radius: 4px; }
+  .callout > strong { display: block; }
+  .callout-success { border-color: #22c55e; background: #f0fdf4; }
+  .callout-warning { border-color: #eab308; background: #fefce8; }
+  .callout-danger { border-color: #ef4444; background: #fef2f2; }
+  .contains-task-list { list-style: none; }
+  figcaption { text-align: center; color: #6b7280; font-size: 0.875em; }
+  .report-block { margin: 0 0 2rem; }
+  .report-chart { width: 100%; height: ${EXPORT_CHART_SIZE.height}px; }
+
+  @page { margin: 2cm; }
+  @media print {
+    body { font-size: 11pt; }
+    main { max-width: none; padding: 0; }
+    h1, h2, h3, h4 { break-after: avoid; }
+    pre, blockquote, table, figure, img, svg, .report-block { break-inside: avoid; }
+    pre { white-space: pre-wrap; background: none; color: inherit; border: 1px solid #e5e7eb; }
+    a { color: inherit; }
+  }
+`;
+
+export const buildStandaloneHtml = async ({ title, body, head = '', scripts = '' }) => {
+  const katexStyles = await loadKatexStyles();
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${katexStyles}</style>
+<style>${DOCUMENT_STYLES}</style>
+${head}
+</head>
+<body>
+<main>
+${body}
+</main>
+${scripts}
+</body>
+</html>
+`;
+};
+
+// Multi-content documents as one page. Charts are either static SVG images or
+// live charts driven by an inlined copy of ECharts, which gets custom themes
+// registered with it.
+export const buildReportHtml = async ({ title, blocks, interactive = false, theme = null }) => {
+  const charts = [];
+  const body = blocks.map((block) => {
+    if (block.kind === 'chart') {
+      if (interactive) {
+        charts.push(block.option);
+        return `<div class="report-block report-chart" data-chart="${charts.length - 1}"></div>`;
+      }
+      let svg;
+      try {
+        svg = renderChartSvg(block.option, { theme });
+      } catch (e) {
+        console.warn('Error rendering chart for export:', e);
+        svg = `<p>Chart could not be rendered: ${escapeHtml(e.message)}</p>`;
+      }
+      return `<figure class="report-block">${svg}</figure>`;
+    }
+    return `<section class="report-block">${block.html}</section>`;
+  }).join('\n');
+
+  let scripts = '';
+  if (interactive && charts.length) {
+    const { default: echartsSource } = await import('echarts/dist/echarts.min.js?raw');
+    scripts = `<script>${echartsSource.replace(/<\/script/gi, '<\\/script')}</script>
+<script type="application/json" id="chart-options">${scriptJson({ charts, theme, definition: chartThemeDefinition(theme) })}</script>
+<script>
+  var options = JSON.parse(document.getElementById('chart-options').textContent);
+  if (options.definition) echarts.registerTheme(options.theme, options.definition);
+  document.querySelectorAll('[data-chart]').forEach(function (container) {
+    var chart = echarts.init(container, options.theme);
+    chart.setOption(options.charts[Number(container.dataset.chart)]);
+    window.addEventListener('resize', function () { chart.resize(); });
+  });
+</script>`;
+  }
+  return buildStandaloneHtml({ title, body, scripts });
+};
+
+// Prints a standalone page from a hidden frame, so the browser's "Save as PDF"
+// gets the document without the editor around it.
+export const printHtml = (html) => {
+  // Collapsed sections would print as just their summary
+  html = html.replace(/<details(?![^>]*\sopen)/g, '<details open');
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  // Off-screen but full-sized, so the page lays out as it will print
+  frame.style.cssText = `position:fixed;left:-10000px;top:0;width:${EXPORT_CHART_SIZE.width}px;height:600px;border:0`;
+  frame.srcdoc = html;
+  frame.onload = () => {
+    // Give fonts a moment to load before the print snapshot
+    setTimeout(() => {
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      setTimeout(() => frame.remove(), 1000);
+    }, 100);
+  };
+  document.body.appendChild(frame);
+};
@@ -0,0 +1,43 @@
+import yaml from 'js-yaml';
+
+// YAML front matter at the top of a Markdown document:
+//
+//   ---
+//   title: Notes
+//   markdown:
+//     plugins: [footnote, emoji]
+//   ---
+//   # Notes
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// The parsed front matter ({} when there is none), the text after it with the
+// (0-based) line it starts on, and an error message when the front matter
+// isn't a YAML mapping
+export const splitFrontMatter = (text) => {
+  const match = FRONT_MATTER.exec(text);
+  if (!match) return { data: {}, body: text, bodyLine: 0, error: null };
+  const body = text.slice(match[0].length);
+  const bodyLine = match[0].split('\n').length - 1;
+  try {
+    const data = yaml.load(match[1]) ?? {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      return { data: {}, body, bodyLine, error: 'Front matter must be a list of key: value pairs' };
+    }
+    return { data, body, bodyLine, error: null };
+  } catch (e) {
+    return { data: {}, body, bodyLine, error: `Invalid front matter: ${e.reason || e.message}` };
+  }
+};
+
+// Rewrites the front matter of `text`. Keys set to undefined are removed, and
+// the front matter goes away with its last key. Front matter that doesn't
+// parse is never overwritten.
+export const updateFrontMatter = (text, patch) => {
+  const { data, body, error } = splitFrontMatter(text);
+  if (error) throw new Error(error);
+  const next = { ...data, ...patch };
+  Object.keys(next).forEach(key => next[key] === undefined && delete next[key]);
+  if (!Object.keys(next).length) return body;
+  return `---\n${yaml.dump(next, { flowLevel: 2 })}---\n${body}`;
+};
@@ -0,0 +1,66 @@
+import { createMarkdownRenderer, DEFAULT_MARKDOWN_CONFIG } from './markdownRenderer';
+import { markSourceLines } from './markdownItSourceLines';
+import { renderSafeHtml } from './sanitizeHtml';
+
+// Rendering for previews that update as the text is typed. The whole text is
+// parsed each time (cheap), but each top-level block is only rendered again
+// when its tokens change, so a keystroke costs one paragraph rather than every
+// KaTeX formula in the document. Blocks are rendered with source lines
+// relative to their first line, then shifted into place, so blocks that only
+// moved are reused too.
+
+// Tokens whose output depends on the rest of the document rather than on the
+// tokens themselves
+const UNCACHEABLE_TOKENS = new Set(['tocBody']);
+
+// Runs of tokens from a top-level opening token to its closing one, or single
+// top-level tokens (fences, rules, HTML)
+const topLevelBlocks = (tokens) => {
+  const blocks = [];
+  let start = 0;
+  tokens.forEach((token, index) => {
+    if (token.level === 0 && token.nesting !== 1) {
+      blocks.push(tokens.slice(start, index + 1));
+      start = index + 1;
+    }
+  });
+  return blocks;
+};
+
+// Everything rendering reads from a block's tokens, except where it is
+const blockKey = (block) => JSON.stringify(block, (key, value) => (key === 'map' ? undefined : value));
+
+const shiftSourceLines = (html, by) => (by
+  ? html.replace(/( data-source-line(?:-end)?=")(\d+)"/g, (match, attribute, line) => `${attribute}${Number(line) + by}"`)
+  : html);
+
+// Returns render(text, { config, trustedHtml, sourceLineOffset }) => sanitized
+// HTML with source lines, remembering the blocks of the previous call
+export const createIncrementalRenderer = () => {
+  let md = null;
+  let cache = new Map();
+
+  return (text, { config = DEFAULT_MARKDOWN_CONFIG, trustedHtml = false, sourceLineOffset = 0 } = {}) => {
+    const renderer = createMarkdownRenderer(config);
+    if (renderer !== md) {
+      md = renderer;
+      cache = new Map();
+    }
+    const env = {};
+    const rendered = new Map();
+    const html = topLevelBlocks(md.parse(text, env)).map(block => {
+      const firstLine = block.find(token => token.map)?.map[0] ?? 0;
+      const key = !block.some(token => UNCACHEABLE_TOKENS.has(token.type)) && blockKey(block);
+      let blockHtml = key ? cache.get(key) ?? rendered.get(key) : undefined;
+      if (blockHtml === undefined) {
+        markSourceLines(block, -firstLine);
+        blockHtml = md.renderer.render(block, md.options, env);
+      }
+      if (key) rendered.set(key, blockHtml);
+      return shiftSourceLines(blockHtml, firstLine + sourceLineOffset);
+    }).join('');
+    // Only blocks still in the document are kept
+    cache = rendered;
+    return renderSafeHtml(html, { trusted: trustedHtml });
+  };
+};
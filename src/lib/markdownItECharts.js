@@ -0,0 +1,66 @@
+import * as echarts from 'echarts';
+
+// markdown-it plugin turning ```echarts fenced blocks into chart placeholders.
+// The block's JSON travels in a data attribute (which survives sanitizing), and
+// the preview mounts a live chart into each placeholder after rendering.
+
+export const ECHARTS_FENCE = 'echarts';
+export const ECHARTS_BLOCK_SELECTOR = '.echarts-block';
+
+// Options written in a block, or the reason they can't be used
+export const parseEChartsBlock = (source) => {
+  if (!source.trim()) {
+    return { error: 'Empty chart block' };
+  }
+  try {
+    const option = JSON.parse(source);
+    if (!option || typeof option !== 'object' || Array.isArray(option)) {
+      return { error: 'A chart block must contain a JSON object of ECharts options' };
+    }
+    return { option };
+  } catch (e) {
+    return { error: `Invalid chart JSON: ${e.message}` };
+  }
+};
+
+const markdownItECharts = (md) => {
+  const defaultFence = md.renderer.rules.fence;
+
+  md.renderer.rules.fence = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    const language = token.info.trim().split(/\s+/)[0];
+    if (language !== ECHARTS_FENCE) {
+      return defaultFence(tokens, idx, options, env, self);
+    }
+    return `<div class="echarts-block"${self.renderAttrs(token)} data-echarts-source="${md.utils.escapeHtml(token.content)}"></div>\n`;
+  };
+};
+
+// Mounts a chart into one placeholder, in the given ECharts theme. A broken
+// block shows its error in place and gives null.
+export const mountEChartsBlock = (element, { theme } = {}) => {
+  const { option, error } = parseEChartsBlock(element.dataset.echartsSource || '');
+  let message = error;
+  if (option) {
+    const chart = echarts.init(element, theme);
+    try {
+      chart.setOption(option);
+      return chart;
+    } catch (e) {
+      chart.dispose();
+      message = `Chart error: ${e.message}`;
+    }
+  }
+  element.classList.add('echarts-block-error');
+  element.textContent = message;
+  return null;
+};
+
+// Mounts a chart into every placeholder under `container`. Returns the chart
+// instances so they can be disposed.
+export const mountEChartsBlocks = (container, options) =>
+  [...container.querySelectorAll(ECHARTS_BLOCK_SELECTOR)]
+    .map(element => mountEChartsBlock(element, options))
+    .filter(Boolean);
+
+export default markdownItECharts;
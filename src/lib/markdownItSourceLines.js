@@ -0,0 +1,24 @@
+// markdown-it plugin marking rendered blocks with the source lines they come
+// from (token.map), as data-source-line and data-source-line-end (exclusive,
+// 0-based). It only runs when the render env asks for it, with the number of
+// lines that precede the rendered text (front matter):
+//
+//   md.render(body, { sourceLineOffset: 4 })
+
+export const markSourceLines = (tokens, offset) => {
+  tokens.forEach(token => {
+    if (token.map && token.block && token.nesting !== -1) {
+      token.attrSet('data-source-line', String(token.map[0] + offset));
+      token.attrSet('data-source-line-end', String(token.map[1] + offset));
+    }
+  });
+};
+
+const markdownItSourceLines = (md) => {
+  md.core.ruler.push('source_lines', (state) => {
+    const offset = state.env?.sourceLineOffset;
+    if (offset !== undefined) markSourceLines(state.tokens, offset);
+  });
+};
+
+export default markdownItSourceLines;
@@ -0,0 +1,227 @@
+import MarkdownIt from 'markdown-it';
+import markdownItCollapsible from 'markdown-it-collapsible';
+import markdownItKatex from 'markdown-it-katex';
+import { markdownItFancyListPlugin } from 'markdown-it-fancy-lists';
+import markdownItFootnote from 'markdown-it-footnote';
+import markdownItTaskLists from 'markdown-it-task-lists';
+import markdownItAnchor from 'markdown-it-anchor';
+import markdownItTocDoneRight from 'markdown-it-toc-done-right';
+import { full as markdownItEmoji } from 'markdown-it-emoji';
+import markdownItContainer from 'markdown-it-container';
+import markdownItDeflist from 'markdown-it-deflist';
+import markdownItSub from 'markdown-it-sub';
+import markdownItSup from 'markdown-it-sup';
+import markdownItMark from 'markdown-it-mark';
+import markdownItECharts from './markdownItECharts';
+import markdownItSourceLines from './markdownItSourceLines';
+import { renderSafeHtml } from './sanitizeHtml';
+import { splitFrontMatter, updateFrontMatter } from './frontMatter';
+
+// The one markdown-it setup behind every Markdown preview and export. Each
+// document carries its own configuration (front matter in Markdown files, a
+// markdown-settings block in multi-content files), so it renders the same
+// wherever it is opened:
+//
+//   { html, linkify, typographer, breaks, plugins: ['katex', 'footnote', ...] }
+
+export const MARKDOWN_OPTIONS = {
+  html: { label: 'Raw HTML', description: 'HTML tags in the text are rendered (and sanitized unless trusted)' },
+  linkify: { label: 'Autolinks', description: 'Bare URLs become links' },
+  typographer: { label: 'Typographer', description: 'Smart quotes, dashes and (c) → ©' },
+  breaks: { label: 'Line breaks', description: 'A single newline starts a new line' }
+};
+
+// Headings and the table of contents link to each other, so both use the
+// same slugs
+const slugify = (text) => encodeURIComponent(String(text).trim().toLowerCase().replace(/\s+/g, '-'));
+
+// Match the callout blocks of multi-content documents: ::: warning Title
+const CONTAINER_TYPES = ['info', 'success', 'warning', 'danger'];
+
+const applyContainers = (md) => CONTAINER_TYPES.forEach(type => md.use(markdownItContainer, type, {
+  render: (tokens, idx, options, env, self) => {
+    if (tokens[idx].nesting !== 1) return '</aside>\n';
+    const title = tokens[idx].info.trim().slice(type.length).trim();
+    return `<aside class="callout callout-${type}"${self.renderAttrs(tokens[idx])}>${title ? `<strong>${md.utils.escapeHtml(title)}</strong>` : ''}\n`;
+  }
+}));
+
+// Applied in this order. `requires` names plugins a plugin can't work without;
+// they are switched on along with it.
+export const MARKDOWN_PLUGINS = {
+  fancyLists: {
+    label: 'Fancy lists',
+    description: 'Lettered and Roman numeral lists',
+    apply: (md) => md.use(markdownItFancyListPlugin)
+  },
+  collapsible: {
+    label: 'Collapsible sections',
+    description: '+++ Title … +++ blocks',
+    apply: (md) => md.use(markdownItCollapsible)
+  },
+  katex: {
+    label: 'Math',
+    description: '$inline$ and $$block$$ KaTeX formulas',
+    apply: (md) => md.use(markdownItKatex)
+  },
+  echarts: {
+    label: 'Charts',
+    description: '```echarts blocks holding ECharts options',
+    apply: (md) => md.use(markdownItECharts)
+  },
+  footnote: {
+    label: 'Footnotes',
+    description: 'Text[^1] with [^1]: notes at the end',
+    apply: (md) => md.use(markdownItFootnote)
+  },
+  taskLists: {
+    label: 'Task lists',
+    description: '- [ ] and - [x] checkboxes',
+    apply: (md) => md.use(markdownItTaskLists)
+  },
+  anchor: {
+    label: 'Heading anchors',
+    description: 'Headings get ids to link to',
+    apply: (md) => md.use(markdownItAnchor, { slugify })
+  },
+  toc: {
+    label: 'Table of contents',
+    description: '[[toc]] on its own line',
+    requires: ['anchor'],
+    apply: (md) => md.use(markdownItTocDoneRight, { slugify })
+  },
+  emoji: {
+    label: 'Emoji',
+    description: ':smile: shortcodes',
+    apply: (md) => md.use(markdownItEmoji)
+  },
+  containers: {
+    label: 'Callouts',
+    description: `::: ${CONTAINER_TYPES.join(' / ')} blocks`,
+    apply: applyContainers
+  },
+  deflist: {
+    label: 'Definition lists',
+    description: 'Term, then : definition',
+    apply: (md) => md.use(markdownItDeflist)
+  },
+  sub: {
+    label: 'Subscript',
+    description: 'H~2~O',
+    apply: (md) => md.use(markdownItSub)
+  },
+  sup: {
+    label: 'Superscript',
+    description: '29^th^',
+    apply: (md) => md.use(markdownItSup)
+  },
+  mark: {
+    label: 'Highlight',
+    description: '==marked text==',
+    apply: (md) => md.use(markdownItMark)
+  }
+};
+
+// How documents rendered before the configuration existed
+export const DEFAULT_MARKDOWN_CONFIG = {
+  html: true,
+  linkify: true,
+  typographer: true,
+  breaks: true,
+  plugins: ['fancyLists', 'collapsible', 'katex', 'echarts']
+};
+
+// A complete configuration from what a document says, with its unknown or
+// malformed settings reported as [{ path, message }] and left at the default
+export const readMarkdownConfig = (value) => {
+  if (value === undefined || value === null) return { config: DEFAULT_MARKDOWN_CONFIG, problems: [] };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { config: DEFAULT_MARKDOWN_CONFIG, problems: [{ path: [], message: 'Markdown settings must be an object' }] };
+  }
+  const config = { ...DEFAULT_MARKDOWN_CONFIG };
+  const problems = [];
+  Object.entries(value).forEach(([key, setting]) => {
+    if (key === 'plugins') {
+      if (!Array.isArray(setting)) {
+        problems.push({ path: [key], message: '"plugins" must be a list of plugin names' });
+        return;
+      }
+      setting.forEach((name, index) => {
+        if (!MARKDOWN_PLUGINS[name]) {
+          problems.push({
+            path: [key, index],
+            message: `Unknown Markdown plugin "${name}". Available: ${Object.keys(MARKDOWN_PLUGINS).join(', ')}`
+          });
+        }
+      });
+      config.plugins = Object.keys(MARKDOWN_PLUGINS).filter(name => setting.includes(name));
+    } else if (MARKDOWN_OPTIONS[key]) {
+      if (typeof setting === 'boolean') {
+        config[key] = setting;
+      } else {
+        problems.push({ path: [key], message: `"${key}" must be true or false` });
+      }
+    } else {
+      problems.push({ path: [key], message: `Unknown Markdown setting "${key}"` });
+    }
+  });
+  return { config, problems };
+};
+
+// The plugins that end up applied, in the order they are applied
+const resolvePlugins = (names) => {
+  const enabled = new Set(names);
+  names.forEach(name => MARKDOWN_PLUGINS[name]?.requires?.forEach(required => enabled.add(required)));
+  return Object.keys(MARKDOWN_PLUGINS).filter(name => enabled.has(name));
+};
+
+const renderers = new Map();
+
+// Instances are cached by configuration; building one takes longer than
+// rendering a typical document
+export const createMarkdownRenderer = (config = DEFAULT_MARKDOWN_CONFIG) => {
+  const plugins = resolvePlugins(config.plugins);
+  const key = JSON.stringify([config.html, config.linkify, config.typographer, config.breaks, plugins]);
+  if (!renderers.has(key)) {
+    const md = new MarkdownIt({
+      html: config.html,
+      linkify: config.linkify,
+      typographer: config.typographer,
+      breaks: config.breaks
+    });
+    plugins.forEach(name => MARKDOWN_PLUGINS[name].apply(md));
+    md.use(markdownItSourceLines);
+    renderers.set(key, md);
+  }
+  return renderers.get(key);
+};
+
+// `sourceLineOffset` marks blocks with their source lines, for previews that
+// follow the editor (see lib/markdownItSourceLines)
+export const renderMarkdown = (text, {
+  config = DEFAULT_MARKDOWN_CONFIG,
+  trustedHtml = false,
+  sourceLineOffset
+} = {}) => renderSafeHtml(
+  createMarkdownRenderer(config).render(text, sourceLineOffset === undefined ? {} : { sourceLineOffset }),
+  { trusted: trustedHtml }
+);
+
+// What a document should store for a configuration: nothing for the default,
+// so untouched documents stay as they are
+export const storedMarkdownConfig = (config) =>
+  (JSON.stringify(config) === JSON.stringify(DEFAULT_MARKDOWN_CONFIG) ? undefined : config);
+
+// Markdown files keep theirs under `markdown:` in the front matter, which is
+// left out of the rendered text
+export const readMarkdownDocument = (text) => {
+  const { data, body, bodyLine, error } = splitFrontMatter(text);
+  const { config, problems } = readMarkdownConfig(data.markdown);
+  return { body, bodyLine, config, problems: error ? [{ path: [], message: error }, ...problems] : problems };
+};
+
+export const writeMarkdownConfig = (text, config) =>
+  updateFrontMatter(text, { markdown: storedMarkdownConfig(config) });
+
+// Multi-content files keep theirs in a markdown-settings item
+export const MARKDOWN_SETTINGS_KIND = 'markdown-settings';
@@ -0,0 +1,134 @@
+import deepEqual from './deepEqual';
+
+// The "Document" form of a multi-content file: markdown items written as-is,
+// chart items as ```echarts fenced blocks holding their options as JSON, and
+// any other kind as an ```item <kind> block holding its data. Adjacent
+// markdown items are kept apart by an ITEM_SEPARATOR line.
+//
+//   ## Sales
+//   Numbers for the first quarter.
+//
+//   ```echarts
+//   { "series": [...] }
+//   ```
+
+export const ITEM_SEPARATOR = '<!-- item -->';
+
+const CHART_FENCE = 'echarts';
+const ITEM_FENCE = 'item';
+
+const fenceInfo = (item) => (item.kind === 'chart' ? CHART_FENCE : `${ITEM_FENCE} ${item.kind}`);
+
+export const itemsToDocument = (items) => {
+  const parts = [];
+  items.forEach((item, index) => {
+    if (item.kind === 'markdown') {
+      if (items[index - 1]?.kind === 'markdown') parts.push(ITEM_SEPARATOR);
+      parts.push(item.data.text.trim());
+    } else {
+      parts.push(`\`\`\`${fenceInfo(item)}\n${JSON.stringify(item.data, null, 2)}\n\`\`\``);
+    }
+  });
+  return `${parts.join('\n\n')}\n`;
+};
+
+export class DocumentParseError extends Error {
+  constructor(message, line) {
+    super(message);
+    this.name = 'DocumentParseError';
+    this.line = line;
+  }
+}
+
+const ITEM_FENCE_PATTERN = new RegExp(`^\`\`\`(${CHART_FENCE}|${ITEM_FENCE}\\s+([\\w-]+))\\s*$`);
+const CODE_FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+
+// Parses a document back into items. Code fences inside the markdown (```js
+// and friends) are skipped over, so only top-level item blocks are picked up.
+// Throws a DocumentParseError with a 1-based line number for broken blocks.
+export const documentToItems = (text) => {
+  const lines = text.split('\n');
+  const items = [];
+  let markdown = [];
+  let codeFence = null;
+
+  const flushMarkdown = () => {
+    const content = markdown.join('\n').trim();
+    if (content) items.push({ kind: 'markdown', data: { text: content } });
+    markdown = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (codeFence) {
+      const close = CODE_FENCE_PATTERN.exec(line);
+      if (close && close[1][0] === codeFence[0] && close[1].length >= codeFence.length && !close[2].trim()) {
+        codeFence = null;
+      }
+      markdown.push(line);
+      continue;
+    }
+
+    const itemFence = ITEM_FENCE_PATTERN.exec(line);
+    if (itemFence) {
+      const start = i;
+      const end = lines.findIndex((candidate, index) => index > start && candidate.trim() === '```');
+      if (end === -1) {
+        throw new DocumentParseError('Unclosed ``` block', start + 1);
+      }
+      let data;
+      try {
+        data = JSON.parse(lines.slice(start + 1, end).join('\n'));
+      } catch (e) {
+        throw new DocumentParseError(`Invalid JSON in ${itemFence[1]} block: ${e.message}`, start + 1);
+      }
+      flushMarkdown();
+      items.push({ kind: itemFence[2] || 'chart', data });
+      i = end;
+      continue;
+    }
+
+    if (line.trim() === ITEM_SEPARATOR) {
+      flushMarkdown();
+      continue;
+    }
+
+    const open = CODE_FENCE_PATTERN.exec(line);
+    if (open) codeFence = open[1];
+    markdown.push(line);
+  }
+  flushMarkdown();
+  return items;
+};
+
+// Items as the document form will give them back: markdown loses only its
+// surrounding whitespace.
+const normalizeItems = (items) => items.map(item =>
+  item?.kind === 'markdown' && typeof item.data?.text === 'string'
+    ? { ...item, data: { ...item.data, text: item.data.text.trim() } }
+    : item
+);
+
+// Why `items` can't be shown as a document without losing something, or null
+// when it round-trips.
+export const documentRoundTripProblem = (items) => {
+  const invalid = items.findIndex(item =>
+    !item || typeof item !== 'object' || typeof item.kind !== 'string' || !/^[\w-]+$/.test(item.kind) ||
+    (item.kind === 'markdown' && typeof item.data?.text !== 'string')
+  );
+  if (invalid !== -1) {
+    return `Item ${invalid + 1} needs a "kind" and, for markdown, a "data.text" string`;
+  }
+  let parsed;
+  try {
+    parsed = documentToItems(itemsToDocument(items));
+  } catch (e) {
+    return e.message;
+  }
+  const expected = normalizeItems(items);
+  if (parsed.length !== expected.length) {
+    return 'Empty markdown items, or markdown containing ```echarts blocks, can\'t be written as a document';
+  }
+  const changed = expected.findIndex((item, index) => !deepEqual(item, parsed[index]));
+  return changed === -1 ? null : `Item ${changed + 1} has fields the document view can't keep`;
+};
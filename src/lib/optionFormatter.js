@@ -0,0 +1,35 @@
+// Turns an option object back into editor text: a JavaScript object literal
+// (unquoted keys, single quotes) like the default ECharts document, or JSON.
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+const quoteString = (value) => `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+
+const isFlat = (value) => value.every(item => item === null || typeof item !== 'object');
+
+const toLiteral = (value, indent) => {
+  const pad = '  '.repeat(indent);
+  const innerPad = '  '.repeat(indent + 1);
+  if (typeof value === 'string') return quoteString(value);
+  if (typeof value === 'function') return value.toString();
+  if (value === null || typeof value !== 'object') return String(value);
+  if (Array.isArray(value)) {
+    if (!value.length) return '[]';
+    // Short rows of plain values (data points, dataset rows) stay on one line
+    if (isFlat(value)) return `[${value.map(item => toLiteral(item, indent)).join(', ')}]`;
+    return `[\n${value.map(item => `${innerPad}${toLiteral(item, indent + 1)}`).join(',\n')}\n${pad}]`;
+  }
+  const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+  if (!entries.length) return '{}';
+  const body = entries.map(([key, item]) =>
+    `${innerPad}${IDENTIFIER.test(key) ? key : quoteString(key)}: ${toLiteral(item, indent + 1)}`
+  );
+  return `{\n${body.join(',\n')}\n${pad}}`;
+};
+
+export const formatOptionAsJavaScript = (option) => toLiteral(option, 0);
+
+export const formatOptionAsJson = (option) => JSON.stringify(option, null, 2);
+
+export const formatOption = (option, { json = false } = {}) =>
+  json ? formatOptionAsJson(option) : formatOptionAsJavaScript(option);
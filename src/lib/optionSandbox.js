@@ -0,0 +1,106 @@
+export const EVALUATION_TIMEOUT = 1000;
+
+export const EVALUATION_MODES = {
+  javascript: 'javascript',
+  json: 'json'
+};
+
+export class OptionEvaluationError extends Error {
+  constructor(message, { kind = 'runtime', cause } = {}) {
+    super(message);
+    this.name = 'OptionEvaluationError';
+    this.kind = kind;
+    this.cause = cause;
+  }
+}
+
+// Runs option code in a Web Worker, replacing the worker when an evaluation
+// takes longer than the timeout (e.g. an infinite loop). Resolves with
+// { options, droppedCallbacks }: functions in the options (formatters and
+// the like) never leave the worker, since rebuilt on this thread they would
+// run with full access to the page. droppedCallbacks lists their paths.
+// Callbacks are therefore not supported yet: running them safely needs the
+// chart itself drawn inside a sandbox (e.g. a sandboxed iframe owning the
+// chart instance).
+export const createOptionSandbox = ({ timeout = EVALUATION_TIMEOUT } = {}) => {
+  let worker = null;
+  let nextId = 0;
+  const pending = new Map();
+
+  const startWorker = () => {
+    worker = new Worker(new URL('./optionSandbox.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+      pending.delete(data.id);
+      clearTimeout(request.timer);
+      if (data.error) {
+        request.reject(new OptionEvaluationError(`${data.error.name}: ${data.error.message}`, {
+          kind: data.error.name === 'SyntaxError' ? 'syntax' : 'runtime',
+          cause: data.error
+        }));
+      } else {
+        request.resolve({ options: data.options, droppedCallbacks: data.droppedCallbacks });
+      }
+    };
+  };
+
+  const restartWorker = () => {
+    worker?.terminate();
+    worker = null;
+  };
+
+  const evaluate = (code) => new Promise((resolve, reject) => {
+    if (!worker) startWorker();
+    const id = nextId++;
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      // Whatever else was queued behind the runaway code is lost with the worker
+      pending.forEach(request => {
+        clearTimeout(request.timer);
+        request.reject(new OptionEvaluationError('Evaluation cancelled', { kind: 'cancelled' }));
+      });
+      pending.clear();
+      restartWorker();
+      reject(new OptionEvaluationError(
+        `Evaluation timed out after ${timeout} ms. Check the options for infinite loops.`,
+        { kind: 'timeout' }
+      ));
+    }, timeout);
+    pending.set(id, { resolve, reject, timer });
+    worker.postMessage({ id, code });
+  });
+
+  return {
+    evaluate,
+    dispose() {
+      pending.forEach(request => clearTimeout(request.timer));
+      pending.clear();
+      restartWorker();
+    }
+  };
+};
+
+// Safe mode: no code runs at all, the options must be plain JSON.
+export const parseOptionsJson = (code) => {
+  try {
+    return JSON.parse(code);
+  } catch (e) {
+    throw new OptionEvaluationError(`Safe mode accepts plain JSON only. ${e.message}`, {
+      kind: 'syntax',
+      cause: e
+    });
+  }
+};
+
+// Documents saved before the mode was chosen per document have none stored.
+// They were always code, often object literals (unquoted keys, single
+// quotes), so only plain JSON is moved to safe mode.
+export const detectEvaluationMode = (code) => {
+  try {
+    JSON.parse(code);
+    return EVALUATION_MODES.json;
+  } catch {
+    return EVALUATION_MODES.javascript;
+  }
+};
@@ -0,0 +1,64 @@
+// Evaluates ECharts option code away from the main thread. Storage and network
+// APIs are shadowed so option code can't read or send the user's documents.
+const BLOCKED_GLOBALS = [
+  'indexedDB',
+  'caches',
+  'fetch',
+  'XMLHttpRequest',
+  'WebSocket',
+  'EventSource',
+  'importScripts',
+  'BroadcastChannel'
+];
+
+BLOCKED_GLOBALS.forEach(name => {
+  try {
+    Object.defineProperty(self, name, { value: undefined, configurable: false, writable: false });
+  } catch {
+    // Not present in this browser
+  }
+});
+
+const WRAPPER_PREFIX = '"use strict"; return (';
+
+// Structured clone can't carry functions, and rebuilding them from source on
+// the main thread would run them outside this sandbox, so they are left out
+// and their paths reported instead
+const serialize = (value, path, droppedCallbacks, seen = new WeakSet()) => {
+  if (typeof value === 'function') {
+    droppedCallbacks.push(path);
+    return undefined;
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'symbol' ? undefined : value;
+  }
+  if (value instanceof Date || value instanceof RegExp) {
+    return value;
+  }
+  if (seen.has(value)) {
+    throw new Error('Options must not contain circular references');
+  }
+  seen.add(value);
+  const result = Array.isArray(value)
+    ? value.map((item, index) => serialize(item, [...path, index], droppedCallbacks, seen))
+    : Object.fromEntries(Object.entries(value).map(([key, item]) => (
+      [key, serialize(item, [...path, key], droppedCallbacks, seen)]
+    )));
+  seen.delete(value);
+  return result;
+};
+
+self.onmessage = ({ data: { id, code } }) => {
+  try {
+    const evalFunction = new Function(`${WRAPPER_PREFIX}${code}\n);`);
+    const droppedCallbacks = [];
+    const options = serialize(evalFunction(), [], droppedCallbacks);
+    self.postMessage({ id, options, droppedCallbacks });
+  } catch (e) {
+    // The stack and wrapper length let the editor map the error back to a line
+    self.postMessage({
+      id,
+      error: { name: e.name, message: e.message, stack: e.stack, prefixLength: WRAPPER_PREFIX.length }
+    });
+  }
+};
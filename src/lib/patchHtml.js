@@ -0,0 +1,61 @@
+// Updates rendered HTML in place: the children of a container are matched
+// against the new HTML from both ends, and only the run that differs is
+// replaced. Nodes that stay keep whatever was mounted into them (charts) and
+// the layout the browser already did for them (KaTeX).
+
+const SOURCE_LINE_SELECTOR = '[data-source-line]';
+const SOURCE_LINE_ATTRIBUTES = / data-source-line(?:-end)?="\d+"/g;
+
+// The HTML each node was created from, which later changes to the node (a
+// mounted chart, a highlight) don't affect. Source lines don't count: blocks
+// that only moved are kept, with their lines updated.
+const createdFrom = new WeakMap();
+
+const nodeHtml = (node) => `${node.nodeType}:${
+  (node.nodeType === Node.ELEMENT_NODE ? node.outerHTML : node.textContent).replace(SOURCE_LINE_ATTRIBUTES, '')
+}`;
+
+const markedElements = (node) => (node.nodeType === Node.ELEMENT_NODE
+  ? [node, ...node.querySelectorAll(SOURCE_LINE_SELECTOR)].filter(element => element.hasAttribute('data-source-line'))
+  : []);
+
+const copySourceLines = (from, to) => {
+  const targets = markedElements(to);
+  markedElements(from).forEach((element, index) => {
+    targets[index]?.setAttribute('data-source-line', element.getAttribute('data-source-line'));
+    targets[index]?.setAttribute('data-source-line-end', element.getAttribute('data-source-line-end'));
+  });
+};
+
+// Returns the nodes that were inserted
+export const patchHtml = (container, html) => {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const next = [...template.content.childNodes];
+  const nextHtml = next.map(nodeHtml);
+  const current = [...container.childNodes];
+  const isSame = (currentIndex, nextIndex) => createdFrom.get(current[currentIndex]) === nextHtml[nextIndex];
+
+  let start = 0;
+  while (start < current.length && start < next.length && isSame(start, start)) {
+    copySourceLines(next[start], current[start]);
+    start++;
+  }
+  let end = 0;
+  while (
+    end < current.length - start && end < next.length - start &&
+    isSame(current.length - 1 - end, next.length - 1 - end)
+  ) {
+    copySourceLines(next[next.length - 1 - end], current[current.length - 1 - end]);
+    end++;
+  }
+
+  current.slice(start, current.length - end).forEach(node => node.remove());
+  const before = current[current.length - end] ?? null;
+  const inserted = next.slice(start, next.length - end);
+  inserted.forEach((node, index) => {
+    createdFrom.set(node, nextHtml[start + index]);
+    container.insertBefore(node, before);
+  });
+  return inserted;
+};
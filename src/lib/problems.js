@@ -0,0 +1,156 @@
+import { parse as parseJavaScript } from 'acorn';
+import {
+  parse as parseJsonTree,
+  parseTree,
+  findNodeAtLocation,
+  printParseErrorCode
+} from 'jsonc-parser';
+
+// A problem is { message, severity, from, to, line, column } where from/to are
+// character offsets into the source and line/column are 1-based. Problems
+// that can't be tied to a place in the source have no offsets.
+
+export const offsetToPosition = (text, offset) => {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  const column = offset - before.lastIndexOf('\n');
+  return { line, column };
+};
+
+export const positionToOffset = (text, line, column) => {
+  const lines = text.split('\n');
+  let offset = 0;
+  for (let i = 0; i < Math.min(line - 1, lines.length); i++) {
+    offset += lines[i].length + 1;
+  }
+  return Math.min(offset + column - 1, text.length);
+};
+
+export const createProblem = (text, message, { from, to, severity = 'error' } = {}) => {
+  if (from === undefined) {
+    return { message, severity };
+  }
+  const end = Math.max(to ?? from + 1, from);
+  return { message, severity, from, to: Math.min(end, text.length), ...offsetToPosition(text, from) };
+};
+
+// Option code is evaluated as `return (<code>)`, so it is parsed the same way.
+// The wrapper adds one character before the code on its first line.
+const JS_WRAPPER_PREFIX = '(';
+
+export const findJavaScriptSyntaxError = (code) => {
+  try {
+    parseJavaScript(`${JS_WRAPPER_PREFIX}${code}\n)`, { ecmaVersion: 'latest', locations: true });
+    return null;
+  } catch (e) {
+    if (!(e instanceof SyntaxError) || e.pos === undefined) throw e;
+    const offset = Math.max(0, Math.min(e.pos - JS_WRAPPER_PREFIX.length, code.length));
+    // acorn appends " (line:column)" to its messages; the position is shown separately
+    const message = e.message.replace(/\s*\(\d+:\d+\)$/, '');
+    return createProblem(code, message, { from: offset });
+  }
+};
+
+export const findJsonSyntaxErrors = (text) => {
+  const errors = [];
+  parseJsonTree(text, errors, { allowTrailingComma: false, disallowComments: true });
+  // The parser often reports several follow-up errors at the same spot; keep the first
+  const unique = errors.filter((error, index) =>
+    errors.findIndex(other => other.offset === error.offset) === index
+  );
+  return unique.map(error => createProblem(text, describeJsonError(error.error), {
+    from: error.offset,
+    to: error.offset + Math.max(error.length, 1)
+  }));
+};
+
+// Finds the source range of the value under `path` (keys and array indexes),
+// widened to the whole `key: value` property when the path ends in a key.
+export const locateJsonPath = (text, path) => {
+  const root = parseTree(text);
+  const node = root && findNodeAtLocation(root, path);
+  if (!node) return null;
+  const target = typeof path[path.length - 1] === 'string' && node.parent?.type === 'property'
+    ? node.parent
+    : node;
+  return { from: target.offset, to: target.offset + target.length };
+};
+
+const propertyName = (property) =>
+  property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+
+// Same as locateJsonPath for an option object written as a JavaScript literal.
+export const locateJavaScriptPath = (code, path) => {
+  let node;
+  try {
+    node = parseJavaScript(`${JS_WRAPPER_PREFIX}${code}\n)`, { ecmaVersion: 'latest' }).body[0]?.expression;
+  } catch {
+    return null;
+  }
+  let target = node;
+  for (const segment of path) {
+    if (typeof segment === 'number' && node?.type === 'ArrayExpression') {
+      node = target = node.elements[segment];
+    } else if (typeof segment === 'string' && node?.type === 'ObjectExpression') {
+      const property = node.properties.find(item => item.type === 'Property' && !item.computed && propertyName(item) === segment);
+      target = property;
+      node = property?.value;
+    } else {
+      return null;
+    }
+    if (!target) return null;
+  }
+  const offset = JS_WRAPPER_PREFIX.length;
+  return { from: target.start - offset, to: target.end - offset };
+};
+
+// Points a problem at `path` in JSON or JavaScript source, falling back to an
+// unlocated problem when the path can't be found.
+export const createPathProblem = (text, path, message, { language = 'json', ...options } = {}) => {
+  const range = language === 'javascript' ? locateJavaScriptPath(text, path) : locateJsonPath(text, path);
+  return createProblem(text, message, { ...options, ...range });
+};
+
+export const createJsonPathProblem = (text, path, message, options = {}) =>
+  createPathProblem(text, path, message, { ...options, language: 'json' });
+
+const JSON_ERROR_MESSAGES = {
+  InvalidSymbol: 'Invalid symbol',
+  InvalidNumberFormat: 'Invalid number',
+  PropertyNameExpected: 'Expected a double-quoted property name',
+  ValueExpected: 'Expected a value',
+  ColonExpected: "Expected ':'",
+  CommaExpected: "Expected ','",
+  CloseBraceExpected: "Expected '}'",
+  CloseBracketExpected: "Expected ']'",
+  EndOfFileExpected: 'Unexpected content after the end of the document',
+  InvalidCommentToken: 'Comments are not allowed in JSON',
+  UnexpectedEndOfComment: 'Comments are not allowed in JSON',
+  UnexpectedEndOfString: 'Unterminated string',
+  UnexpectedEndOfNumber: 'Unterminated number',
+  InvalidUnicode: 'Invalid unicode escape',
+  InvalidEscapeCharacter: 'Invalid escape character',
+  InvalidCharacter: 'Invalid character in string'
+};
+
+const describeJsonError = (code) => {
+  const name = printParseErrorCode(code);
+  return JSON_ERROR_MESSAGES[name] || name;
+};
+
+// Maps a runtime error thrown while evaluating option code back to the code,
+// using the `<anonymous>:line:column` frame V8 reports for `new Function`.
+// `new Function` puts two header lines before the body, and the body starts
+// with `prefixLength` characters of wrapper. Falls back to an unlocated problem.
+export const locateEvaluationError = (code, message, stack, prefixLength) => {
+  const match = stack && /<anonymous>:(\d+):(\d+)/.exec(stack);
+  if (!match) {
+    return createProblem(code, message);
+  }
+  const line = Number(match[1]) - 2;
+  const column = Number(match[2]) - (line === 1 ? prefixLength : 0);
+  if (line < 1 || column < 1) {
+    return createProblem(code, message);
+  }
+  return createProblem(code, message, { from: positionToOffset(code, line, column) });
+};
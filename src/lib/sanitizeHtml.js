@@ -0,0 +1,30 @@
+import DOMPurify from 'dompurify';
+
+// What rendered Markdown may contain on top of DOMPurify's own safe defaults:
+// KaTeX's MathML annotations, collapsible <details> blocks and the list
+// attributes written by markdown-it-fancy-lists.
+export const DEFAULT_ALLOWLIST = {
+  tags: ['details', 'summary', 'semantics', 'annotation'],
+  attributes: ['class', 'style', 'aria-hidden', 'encoding', 'open', 'type', 'start', 'reversed', 'value']
+};
+
+// Extra tags/attributes can be allowed and defaults taken away per call, e.g.
+// sanitizeHtml(html, { allowTags: ['iframe'], forbidAttributes: ['style'] }).
+export const sanitizeHtml = (html, {
+  allowTags = [],
+  allowAttributes = [],
+  forbidTags = [],
+  forbidAttributes = []
+} = {}) => {
+  return DOMPurify.sanitize(html, {
+    ADD_TAGS: [...DEFAULT_ALLOWLIST.tags, ...allowTags],
+    ADD_ATTR: [...DEFAULT_ALLOWLIST.attributes, ...allowAttributes],
+    FORBID_TAGS: forbidTags,
+    FORBID_ATTR: forbidAttributes
+  });
+};
+
+// Trusted documents skip sanitization so raw HTML (scripts, embeds, event
+// handlers) renders exactly as written.
+export const renderSafeHtml = (html, { trusted = false, ...options } = {}) =>
+  trusted ? html : sanitizeHtml(html, options);
@@ -0,0 +1,68 @@
+// Maps between source lines and positions in a rendered preview, through the
+// data-source-line attributes of lib/markdownItSourceLines. Lines are 0-based
+// and may be fractional (partway through a line); offsets are scrollTop values
+// of the preview container.
+
+const SOURCE_LINE_SELECTOR = '[data-source-line]';
+
+// Marked blocks in document order, an outer block before the ones inside it
+const sourceBlocks = (container) => {
+  const origin = container.getBoundingClientRect().top - container.scrollTop;
+  return [...container.querySelectorAll(SOURCE_LINE_SELECTOR)].map(element => {
+    const rect = element.getBoundingClientRect();
+    return {
+      element,
+      line: Number(element.dataset.sourceLine),
+      endLine: Number(element.dataset.sourceLineEnd),
+      top: rect.top - origin,
+      bottom: rect.bottom - origin
+    };
+  });
+};
+
+// The innermost block matching `contains`: the one starting last, and of
+// those the one nested deepest
+const innermost = (blocks, contains, start) => blocks.reduce(
+  (found, block) => (contains(block) && (!found || start(block) >= start(found)) ? block : found),
+  null
+);
+
+const interpolate = (value, from, to, fromOut, toOut) =>
+  (to > from ? fromOut + ((value - from) / (to - from)) * (toOut - fromOut) : fromOut);
+
+// Where the preview shows `line`, or null when nothing is marked
+export const previewOffsetForLine = (container, line) => {
+  const blocks = sourceBlocks(container);
+  if (!blocks.length) return null;
+  const block = innermost(blocks, b => b.line <= line && line < b.endLine, b => b.line);
+  if (block) return interpolate(line, block.line, block.endLine, block.top, block.bottom);
+  // Blank lines between blocks map to the gap between them
+  const before = blocks.filter(b => b.endLine <= line).pop();
+  const after = blocks.find(b => b.line > line);
+  if (!before) return 0;
+  if (!after) return before.bottom;
+  return interpolate(line, before.endLine, after.line, before.bottom, after.top);
+};
+
+// The source line shown at `offset` in the preview, or null
+export const lineForPreviewOffset = (container, offset) => {
+  const blocks = sourceBlocks(container);
+  if (!blocks.length) return null;
+  const block = innermost(blocks, b => b.top <= offset && offset < b.bottom, b => b.top);
+  if (block) return interpolate(offset, block.top, block.bottom, block.line, block.endLine);
+  const before = blocks.filter(b => b.bottom <= offset).pop();
+  const after = blocks.find(b => b.top > offset);
+  if (!before) return 0;
+  if (!after) return before.endLine;
+  return interpolate(offset, before.bottom, after.top, before.endLine, after.line);
+};
+
+// The innermost rendered element for a source line, or null
+export const elementForLine = (container, line) =>
+  innermost(sourceBlocks(container), b => b.line <= line && line < b.endLine, b => b.line)?.element ?? null;
+
+// The source line of a rendered element, from the closest marked block
+export const lineForElement = (element) => {
+  const block = element.closest(SOURCE_LINE_SELECTOR);
+  return block ? Number(block.dataset.sourceLine) : null;
+};
@@ -0,0 +1,65 @@
+// Links to documents: the editor route, the read-only view and views that
+// carry the whole document in the URL fragment, so they open anywhere
+// without a backend. Fragments never reach the server.
+//
+//   /markdown/notes                  editor
+//   /view/markdown/notes             read-only view of the stored document
+//   /view/markdown/notes#doc=<data>  read-only view of the embedded document
+//   /view/echarts/sales#doc=<data>&mode=javascript
+//
+// <data> is the text, deflated and base64url encoded. Charts also carry
+// their evaluation mode (see lib/optionSandbox).
+
+const SHARED_DOCUMENT_PARAM = 'doc';
+const EVALUATION_MODE_PARAM = 'mode';
+
+export const documentPath = (type, name) => `/${type}/${encodeURIComponent(name)}`;
+
+export const viewPath = (type, name) => `/view/${type}/${encodeURIComponent(name)}`;
+
+const streamBytes = async (bytes, transform) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (value) => {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+export const encodeSharedDocument = async (text) =>
+  toBase64Url(await streamBytes(new TextEncoder().encode(text), new CompressionStream('deflate-raw')));
+
+// Throws when the data is cut short or isn't a shared document
+export const decodeSharedDocument = async (value) =>
+  new TextDecoder().decode(await streamBytes(fromBase64Url(value), new DecompressionStream('deflate-raw')));
+
+const readHashParam = (hash, param) => new URLSearchParams(hash.replace(/^#/, '')).get(param);
+
+// The embedded document of a location hash ('#doc=…'), or null
+export const readSharedDocumentHash = (hash) => readHashParam(hash, SHARED_DOCUMENT_PARAM);
+
+// The embedded chart's evaluation mode, or null for links made without one
+export const readSharedEvaluationMode = (hash) => readHashParam(hash, EVALUATION_MODE_PARAM);
+
+export const sharedViewUrl = async (type, name, text, { evaluationMode } = {}) => {
+  const params = new URLSearchParams({ [SHARED_DOCUMENT_PARAM]: await encodeSharedDocument(text) });
+  if (evaluationMode) params.set(EVALUATION_MODE_PARAM, evaluationMode);
+  return `${window.location.origin}${viewPath(type, name)}#${params}`;
+};
+
+// Falls back to a prompt to copy from where the clipboard isn't available
+export const copyLink = async (url) => {
+  try {
+    await navigator.clipboard.writeText(url);
+  } catch (e) {
+    console.warn('Error copying link:', e);
+    window.prompt('Copy this link:', url);
+  }
+};
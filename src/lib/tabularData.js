@@ -0,0 +1,89 @@
+// Parsing of pasted or imported delimited text (CSV, TSV, semicolon-separated).
+
+const DELIMITERS = ['\t', ',', ';'];
+
+// Picks the delimiter that splits the header line into the most columns
+export const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  return DELIMITERS
+    .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+// Splits delimited text into rows of raw string cells, honouring double-quoted
+// fields (with "" escapes and embedded newlines).
+export const parseDelimited = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+export const parseCell = (value) => {
+  const trimmed = value.trim();
+  if (trimmed !== '' && !Number.isNaN(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  return trimmed;
+};
+
+// Header row plus typed rows, e.g. { columns: ['month', 'sales'], rows: [['Jan', 12]] }
+export const parseTable = (text) => {
+  const [header = [], ...rows] = parseDelimited(text);
+  return {
+    columns: header.map(name => name.trim()),
+    rows: rows.map(cells => header.map((_, index) => parseCell(cells[index] ?? '')))
+  };
+};
+
+// A table from JSON rows: arrays with a header row first, or objects with one
+// column per key in order of first appearance
+export const tableFromRows = (source) => {
+  if (!source.length) return { columns: [], rows: [] };
+  if (Array.isArray(source[0])) {
+    return { columns: source[0].map(String), rows: source.slice(1) };
+  }
+  const columns = [...new Set(source.flatMap(row => Object.keys(row ?? {})))];
+  return { columns, rows: source.map(row => columns.map(column => row?.[column] ?? null)) };
+};
+
+const quoteCell = (value, delimiter) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /["\n\r]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatTable = ({ columns, rows }, delimiter = ',') =>
+  [columns, ...rows].map(cells => cells.map(cell => quoteCell(cell, delimiter)).join(delimiter)).join('\n');
@@ -0,0 +1,94 @@
+// The workspace's open documents: panes side by side, each with its tabs and
+// the one showing. A tab is { id, type, filename }, type naming the editor.
+//
+//   { panes: [{ tabs: [{ id: 'tab-1', type: 'markdown', filename: 'notes' }], activeTab: 'tab-1' }] }
+//
+// The functions return a new workspace and leave the one passed in alone.
+
+export const MAX_PANES = 3;
+
+export const EMPTY_WORKSPACE = { panes: [{ tabs: [], activeTab: null }] };
+
+let lastId = 0;
+export const createTab = (type, filename) => ({ id: `tab-${Date.now()}-${++lastId}`, type, filename });
+
+export const findTab = (workspace, tabId) => {
+  for (let pane = 0; pane < workspace.panes.length; pane++) {
+    const tab = workspace.panes[pane].tabs.find(candidate => candidate.id === tabId);
+    if (tab) return { tab, pane };
+  }
+  return null;
+};
+
+// The tab showing a document, leaving out `exceptTabId`
+export const findOpenTab = (workspace, type, filename, exceptTabId) => workspace.panes
+  .flatMap(pane => pane.tabs)
+  .find(tab => tab.id !== exceptTabId && tab.type === type && tab.filename === filename) || null;
+
+// A saved workspace with tabs of unknown types, and the panes they leave
+// empty, dropped
+export const normalizeWorkspace = (workspace, types) => {
+  const panes = (Array.isArray(workspace?.panes) ? workspace.panes : [])
+    .map(pane => {
+      const tabs = (Array.isArray(pane?.tabs) ? pane.tabs : [])
+        .filter(tab => typeof tab?.id === 'string' && types.includes(tab.type) && typeof tab.filename === 'string');
+      const activeTab = tabs.some(tab => tab.id === pane.activeTab) ? pane.activeTab : tabs[0]?.id ?? null;
+      return { tabs, activeTab };
+    })
+    .filter(pane => pane.tabs.length)
+    .slice(0, MAX_PANES);
+  return panes.length ? { panes } : EMPTY_WORKSPACE;
+};
+
+const withPanes = (workspace, panes) => {
+  const remaining = panes.filter(pane => pane.tabs.length);
+  return { ...workspace, panes: remaining.length ? remaining : EMPTY_WORKSPACE.panes };
+};
+
+// Adds a tab at the end of a pane (a new pane when `pane` is one past the
+// last) and shows it
+export const openTab = (workspace, pane, tab) => {
+  const panes = [...workspace.panes];
+  const target = panes[pane] || { tabs: [], activeTab: null };
+  panes[pane] = { tabs: [...target.tabs, tab], activeTab: tab.id };
+  return withPanes(workspace, panes);
+};
+
+export const activateTab = (workspace, tabId) => ({
+  ...workspace,
+  panes: workspace.panes.map(pane => (pane.tabs.some(tab => tab.id === tabId) ? { ...pane, activeTab: tabId } : pane))
+});
+
+// The tab next to a closed one takes its place; a pane closes with its last tab
+export const closeTab = (workspace, tabId) => withPanes(workspace, workspace.panes.map(pane => {
+  const index = pane.tabs.findIndex(tab => tab.id === tabId);
+  if (index === -1) return pane;
+  const tabs = pane.tabs.filter(tab => tab.id !== tabId);
+  const activeTab = pane.activeTab === tabId ? (tabs[index] ?? tabs[index - 1])?.id ?? null : pane.activeTab;
+  return { tabs, activeTab };
+}));
+
+export const updateTab = (workspace, tabId, patch) => ({
+  ...workspace,
+  panes: workspace.panes.map(pane => ({
+    ...pane,
+    tabs: pane.tabs.map(tab => (tab.id === tabId ? { ...tab, ...patch } : tab))
+  }))
+});
+
+// Moves a tab into another pane (or a new one at the end), before `index`
+// or at the end
+export const moveTab = (workspace, tabId, pane, index) => {
+  const found = findTab(workspace, tabId);
+  if (!found || pane >= MAX_PANES) return workspace;
+  const panes = workspace.panes.map((current, paneIndex) => {
+    if (paneIndex !== found.pane) return current;
+    const tabs = current.tabs.filter(tab => tab.id !== tabId);
+    return { tabs, activeTab: current.activeTab === tabId ? tabs[0]?.id ?? null : current.activeTab };
+  });
+  const target = panes[pane] || { tabs: [], activeTab: null };
+  const tabs = [...target.tabs];
+  tabs.splice(index ?? tabs.length, 0, found.tab);
+  panes[pane] = { tabs, activeTab: tabId };
+  return withPanes(workspace, panes);
+};
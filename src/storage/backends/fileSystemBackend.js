@@ -0,0 +1,69 @@
+import { extensionFor, belongsToNamespace } from '../fileExtensions';
+
+const isNotFound = (error) => error?.name === 'NotFoundError';
+
+// Reads and writes plain `.md`/`.js`/`.json` files in a folder the user picked
+// through the File System Access API.
+const createFileSystemBackend = (directoryHandle) => {
+  const fileNameFor = (namespace, name) => `${name}${extensionFor(namespace)}`;
+
+  const getFileHandle = async (namespace, name, create = false) => {
+    try {
+      return await directoryHandle.getFileHandle(fileNameFor(namespace, name), { create });
+    } catch (e) {
+      if (isNotFound(e)) return null;
+      throw e;
+    }
+  };
+
+  return {
+    name: 'fileSystem',
+    label: directoryHandle.name,
+    detectsExternalChanges: true,
+
+    async list(namespace) {
+      const extension = extensionFor(namespace);
+      const files = [];
+      for await (const [entryName, handle] of directoryHandle.entries()) {
+        if (handle.kind === 'file' && belongsToNamespace(entryName, namespace)) {
+          const file = await handle.getFile();
+          files.push({
+            name: entryName.slice(0, -extension.length),
+            lastModified: file.lastModified
+          });
+        }
+      }
+      return files;
+    },
+
+    async read(namespace, name) {
+      const handle = await getFileHandle(namespace, name);
+      if (!handle) return null;
+      const file = await handle.getFile();
+      return { text: await file.text(), lastModified: file.lastModified };
+    },
+
+    async write(namespace, name, doc) {
+      const handle = await getFileHandle(namespace, name, true);
+      const writable = await handle.createWritable();
+      await writable.write(doc.text);
+      await writable.close();
+      // The file's own timestamp is what external change detection compares against
+      const file = await handle.getFile();
+      return { lastModified: file.lastModified };
+    },
+
+    async remove(namespace, name) {
+      try {
+        await directoryHandle.removeEntry(fileNameFor(namespace, name));
+      } catch (e) {
+        if (!isNotFound(e)) throw e;
+      }
+    }
+  };
+};
+
+export const isFileSystemAccessSupported = () =>
+  typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+
+export default createFileSystemBackend;
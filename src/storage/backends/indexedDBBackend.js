@@ -0,0 +1,84 @@
+const DB_NAME = 'markdown-it-editor';
+const DB_VERSION = 1;
+const STORE_NAME = 'documents';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = (factory) => {
+  const request = factory.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: ['namespace', 'name'] });
+      store.createIndex('namespace', 'namespace');
+    }
+  };
+  return promisify(request);
+};
+
+// IndexedDB gets a much larger quota than localStorage, so it is the preferred
+// backend for documents carrying large chart datasets.
+const createIndexedDBBackend = (factory = window.indexedDB) => {
+  let dbPromise = null;
+
+  const withStore = async (mode, fn) => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(factory);
+    }
+    const db = await dbPromise;
+    const tx = db.transaction(STORE_NAME, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const [result] = await Promise.all([promisify(fn(tx.objectStore(STORE_NAME))), done]);
+    return result;
+  };
+
+  return {
+    name: 'indexedDB',
+
+    async list(namespace) {
+      const records = await withStore('readonly', store =>
+        store.index('namespace').getAll(namespace)
+      );
+      return records.map(({ name, lastModified }) => ({ name, lastModified }));
+    },
+
+    async read(namespace, name) {
+      const record = await withStore('readonly', store => store.get([namespace, name]));
+      if (!record) {
+        return null;
+      }
+      // The record as written, without the key fields added to it
+      const doc = { ...record };
+      delete doc.namespace;
+      delete doc.name;
+      return doc;
+    },
+
+    // Records keep every field of the document (revisions carry their id and
+    // creation time), with the key path set last so a doc can't override it
+    async write(namespace, name, doc) {
+      await withStore('readwrite', store => store.put({ ...doc, namespace, name }));
+    },
+
+    async remove(namespace, name) {
+      await withStore('readwrite', store => store.delete([namespace, name]));
+    }
+  };
+};
+
+export const isIndexedDBAvailable = () => {
+  try {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  } catch {
+    return false;
+  }
+};
+
+export default createIndexedDBBackend;
@@ -0,0 +1,49 @@
+// Stores each document as `${namespace}-${name}` -> JSON {text, lastModified},
+// which is the layout the editors have always used.
+const META_SUFFIXES = ['last-filename'];
+
+const isMetaKey = (key) => META_SUFFIXES.some(suffix => key.endsWith(suffix));
+
+const createLocalStorageBackend = (storage = window.localStorage) => {
+  const keyFor = (namespace, name) => `${namespace}-${name}`;
+
+  return {
+    name: 'localStorage',
+
+    async list(namespace) {
+      const prefix = `${namespace}-`;
+      const files = [];
+      for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (key?.startsWith(prefix) && !isMetaKey(key)) {
+          let lastModified = 0;
+          try {
+            lastModified = JSON.parse(storage.getItem(key))?.lastModified || 0;
+          } catch (e) {
+            console.warn(`Ignoring unreadable document ${key}:`, e);
+            continue;
+          }
+          files.push({ name: key.slice(prefix.length), lastModified });
+        }
+      }
+      return files;
+    },
+
+    async read(namespace, name) {
+      const raw = storage.getItem(keyFor(namespace, name));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async write(namespace, name, doc) {
+      // setItem throws a QuotaExceededError once the origin's quota is used up;
+      // let it propagate so the caller can report it.
+      storage.setItem(keyFor(namespace, name), JSON.stringify(doc));
+    },
+
+    async remove(namespace, name) {
+      storage.removeItem(keyFor(namespace, name));
+    }
+  };
+};
+
+export default createLocalStorageBackend;
@@ -0,0 +1,44 @@
+// In-memory backend, mainly for tests and for environments without Web Storage.
+// It implements the backend interface described in documentStore.
+const createMemoryBackend = (initial = {}) => {
+  const namespaces = new Map();
+
+  const getNamespace = (namespace) => {
+    if (!namespaces.has(namespace)) {
+      namespaces.set(namespace, new Map());
+    }
+    return namespaces.get(namespace);
+  };
+
+  Object.entries(initial).forEach(([namespace, docs]) => {
+    Object.entries(docs).forEach(([name, doc]) => {
+      getNamespace(namespace).set(name, { ...doc });
+    });
+  });
+
+  return {
+    name: 'memory',
+
+    async list(namespace) {
+      return Array.from(getNamespace(namespace).entries()).map(([name, doc]) => ({
+        name,
+        lastModified: doc.lastModified
+      }));
+    },
+
+    async read(namespace, name) {
+      const doc = getNamespace(namespace).get(name);
+      return doc ? { ...doc } : null;
+    },
+
+    async write(namespace, name, doc) {
+      getNamespace(namespace).set(name, { ...doc });
+    },
+
+    async remove(namespace, name) {
+      getNamespace(namespace).delete(name);
+    }
+  };
+};
+
+export default createMemoryBackend;
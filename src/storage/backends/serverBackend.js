@@ -0,0 +1,66 @@
+import { extensionFor, belongsToNamespace } from '../fileExtensions';
+
+export const WORKSPACE_ENDPOINT = '/__workspace';
+
+const request = async (url, options) => {
+  const response = await fetch(url, options);
+  if (response.status === 404 && (!options || options.method === 'GET')) {
+    return null;
+  }
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(message || `Workspace server responded with ${response.status}`);
+  }
+  return response.status === 204 ? null : response.json();
+};
+
+// Talks to the dev server's workspace plugin (plugins/vite-plugin-workspace.js)
+// for browsers without the File System Access API.
+const createServerBackend = (baseUrl = WORKSPACE_ENDPOINT) => {
+  const fileUrl = (namespace, name) =>
+    `${baseUrl}/${encodeURIComponent(`${name}${extensionFor(namespace)}`)}`;
+
+  return {
+    name: 'server',
+    label: 'Dev server workspace',
+    detectsExternalChanges: true,
+
+    async list(namespace) {
+      const extension = extensionFor(namespace);
+      // The server lists by the final extension (.md for .template.md as well)
+      const serverExtension = extension.slice(extension.lastIndexOf('.'));
+      const files = await request(`${baseUrl}?ext=${encodeURIComponent(serverExtension)}`, { method: 'GET' });
+      return (files || []).filter(file => belongsToNamespace(file.name, namespace)).map(file => ({
+        name: file.name.slice(0, -extension.length),
+        lastModified: file.lastModified
+      }));
+    },
+
+    async read(namespace, name) {
+      return request(fileUrl(namespace, name), { method: 'GET' });
+    },
+
+    async write(namespace, name, doc) {
+      return request(fileUrl(namespace, name), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: doc.text })
+      });
+    },
+
+    async remove(namespace, name) {
+      await request(fileUrl(namespace, name), { method: 'DELETE' });
+    }
+  };
+};
+
+export const isWorkspaceServerAvailable = async (baseUrl = WORKSPACE_ENDPOINT) => {
+  try {
+    const response = await fetch(`${baseUrl}?ext=.md`, { method: 'GET' });
+    return response.ok && response.headers.get('content-type')?.includes('application/json');
+  } catch {
+    return false;
+  }
+};
+
+export default createServerBackend;
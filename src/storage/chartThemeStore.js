@@ -0,0 +1,65 @@
+import { DEFAULT_CHART_THEME } from '../lib/chartThemes';
+
+// Custom chart themes and the default theme for documents that don't pick
+// one. Both are app-wide preferences, so they live in localStorage whichever
+// backend holds the documents; the per-document choice is a document setting.
+const THEMES_KEY = 'chart-themes';
+const DEFAULT_THEME_KEY = 'chart-theme-default';
+
+const listeners = new Set();
+
+const load = () => {
+  let themes = [];
+  let defaultTheme = DEFAULT_CHART_THEME;
+  try {
+    themes = JSON.parse(localStorage.getItem(THEMES_KEY) || '[]');
+    defaultTheme = localStorage.getItem(DEFAULT_THEME_KEY) || DEFAULT_CHART_THEME;
+  } catch (e) {
+    console.warn('Error loading chart themes:', e);
+  }
+  return { themes: Array.isArray(themes) ? themes : [], defaultTheme };
+};
+
+let state = load();
+
+const update = (next) => {
+  state = { ...state, ...next };
+  try {
+    localStorage.setItem(THEMES_KEY, JSON.stringify(state.themes));
+    localStorage.setItem(DEFAULT_THEME_KEY, state.defaultTheme);
+  } catch (e) {
+    console.warn('Error saving chart themes:', e);
+  }
+  listeners.forEach(listener => listener());
+};
+
+export const getChartThemeState = () => state;
+
+export const subscribeToChartThemes = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Adds or replaces a custom theme
+export const saveChartTheme = (theme) => {
+  const saved = { ...theme, updated: Date.now() };
+  const exists = state.themes.some(candidate => candidate.id === theme.id);
+  update({
+    themes: exists
+      ? state.themes.map(candidate => (candidate.id === theme.id ? saved : candidate))
+      : [...state.themes, saved]
+  });
+  return saved;
+};
+
+// Documents still naming a removed theme fall back to the default
+export const removeChartTheme = (id) => {
+  update({
+    themes: state.themes.filter(theme => theme.id !== id),
+    defaultTheme: state.defaultTheme === id ? DEFAULT_CHART_THEME : state.defaultTheme
+  });
+};
+
+export const setDefaultChartTheme = (id) => {
+  update({ defaultTheme: id });
+};
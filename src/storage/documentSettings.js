@@ -0,0 +1,44 @@
+// Small per-document preferences (such as trusting raw HTML). They live in
+// localStorage under one key per editor, whichever backend holds the text.
+const settingsKey = (namespace) => `settings:${namespace}`;
+
+const readAll = (namespace) => {
+  try {
+    return JSON.parse(localStorage.getItem(settingsKey(namespace)) || '{}');
+  } catch (e) {
+    console.warn('Error loading document settings:', e);
+    return {};
+  }
+};
+
+const writeAll = (namespace, settings) => {
+  try {
+    localStorage.setItem(settingsKey(namespace), JSON.stringify(settings));
+  } catch (e) {
+    console.warn('Error saving document settings:', e);
+  }
+};
+
+export const getDocumentSettings = (namespace, name) => readAll(namespace)[name] || {};
+
+export const updateDocumentSettings = (namespace, name, patch) => {
+  const all = readAll(namespace);
+  all[name] = { ...all[name], ...patch };
+  writeAll(namespace, all);
+  return all[name];
+};
+
+export const renameDocumentSettings = (namespace, oldName, newName) => {
+  const all = readAll(namespace);
+  if (!all[oldName]) return;
+  all[newName] = all[oldName];
+  delete all[oldName];
+  writeAll(namespace, all);
+};
+
+export const removeDocumentSettings = (namespace, name) => {
+  const all = readAll(namespace);
+  if (!all[name]) return;
+  delete all[name];
+  writeAll(namespace, all);
+};
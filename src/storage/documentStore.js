@@ -0,0 +1,225 @@
+import createLocalStorageBackend from './backends/localStorageBackend';
+import createIndexedDBBackend, { isIndexedDBAvailable } from './backends/indexedDBBackend';
+import createRevisionHistory from './revisionHistory';
+import {
+  getDocumentSettings,
+  updateDocumentSettings,
+  renameDocumentSettings,
+  removeDocumentSettings
+} from './documentSettings';
+
+// Every backend implements the same async interface:
+//   list(namespace)               -> [{ name, lastModified }]
+//   read(namespace, name)         -> the doc as written ({ text, lastModified, ... }) | null
+//   write(namespace, name, doc)   -> void, or { lastModified } when the backend sets it
+//   remove(namespace, name)       -> void
+
+// Renaming onto another document would overwrite it (a real file, with the
+// folder backends)
+export class DocumentExistsError extends Error {
+  constructor(name) {
+    super(`A document named "${name}" already exists`);
+    this.name = 'DocumentExistsError';
+  }
+}
+
+export const isQuotaError = (error) =>
+  error?.name === 'QuotaExceededError' ||
+  error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  error?.code === 22 ||
+  error?.code === 1014;
+
+export const describeStorageError = (error) => {
+  if (isQuotaError(error)) {
+    return 'Storage is full: this document was not saved. Delete some files or shrink the data.';
+  }
+  return `Save failed: ${error?.message || error}`;
+};
+
+let browserBackend = null;
+let defaultBackend = null;
+const stores = new Map();
+const backendListeners = new Set();
+
+// Storage inside the browser itself, used for documents by default and always
+// for data that has no place in a folder on disk, such as revision history.
+export const getBrowserBackend = () => {
+  if (!browserBackend) {
+    browserBackend = isIndexedDBAvailable()
+      ? createIndexedDBBackend()
+      : createLocalStorageBackend();
+  }
+  return browserBackend;
+};
+
+const isFileBacked = (backend) => backend.name === 'fileSystem' || backend.name === 'server';
+
+export const getDefaultBackend = () => {
+  if (!defaultBackend) {
+    defaultBackend = getBrowserBackend();
+  }
+  return defaultBackend;
+};
+
+export const setDefaultBackend = (backend) => {
+  defaultBackend = backend;
+  backendListeners.forEach(listener => listener(backend));
+};
+
+export const subscribeToDefaultBackend = (listener) => {
+  backendListeners.add(listener);
+  return () => backendListeners.delete(listener);
+};
+
+// Copies documents written by older versions straight into localStorage over to
+// IndexedDB, then drops the localStorage copies to free up quota. Folders on
+// disk are never filled with browser documents behind the user's back.
+const migrateLegacyDocuments = async (namespace, backend) => {
+  if (backend.name !== 'indexedDB' || typeof window === 'undefined' || !window.localStorage) {
+    return;
+  }
+  const legacy = createLocalStorageBackend();
+  const docs = await legacy.list(namespace);
+  for (const { name } of docs) {
+    const existing = await backend.read(namespace, name);
+    if (!existing) {
+      await backend.write(namespace, name, await legacy.read(namespace, name));
+    }
+    await legacy.remove(namespace, name);
+  }
+};
+
+const createDocumentStore = (
+  namespace,
+  backend = getDefaultBackend(),
+  historyBackend = isFileBacked(backend) ? getBrowserBackend() : backend
+) => {
+  const lastFilenameKey = `${namespace}-last-filename`;
+  const history = createRevisionHistory(namespace, historyBackend);
+  const ready = migrateLegacyDocuments(namespace, backend).catch(e => {
+    console.warn('Error migrating saved documents:', e);
+  });
+
+  const recordRevision = (name, text) => {
+    history.record(name, text).catch(e => {
+      console.warn('Error recording revision:', e);
+    });
+  };
+
+  // Writes to a document run one at a time, like the revision history's, so
+  // a slow write can't land after a newer one. Saves waiting for their turn
+  // are coalesced: only the latest text is written, and every caller gets
+  // the result of that write.
+  const queues = new Map();
+  const waitingSaves = new Map();
+
+  const enqueue = (name, task) => {
+    const next = (queues.get(name) || Promise.resolve()).then(task, task);
+    queues.set(name, next.catch(() => {}));
+    return next;
+  };
+
+  const write = async (name, text) => {
+    await ready;
+    const doc = { text, lastModified: Date.now() };
+    // File-backed stores report the timestamp the file actually got
+    const written = await backend.write(namespace, name, doc);
+    recordRevision(name, text);
+    return { ...doc, ...written };
+  };
+
+  return {
+    namespace,
+    backend,
+    history,
+
+    async list() {
+      await ready;
+      const files = await backend.list(namespace);
+      // Most recently modified first
+      return files.sort((a, b) => b.lastModified - a.lastModified);
+    },
+
+    async load(name) {
+      await ready;
+      return backend.read(namespace, name);
+    },
+
+    save(name, text) {
+      const waiting = waitingSaves.get(name);
+      if (waiting) {
+        waiting.text = text;
+        return waiting.result;
+      }
+      const save = { text };
+      save.result = enqueue(name, () => {
+        waitingSaves.delete(name);
+        return write(name, save.text);
+      });
+      waitingSaves.set(name, save);
+      return save.result;
+    },
+
+    // Runs after the saves already queued for the old name, so none of them
+    // brings it back
+    rename(oldName, newName, text) {
+      return enqueue(oldName, async () => {
+        await ready;
+        if (await backend.read(namespace, newName)) throw new DocumentExistsError(newName);
+        renameDocumentSettings(namespace, oldName, newName);
+        const doc = { text, lastModified: Date.now() };
+        const written = await enqueue(newName, () => backend.write(namespace, newName, doc));
+        await backend.remove(namespace, oldName);
+        await history.rename(oldName, newName);
+        recordRevision(newName, text);
+        return { ...doc, ...written };
+      });
+    },
+
+    remove(name) {
+      return enqueue(name, async () => {
+        await ready;
+        await backend.remove(namespace, name);
+        await history.remove(name);
+        removeDocumentSettings(namespace, name);
+      });
+    },
+
+    getSettings(name) {
+      return getDocumentSettings(namespace, name);
+    },
+
+    updateSettings(name, patch) {
+      return updateDocumentSettings(namespace, name, patch);
+    },
+
+    // The last opened filename is a small UI preference, so it stays in
+    // localStorage where it can be read synchronously on mount.
+    getLastFilename() {
+      try {
+        return localStorage.getItem(lastFilenameKey);
+      } catch {
+        return null;
+      }
+    },
+
+    setLastFilename(name) {
+      try {
+        localStorage.setItem(lastFilenameKey, name);
+      } catch (e) {
+        console.warn('Error saving last filename:', e);
+      }
+    }
+  };
+};
+
+// Editors share one store per namespace so that migration only runs once. A
+// store for another backend (the user picked a new location) replaces it.
+export const getDocumentStore = (namespace, backend = getDefaultBackend()) => {
+  if (stores.get(namespace)?.backend !== backend) {
+    stores.set(namespace, createDocumentStore(namespace, backend));
+  }
+  return stores.get(namespace);
+};
+
+export default createDocumentStore;
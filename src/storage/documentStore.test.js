@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import createDocumentStore from './documentStore';
+import createMemoryBackend from './backends/memoryBackend';
+import createIndexedDBBackend from './backends/indexedDBBackend';
+
+// Each backend is shared by the stores of one test, so a second store
+// stands in for the app after a reload
+const BACKENDS = {
+  memory: () => createMemoryBackend(),
+  indexedDB: () => createIndexedDBBackend(new IDBFactory())
+};
+
+describe.each(Object.entries(BACKENDS))('document store on the %s backend', (_, createBackend) => {
+  it('loads what it saved', async () => {
+    const store = createDocumentStore('test', createBackend());
+    await store.save('notes', '# Notes');
+
+    expect(await store.load('notes')).toMatchObject({ text: '# Notes' });
+    expect((await store.list()).map(file => file.name)).toEqual(['notes']);
+    expect(await store.load('missing')).toBeNull();
+  });
+
+  it('keeps revision metadata across a reload', async () => {
+    const backend = createBackend();
+    const before = createDocumentStore('test', backend).history;
+    await before.record('notes', 'first', 1000);
+
+    const after = createDocumentStore('test', backend).history;
+    await after.checkpoint('notes');
+    await after.record('notes', 'second', 2000);
+
+    const revisions = await after.list('notes');
+    expect(revisions.map(({ id, createdAt, text }) => ({ id, createdAt, text }))).toEqual([
+      { id: '2000', createdAt: 2000, text: 'second' },
+      { id: '1000', createdAt: 1000, text: 'first' }
+    ]);
+  });
+
+  it('groups saves into the latest revision after a reload', async () => {
+    const backend = createBackend();
+    await createDocumentStore('test', backend).history.record('notes', 'first', 1000);
+
+    const history = createDocumentStore('test', backend).history;
+    await history.record('notes', 'first, edited', 1500);
+
+    const revisions = await history.list('notes');
+    expect(revisions).toHaveLength(1);
+    expect(revisions[0]).toMatchObject({ id: '1000', createdAt: 1000, lastModified: 1500, text: 'first, edited' });
+  });
+});
+
+describe('document store saves', () => {
+  // Each write waits until the test lets it finish
+  const createSlowBackend = () => {
+    const backend = createMemoryBackend();
+    const pending = [];
+    return {
+      ...backend,
+      pending,
+      write(namespace, name, doc) {
+        return new Promise(resolve => {
+          pending.push(() => resolve(backend.write(namespace, name, doc)));
+        });
+      }
+    };
+  };
+
+  const flush = () => new Promise(resolve => setTimeout(resolve));
+
+  it('writes one at a time and only the latest waiting text', async () => {
+    const backend = createSlowBackend();
+    const store = createDocumentStore('test', backend, createMemoryBackend());
+
+    const saves = [store.save('notes', 'a')];
+    await flush();
+    saves.push(...['ab', 'abc', 'abcd'].map(text => store.save('notes', text)));
+    await flush();
+    expect(backend.pending).toHaveLength(1);
+
+    backend.pending.shift()();
+    await flush();
+    expect(backend.pending).toHaveLength(1);
+    backend.pending.shift()();
+
+    const results = await Promise.all(saves);
+    expect(results.map(result => result.text)).toEqual(['a', 'abcd', 'abcd', 'abcd']);
+    expect(await store.load('notes')).toMatchObject({ text: 'abcd' });
+  });
+
+  it('renames after the saves queued for the old name', async () => {
+    const backend = createSlowBackend();
+    const store = createDocumentStore('test', backend, createMemoryBackend());
+
+    const saved = store.save('draft', 'text');
+    const renamed = store.rename('draft', 'final', 'text');
+    await flush();
+    backend.pending.shift()();
+    await flush();
+    backend.pending.shift()();
+    await Promise.all([saved, renamed]);
+
+    expect(await store.load('draft')).toBeNull();
+    expect(await store.load('final')).toMatchObject({ text: 'text' });
+  });
+});
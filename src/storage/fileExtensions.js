@@ -0,0 +1,30 @@
+// File extensions used when documents are stored as real files on disk,
+// matching the extension shown next to each editor's filename input.
+// Templates sit in the same folder with a `.template` infix.
+export const FILE_EXTENSIONS = {
+  'markdown-editor-content': '.md',
+  'echarts-editor-content': '.js',
+  'multi-content-editor': '.json',
+  'templates:markdown-editor-content': '.template.md',
+  'templates:echarts-editor-content': '.template.js',
+  'templates:multi-content-editor': '.template.json'
+};
+
+export const extensionFor = (namespace) => {
+  const extension = FILE_EXTENSIONS[namespace];
+  if (!extension) {
+    throw new Error(`No file extension registered for ${namespace}`);
+  }
+  return extension;
+};
+
+// Whether a file in the folder belongs to `namespace`. The longest matching
+// extension wins, so `notes.template.md` is a template rather than a document
+// called `notes.template`.
+export const belongsToNamespace = (fileName, namespace) => {
+  const [owner] = Object.entries(FILE_EXTENSIONS)
+    .filter(([, extension]) => fileName.endsWith(extension))
+    .sort(([, a], [, b]) => b.length - a.length)
+    .map(([candidate]) => candidate);
+  return owner === namespace;
+};
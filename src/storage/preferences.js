@@ -0,0 +1,77 @@
+// App-wide preferences set on the settings page. Like the chart themes they
+// are kept in localStorage, whichever backend holds the documents.
+const PREFERENCES_KEY = 'preferences';
+
+export const COLOR_SCHEMES = {
+  system: 'Match the system',
+  light: 'Light',
+  dark: 'Dark'
+};
+
+export const EDITOR_FONTS = {
+  'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace': 'System monospace',
+  '"Fira Code", "JetBrains Mono", monospace': 'Fira Code / JetBrains Mono',
+  '"Courier New", Courier, monospace': 'Courier New'
+};
+
+export const EDITOR_FONT_SIZES = [12, 13, 14, 15, 16, 18, 20];
+
+// Tailwind typography modifiers for the rendered previews
+export const PREVIEW_SCALES = {
+  sm: 'prose-sm',
+  base: 'prose-base',
+  lg: 'prose-lg',
+  xl: 'prose-xl'
+};
+
+// Seconds; 0 turns the periodic save off (edits are still saved as they happen)
+export const AUTO_SAVE_INTERVALS = [0, 10, 30, 60, 300];
+
+export const DEFAULT_PREFERENCES = {
+  colorScheme: 'system',
+  editorFont: Object.keys(EDITOR_FONTS)[0],
+  editorFontSize: 14,
+  lineWrapping: false,
+  syncScroll: true,
+  previewScale: 'base',
+  autoSaveInterval: 30,
+  fullscreen: true
+};
+
+const listeners = new Set();
+
+const load = () => {
+  try {
+    return { ...DEFAULT_PREFERENCES, ...JSON.parse(localStorage.getItem(PREFERENCES_KEY) || '{}') };
+  } catch (e) {
+    console.warn('Error loading preferences:', e);
+    return DEFAULT_PREFERENCES;
+  }
+};
+
+let preferences = load();
+
+const save = (next) => {
+  preferences = next;
+  try {
+    localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+  } catch (e) {
+    console.warn('Error saving preferences:', e);
+  }
+  listeners.forEach(listener => listener());
+};
+
+export const getPreferences = () => preferences;
+
+export const subscribeToPreferences = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const updatePreferences = (patch) => {
+  save({ ...preferences, ...patch });
+};
+
+export const resetPreferences = () => {
+  save(DEFAULT_PREFERENCES);
+};
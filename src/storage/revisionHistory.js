@@ -0,0 +1,117 @@
+// Snapshots of every saved document. Saves that land within
+// REVISION_GROUP_INTERVAL of a revision's start update that revision instead of
+// creating a new one, so a typing session becomes a single entry.
+export const REVISION_GROUP_INTERVAL = 5 * 60 * 1000;
+export const MAX_REVISIONS = 100;
+
+// Each revision is its own record named by its creation time, so recording
+// a keystroke only rewrites the latest snapshot.
+const historyNamespace = (namespace, name) => `history:${namespace}:${name}:`;
+
+const isRevisionId = (id) => /^\d+$/.test(id);
+
+const createRevisionHistory = (namespace, backend) => {
+  // Latest revision per document, and per-document write queues so that
+  // overlapping saves can't interleave their read-modify-write steps.
+  const latest = new Map();
+  const queues = new Map();
+
+  const enqueue = (name, task) => {
+    const next = (queues.get(name) || Promise.resolve()).then(task, task);
+    queues.set(name, next.catch(() => {}));
+    return next;
+  };
+
+  const listIds = async (name) => {
+    const records = await backend.list(historyNamespace(namespace, name));
+    return records
+      .map(record => record.name)
+      .filter(isRevisionId)
+      .sort((a, b) => Number(a) - Number(b));
+  };
+
+  const getLatest = async (name) => {
+    if (!latest.has(name)) {
+      const ids = await listIds(name);
+      const lastId = ids[ids.length - 1];
+      latest.set(name, lastId ? await backend.read(historyNamespace(namespace, name), lastId) : null);
+    }
+    return latest.get(name);
+  };
+
+  const prune = async (name) => {
+    const ids = await listIds(name);
+    const excess = ids.slice(0, Math.max(0, ids.length - MAX_REVISIONS));
+    for (const id of excess) {
+      await backend.remove(historyNamespace(namespace, name), id);
+    }
+  };
+
+  return {
+    record(name, text, now = Date.now()) {
+      return enqueue(name, async () => {
+        const current = await getLatest(name);
+        if (current && current.text === text) return;
+
+        const startsNewRevision = !current || current.closed ||
+          now - current.createdAt >= REVISION_GROUP_INTERVAL;
+        // Ids must stay unique and ordered even for saves within the same millisecond
+        const id = current ? Math.max(now, Number(current.id) + 1) : now;
+        const revision = startsNewRevision
+          ? { id: String(id), createdAt: now, lastModified: now, text }
+          : { ...current, lastModified: now, text };
+
+        await backend.write(historyNamespace(namespace, name), revision.id, revision);
+        latest.set(name, revision);
+        if (startsNewRevision) {
+          await prune(name);
+        }
+      });
+    },
+
+    // Makes the next recorded save start a fresh revision, e.g. after a restore.
+    checkpoint(name) {
+      return enqueue(name, async () => {
+        const current = await getLatest(name);
+        if (current) {
+          latest.set(name, { ...current, closed: true });
+        }
+      });
+    },
+
+    async list(name) {
+      await queues.get(name);
+      const ids = await listIds(name);
+      const revisions = await Promise.all(
+        ids.map(id => backend.read(historyNamespace(namespace, name), id))
+      );
+      // Newest first, like the file list
+      return revisions.filter(Boolean).reverse();
+    },
+
+    rename(oldName, newName) {
+      return enqueue(oldName, async () => {
+        const ids = await listIds(oldName);
+        for (const id of ids) {
+          const revision = await backend.read(historyNamespace(namespace, oldName), id);
+          await backend.write(historyNamespace(namespace, newName), id, revision);
+          await backend.remove(historyNamespace(namespace, oldName), id);
+        }
+        latest.delete(oldName);
+        latest.delete(newName);
+      });
+    },
+
+    remove(name) {
+      return enqueue(name, async () => {
+        const ids = await listIds(name);
+        for (const id of ids) {
+          await backend.remove(historyNamespace(namespace, name), id);
+        }
+        latest.delete(name);
+      });
+    }
+  };
+};
+
+export default createRevisionHistory;
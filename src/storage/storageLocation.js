@@ -0,0 +1,58 @@
+import { getBrowserBackend, setDefaultBackend } from './documentStore';
+import createFileSystemBackend, { isFileSystemAccessSupported } from './backends/fileSystemBackend';
+import createServerBackend, { isWorkspaceServerAvailable } from './backends/serverBackend';
+
+const LOCATION_KEY = 'storage-location';
+
+const rememberLocation = (location) => {
+  try {
+    localStorage.setItem(LOCATION_KEY, location);
+  } catch (e) {
+    console.warn('Error saving storage location:', e);
+  }
+};
+
+export { isFileSystemAccessSupported, isWorkspaceServerAvailable };
+
+// Asks the user for a folder; resolves to false when the picker is dismissed.
+export const connectFolder = async () => {
+  let directoryHandle;
+  try {
+    directoryHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+  } catch (e) {
+    if (e.name === 'AbortError') return false;
+    throw e;
+  }
+  // Folder handles can't be reopened without a user gesture, so a reload
+  // always falls back to browser storage.
+  rememberLocation('browser');
+  setDefaultBackend(createFileSystemBackend(directoryHandle));
+  return true;
+};
+
+export const connectWorkspaceServer = async () => {
+  if (!(await isWorkspaceServerAvailable())) {
+    throw new Error('The workspace server is not running. Start the app with `npm run dev`.');
+  }
+  rememberLocation('server');
+  setDefaultBackend(createServerBackend());
+  return true;
+};
+
+export const connectBrowserStorage = () => {
+  rememberLocation('browser');
+  setDefaultBackend(getBrowserBackend());
+};
+
+// Reconnects to the dev server workspace on startup if it was used last time.
+export const restoreStorageLocation = async () => {
+  let location = null;
+  try {
+    location = localStorage.getItem(LOCATION_KEY);
+  } catch {
+    return;
+  }
+  if (location === 'server' && await isWorkspaceServerAvailable()) {
+    setDefaultBackend(createServerBackend());
+  }
+};
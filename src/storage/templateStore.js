@@ -0,0 +1,32 @@
+import { getDefaultBackend } from './documentStore';
+
+// Templates the user saved from their own documents. They are kept wherever
+// the documents are (browser storage, or `.template.*` files next to them on
+// disk), in a namespace of their own per editor.
+export const templateNamespace = (namespace) => `templates:${namespace}`;
+
+const createTemplateStore = (namespace, backend = getDefaultBackend()) => {
+  const templates = templateNamespace(namespace);
+
+  return {
+    async list() {
+      const files = await backend.list(templates);
+      return files.sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async load(name) {
+      const doc = await backend.read(templates, name);
+      return doc?.text ?? null;
+    },
+
+    async save(name, text) {
+      await backend.write(templates, name, { text, lastModified: Date.now() });
+    },
+
+    async remove(name) {
+      await backend.remove(templates, name);
+    }
+  };
+};
+
+export default createTemplateStore;
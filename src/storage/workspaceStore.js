@@ -0,0 +1,21 @@
+// The open tabs and panes of the workspace, so a reload brings them back.
+// Like the other UI state it stays in localStorage whichever backend holds
+// the documents; the documents themselves are saved by their editors.
+const WORKSPACE_KEY = 'workspace';
+
+export const loadWorkspace = () => {
+  try {
+    return JSON.parse(localStorage.getItem(WORKSPACE_KEY) || 'null');
+  } catch (e) {
+    console.warn('Error loading workspace:', e);
+    return null;
+  }
+};
+
+export const saveWorkspace = (workspace) => {
+  try {
+    localStorage.setItem(WORKSPACE_KEY, JSON.stringify(workspace));
+  } catch (e) {
+    console.warn('Error saving workspace:', e);
+  }
+};
@@ -0,0 +1,134 @@
+// Built-in starting points for the ECharts editor. Options are kept as
+// objects and written out in the editor's evaluation mode.
+const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'];
+
+const echartsTemplates = [
+  {
+    name: 'Line chart',
+    description: 'Two series over time with an axis tooltip',
+    option: {
+      title: { text: 'Monthly visitors' },
+      tooltip: { trigger: 'axis' },
+      legend: { top: 'bottom' },
+      xAxis: { type: 'category', data: months },
+      yAxis: { type: 'value' },
+      series: [
+        { name: 'Website', type: 'line', smooth: true, data: [820, 932, 901, 934, 1290, 1330] },
+        { name: 'App', type: 'line', smooth: true, data: [620, 732, 701, 834, 1090, 1230] }
+      ]
+    }
+  },
+  {
+    name: 'Bar chart',
+    description: 'Grouped bars per category',
+    option: {
+      title: { text: 'Sales by region' },
+      tooltip: { trigger: 'axis' },
+      legend: { top: 'bottom' },
+      dataset: {
+        source: [
+          ['region', '2023', '2024'],
+          ['North', 43, 58],
+          ['South', 83, 73],
+          ['East', 86, 65],
+          ['West', 72, 53]
+        ]
+      },
+      xAxis: { type: 'category' },
+      yAxis: {},
+      series: [
+        { type: 'bar', name: '2023', encode: { x: 'region', y: '2023' } },
+        { type: 'bar', name: '2024', encode: { x: 'region', y: '2024' } }
+      ]
+    }
+  },
+  {
+    name: 'Stacked area',
+    description: 'Parts of a total changing over time',
+    option: {
+      title: { text: 'Traffic sources' },
+      tooltip: { trigger: 'axis' },
+      legend: { top: 'bottom' },
+      xAxis: { type: 'category', boundaryGap: false, data: months },
+      yAxis: { type: 'value' },
+      series: [
+        { name: 'Search', type: 'line', stack: 'total', areaStyle: {}, data: [120, 132, 101, 134, 90, 230] },
+        { name: 'Social', type: 'line', stack: 'total', areaStyle: {}, data: [220, 182, 191, 234, 290, 330] },
+        { name: 'Direct', type: 'line', stack: 'total', areaStyle: {}, data: [150, 232, 201, 154, 190, 330] }
+      ]
+    }
+  },
+  {
+    name: 'Pie chart',
+    description: 'Shares of a whole, as a donut',
+    option: {
+      title: { text: 'Browser share', left: 'center' },
+      tooltip: { trigger: 'item' },
+      legend: { top: 'bottom' },
+      series: [{
+        type: 'pie',
+        radius: ['40%', '70%'],
+        data: [
+          { name: 'Chrome', value: 64 },
+          { name: 'Safari', value: 19 },
+          { name: 'Edge', value: 5 },
+          { name: 'Firefox', value: 3 },
+          { name: 'Other', value: 9 }
+        ]
+      }]
+    }
+  },
+  {
+    name: 'Scatter plot',
+    description: 'Numeric pairs with value axes',
+    option: {
+      title: { text: 'Height and weight' },
+      tooltip: { trigger: 'item' },
+      xAxis: { type: 'value', name: 'cm', scale: true },
+      yAxis: { type: 'value', name: 'kg', scale: true },
+      series: [{
+        type: 'scatter',
+        symbolSize: 10,
+        data: [[161, 51], [167, 59], [159, 49], [157, 63], [155, 53], [170, 59], [176, 74], [182, 80], [174, 68], [168, 62]]
+      }]
+    }
+  },
+  {
+    name: 'Radar chart',
+    description: 'Several measures compared on one shape',
+    option: {
+      title: { text: 'Product comparison' },
+      legend: { top: 'bottom' },
+      radar: {
+        indicator: [
+          { name: 'Price', max: 10 },
+          { name: 'Quality', max: 10 },
+          { name: 'Support', max: 10 },
+          { name: 'Features', max: 10 },
+          { name: 'Speed', max: 10 }
+        ]
+      },
+      series: [{
+        type: 'radar',
+        data: [
+          { name: 'Product A', value: [7, 8, 6, 9, 7] },
+          { name: 'Product B', value: [9, 6, 8, 6, 8] }
+        ]
+      }]
+    }
+  },
+  {
+    name: 'Gauge',
+    description: 'A single value against a range',
+    option: {
+      series: [{
+        type: 'gauge',
+        progress: { show: true },
+        detail: { formatter: '{value}%' },
+        data: [{ name: 'Completion', value: 72 }]
+      }]
+    }
+  }
+];
+
+export default echartsTemplates;
@@ -0,0 +1,103 @@
+// Built-in starting points for the Markdown editor
+const markdownTemplates = [
+  {
+    name: 'Meeting notes',
+    description: 'Attendees, agenda, decisions and action items',
+    text: `# Meeting notes: <topic>
+
+**Date:** <date>
+**Attendees:** <names>
+
+## Agenda
+
+1. <item>
+2. <item>
+
+## Notes
+
+- 
+
+## Decisions
+
+- 
+
+## Action items
+
+| Owner | Task | Due |
+| ----- | ---- | --- |
+|       |      |     |
+`
+  },
+  {
+    name: 'README',
+    description: 'Project overview, installation and usage',
+    text: `# Project name
+
+One or two sentences on what this project does and who it is for.
+
+## Installation
+
+\`\`\`bash
+npm install project-name
+\`\`\`
+
+## Usage
+
+\`\`\`js
+import project from 'project-name';
+
+project.run();
+\`\`\`
+
+## Configuration
+
+| Option | Default | Description |
+| ------ | ------- | ----------- |
+| \`verbose\` | \`false\` | Log every step |
+
+## Contributing
+
+Pull requests are welcome. For larger changes, please open an issue first.
+
+## License
+
+MIT
+`
+  },
+  {
+    name: 'Math worksheet',
+    description: 'Problems with KaTeX formulas and collapsible solutions',
+    text: `# Worksheet: Quadratic equations
+
+The solutions of $ax^2 + bx + c = 0$ are
+
+$$
+x = \\frac{-b \\pm \\sqrt{b^2 - 4ac}}{2a}
+$$
+
+## Problem 1
+
+Solve $x^2 - 5x + 6 = 0$.
+
+<details>
+<summary>Solution</summary>
+
+$a = 1$, $b = -5$, $c = 6$, so $x = \\frac{5 \\pm 1}{2}$, giving $x = 2$ or $x = 3$.
+
+</details>
+
+## Problem 2
+
+For which $k$ does $x^2 + kx + 9 = 0$ have exactly one solution?
+
+<details>
+<summary>Solution</summary>
+
+One solution means $b^2 - 4ac = 0$: $k^2 - 36 = 0$, so $k = \\pm 6$.
+
+</details>
+`
+  }
+];
+
+export default markdownTemplates;
@@ -0,0 +1,94 @@
+// Built-in report layouts for the Multi-Content editor, as content items
+const items = (list) => JSON.stringify(list, null, 2);
+
+const multiContentTemplates = [
+  {
+    name: 'Quarterly report',
+    description: 'Summary, a shared dataset, a chart and a table built from it',
+    text: items([
+      { kind: 'markdown', data: { text: '# Quarterly report\n\nA short summary of the quarter: what went well, what didn\'t, and what comes next.' } },
+      {
+        kind: 'callout',
+        data: { type: 'success', title: 'Highlight', text: 'Revenue grew **18%** on the previous quarter.' }
+      },
+      {
+        kind: 'dataset',
+        data: { name: 'revenue', csv: 'month,region,revenue\nJan,North,120\nJan,South,90\nFeb,North,140\nFeb,South,95\nMar,North,160\nMar,South,110' }
+      },
+      { kind: 'markdown', data: { text: '## Revenue by month' } },
+      {
+        kind: 'chart',
+        data: {
+          $dataset: { name: 'revenue', transform: [{ groupBy: ['month'], aggregate: { revenue: 'sum' } }] },
+          tooltip: { trigger: 'axis' },
+          xAxis: { type: 'category' },
+          yAxis: {},
+          series: [{ type: 'bar', encode: { x: 'month', y: 'revenue' } }]
+        }
+      },
+      { kind: 'markdown', data: { text: '## Revenue by region' } },
+      {
+        kind: 'table',
+        data: { $dataset: { name: 'revenue', transform: [{ groupBy: ['region'], aggregate: { revenue: 'sum' } }] } }
+      },
+      { kind: 'markdown', data: { text: '## Next quarter\n\n- \n- ' } }
+    ])
+  },
+  {
+    name: 'KPI dashboard',
+    description: 'Headline numbers, a trend line and a breakdown',
+    text: items([
+      { kind: 'markdown', data: { text: '# Dashboard\n\nUpdated <date>.' } },
+      {
+        kind: 'table',
+        data: {
+          columns: ['Metric', 'Value', 'Change'],
+          rows: [['Active users', 12840, '+6%'], ['Conversion', '3.4%', '+0.2pt'], ['Churn', '1.1%', '-0.3pt']]
+        }
+      },
+      {
+        kind: 'chart',
+        data: {
+          title: { text: 'Active users' },
+          tooltip: { trigger: 'axis' },
+          xAxis: { type: 'category', data: ['Week 1', 'Week 2', 'Week 3', 'Week 4'] },
+          yAxis: { type: 'value' },
+          series: [{ type: 'line', smooth: true, data: [11200, 11900, 12400, 12840] }]
+        }
+      },
+      {
+        kind: 'chart',
+        data: {
+          title: { text: 'Users by plan', left: 'center' },
+          tooltip: { trigger: 'item' },
+          series: [{
+            type: 'pie',
+            radius: ['40%', '70%'],
+            data: [{ name: 'Free', value: 9100 }, { name: 'Pro', value: 3200 }, { name: 'Team', value: 540 }]
+          }]
+        }
+      }
+    ])
+  },
+  {
+    name: 'Analysis write-up',
+    description: 'Question, method, findings with a chart, and caveats',
+    text: items([
+      { kind: 'markdown', data: { text: '# <Question being answered>\n\n## Method\n\nWhere the data comes from and how it was prepared.' } },
+      { kind: 'markdown', data: { text: '## Findings' } },
+      {
+        kind: 'chart',
+        data: {
+          tooltip: { trigger: 'item' },
+          xAxis: { type: 'value', scale: true },
+          yAxis: { type: 'value', scale: true },
+          series: [{ type: 'scatter', symbolSize: 12, data: [[10, 8.04], [8, 6.95], [13, 7.58], [9, 8.81], [11, 8.33], [14, 9.96]] }]
+        }
+      },
+      { kind: 'markdown', data: { text: 'What the chart shows, in a sentence or two.' } },
+      { kind: 'callout', data: { type: 'warning', title: 'Caveats', text: 'Limits of the data and what would change the conclusion.' } }
+    ])
+  }
+];
+
+export default multiContentTemplates;
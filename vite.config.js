@@ -1,8 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import workspace from './plugins/vite-plugin-workspace.js'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), workspace()],
   server: {
     port: 5173,
     open: true